@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 
 // Middleware d'authentification
 const auth = async (req, res, next) => {
@@ -28,6 +29,14 @@ const auth = async (req, res, next) => {
 
     // Vérifier et décoder le token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Vérifier que la session n'a pas été révoquée (déconnexion)
+    if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expirée. Veuillez vous reconnecter.'
+      });
+    }
     
     // Récupérer l'utilisateur depuis la base de données
     const user = await User.findById(decoded.userId);
@@ -53,7 +62,8 @@ const auth = async (req, res, next) => {
       email: user.email,
       firstName: user.firstName,
       lastName: user.lastName,
-      role: user.role
+      role: user.role,
+      sessionId: decoded.sid
     };
 
     next();
@@ -120,6 +130,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid, decoded.userId))) {
+      return next();
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (user && user.isActive) {
@@ -128,7 +142,8 @@ const optionalAuth = async (req, res, next) => {
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        role: user.role
+        role: user.role,
+        sessionId: decoded.sid
       };
     }
 
@@ -0,0 +1,140 @@
+const Property = require('../models/Property');
+
+// Politique d'accès centralisée pour les biens partagés
+//
+// Un utilisateur a un rôle sur chaque ressource :
+//   - owner  : propriétaire du bien (ou de l'événement), peut tout faire
+//   - editor : peut modifier les étapes, documents et événements du bien
+//   - viewer : lecture seule
+// Seul le propriétaire peut supprimer une ressource ou la (re)partager.
+
+const ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+// Obtenir l'identifiant (string) d'une référence, peuplée ou non
+const idOf = (ref) => {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+};
+
+// Conserver le rôle le plus élevé
+const highestRole = (...roles) => {
+  return roles.reduce((best, role) => {
+    if (!role) return best;
+    if (!best || ROLE_LEVELS[role] > ROLE_LEVELS[best]) return role;
+    return best;
+  }, null);
+};
+
+// Rôle d'un utilisateur sur un bien
+const getPropertyRole = (property, userId) => {
+  if (!property || !property.owner) return null;
+
+  const uid = idOf(userId);
+  if (idOf(property.owner) === uid) return 'owner';
+
+  const share = (property.sharedWith || []).find(s => idOf(s.user) === uid);
+  return share ? share.role || 'viewer' : null;
+};
+
+// Rôle d'un utilisateur sur une ressource
+// Les étapes, prêts, visites et documents doivent avoir leur champ `property` peuplé ;
+// pour les événements le bien peut être peuplé ou fourni en option.
+const getRole = (kind, resource, userId, options = {}) => {
+  if (!resource) return null;
+
+  const uid = idOf(userId);
+
+  switch (kind) {
+    case 'property':
+      return getPropertyRole(resource, uid);
+
+    case 'step':
+    case 'loan':
+    case 'visit':
+      return getPropertyRole(resource.property, uid);
+
+    case 'document': {
+      const share = (resource.sharedWith || []).find(s => idOf(s.user) === uid);
+      const shareRole = share ? (share.permissions === 'edit' ? 'editor' : 'viewer') : null;
+      return highestRole(getPropertyRole(resource.property, uid), shareRole);
+    }
+
+    case 'event': {
+      if (idOf(resource.owner) === uid) return 'owner';
+
+      const property = options.property || resource.property;
+      const shared = (resource.sharedWith || []).some(s => idOf(s.user) === uid);
+      return highestRole(getPropertyRole(property, uid), shared ? 'viewer' : null);
+    }
+
+    default:
+      throw new Error(`Type de ressource inconnu: ${kind}`);
+  }
+};
+
+// Lecture : tout rôle
+const canRead = (kind, resource, userId, options) => {
+  return getRole(kind, resource, userId, options) !== null;
+};
+
+// Modification : propriétaire ou éditeur
+const canEdit = (kind, resource, userId, options) => {
+  const role = getRole(kind, resource, userId, options);
+  return role === 'owner' || role === 'editor';
+};
+
+// Suppression et partage : propriétaire uniquement
+const canManage = (kind, resource, userId, options) => {
+  return getRole(kind, resource, userId, options) === 'owner';
+};
+
+// Filtre Mongo des biens lisibles par l'utilisateur
+const readablePropertyFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { 'sharedWith.user': userId }
+  ]
+});
+
+// Filtre Mongo des biens modifiables par l'utilisateur
+const editablePropertyFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { sharedWith: { $elemMatch: { user: userId, role: 'editor' } } }
+  ]
+});
+
+// Identifiants des biens actifs lisibles par l'utilisateur
+const getReadablePropertyIds = async (userId) => {
+  const properties = await Property.find({
+    ...readablePropertyFilter(userId),
+    isActive: true
+  }).select('_id');
+
+  return properties.map(p => p._id);
+};
+
+// Filtre Mongo des événements lisibles : les siens, ceux partagés
+// et ceux rattachés à un bien accessible
+const readableEventFilter = (userId, propertyIds = []) => ({
+  $or: [
+    { owner: userId },
+    { 'sharedWith.user': userId },
+    { property: { $in: propertyIds } }
+  ]
+});
+
+module.exports = {
+  getRole,
+  canRead,
+  canEdit,
+  canManage,
+  readablePropertyFilter,
+  editablePropertyFilter,
+  getReadablePropertyIds,
+  readableEventFilter
+};
\ No newline at end of file
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+
+const calendarEventSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Propriétaire requis']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Créateur requis']
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  step: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Step'
+  },
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  title: {
+    type: String,
+    required: [true, 'Titre requis'],
+    trim: true,
+    minlength: [3, 'Le titre doit contenir au moins 3 caractères'],
+    maxlength: [200, 'Le titre ne peut pas dépasser 200 caractères']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La description ne peut pas dépasser 1000 caractères']
+  },
+  type: {
+    type: String,
+    enum: [
+      'visite',
+      'rendez_vous_notaire',
+      'rendez_vous_banque',
+      'signature',
+      'remise_cles',
+      'expertise',
+      'diagnostic',
+      'reunion',
+      'appel',
+      'echeance',
+      'rappel',
+      'autre'
+    ],
+    required: [true, 'Type d\'événement requis']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'postponed'],
+    default: 'scheduled'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Date de début requise']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Date de fin requise'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'La date de fin doit être après la date de début'
+    }
+  },
+  allDay: {
+    type: Boolean,
+    default: false
+  },
+  location: {
+    address: {
+      type: String,
+      trim: true
+    },
+    room: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  participants: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  }],
+  reminders: [{
+    minutesBefore: {
+      type: Number,
+      required: true,
+      min: [0, 'Le délai du rappel doit être positif']
+    },
+    type: {
+      type: String,
+      enum: ['email', 'push', 'sms'],
+      default: 'email'
+    },
+    sent: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: {
+      type: Date
+    }
+  }],
+  outcome: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Le compte rendu ne peut pas dépasser 1000 caractères']
+  },
+  completedAt: {
+    type: Date
+  },
+  postponedFrom: [{
+    startDate: Date,
+    endDate: Date,
+    postponedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Les notes ne peuvent pas dépasser 2000 caractères']
+  },
+  // UID iCalendar d'origine pour les événements importés ou générés (dédoublonnage)
+  uid: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'legal'],
+    default: 'manual'
+  },
+  // Numéro de révision iCalendar (SEQUENCE), incrémenté à chaque changement de date ou de statut
+  sequence: {
+    type: Number,
+    default: 0,
+    min: [0, 'La séquence doit être positive']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour les requêtes /events, /upcoming, /overdue et /stats
+calendarEventSchema.index({ owner: 1, isActive: 1, startDate: 1 });
+calendarEventSchema.index({ 'sharedWith.user': 1, isActive: 1, startDate: 1 });
+calendarEventSchema.index({ owner: 1, isActive: 1, status: 1, endDate: 1 });
+calendarEventSchema.index({ 'sharedWith.user': 1, isActive: 1, status: 1, endDate: 1 });
+calendarEventSchema.index({ property: 1, startDate: 1 });
+calendarEventSchema.index({ step: 1 });
+calendarEventSchema.index(
+  { owner: 1, uid: 1 },
+  { unique: true, partialFilterExpression: { uid: { $type: 'string' } } }
+);
+
+// Virtual pour la durée en minutes
+calendarEventSchema.virtual('durationMinutes').get(function() {
+  if (this.startDate && this.endDate) {
+    return Math.round((this.endDate - this.startDate) / (1000 * 60));
+  }
+  return null;
+});
+
+// Virtual pour vérifier si l'événement est en retard
+calendarEventSchema.virtual('isOverdue').get(function() {
+  if (!['scheduled', 'confirmed'].includes(this.status)) {
+    return false;
+  }
+  return new Date() > this.endDate;
+});
+
+// Méthode pour marquer l'événement comme terminé
+calendarEventSchema.methods.complete = function(outcome) {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  if (outcome !== undefined) {
+    this.outcome = outcome;
+  }
+  return this.save();
+};
+
+// Méthode pour reporter l'événement en conservant sa durée si aucune fin n'est fournie
+calendarEventSchema.methods.postpone = function(newStartDate, newEndDate) {
+  const duration = this.endDate - this.startDate;
+
+  this.postponedFrom.push({
+    startDate: this.startDate,
+    endDate: this.endDate
+  });
+
+  this.startDate = newStartDate;
+  this.endDate = newEndDate || new Date(newStartDate.getTime() + duration);
+  this.status = 'scheduled';
+
+  // Les rappels doivent être renvoyés pour la nouvelle date
+  this.reminders.forEach(reminder => {
+    reminder.sent = false;
+    reminder.sentAt = undefined;
+  });
+
+  return this.save();
+};
+
+// Middleware pour incrémenter la séquence iCalendar lors d'un report, d'une annulation...
+calendarEventSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('startDate') || this.isModified('endDate') || this.isModified('status'))) {
+    this.sequence += 1;
+  }
+  next();
+});
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
\ No newline at end of file
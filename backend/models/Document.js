@@ -41,6 +41,7 @@ const documentSchema = new mongoose.Schema({
       'assurance',
       'expertise',
       'correspondance',
+      'copropriete',
       'autre'
     ],
     required: [true, 'Catégorie requise']
@@ -94,6 +95,10 @@ const documentSchema = new mongoose.Schema({
       type: String,
       default: '1.0'
     },
+    title: {
+      type: String,
+      trim: true
+    },
     author: {
       type: String,
       trim: true
@@ -130,6 +135,35 @@ const documentSchema = new mongoose.Schema({
     enum: ['uploaded', 'processing', 'processed', 'error', 'archived'],
     default: 'uploaded'
   },
+  processing: {
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    error: {
+      type: String
+    }
+  },
+  // Texte extrait du fichier courant, indexé pour la recherche plein texte
+  content: {
+    text: {
+      type: String,
+      select: false
+    },
+    characters: {
+      type: Number,
+      min: [0, 'Le nombre de caractères doit être positif']
+    },
+    truncated: {
+      type: Boolean,
+      default: false
+    },
+    extractedAt: {
+      type: Date
+    }
+  },
   visibility: {
     type: String,
     enum: ['private', 'shared', 'public'],
@@ -155,6 +189,11 @@ const documentSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
+  // Document requis auquel ce document répond (clé de services/requiredDocuments)
+  requirement: {
+    type: String,
+    trim: true
+  },
   expirationDate: {
     type: Date
   },
@@ -195,6 +234,15 @@ const documentSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    originalName: {
+      type: String
+    },
+    mimeType: {
+      type: String
+    },
+    checksum: {
+      type: String
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -220,7 +268,14 @@ const documentSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Le texte extrait ne sert qu'à la recherche : il n'est pas renvoyé dans les réponses
+    transform: (doc, ret) => {
+      if (ret.content) delete ret.content.text;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -233,6 +288,14 @@ documentSchema.index({ status: 1 });
 documentSchema.index({ tags: 1 });
 documentSchema.index({ isImportant: 1 });
 documentSchema.index({ expirationDate: 1 });
+documentSchema.index(
+  { name: 'text', description: 'text', tags: 'text', 'content.text': 'text' },
+  {
+    name: 'document_text_search',
+    default_language: 'french',
+    weights: { name: 10, tags: 5, description: 3, 'content.text': 1 }
+  }
+);
 
 // Virtual pour la taille formatée
 documentSchema.virtual('formattedSize').get(function() {
@@ -281,6 +344,11 @@ documentSchema.virtual('previewUrl').get(function() {
   return null;
 });
 
+// Virtual pour obtenir l'URL de la miniature
+documentSchema.virtual('thumbnailUrl').get(function() {
+  return this.previewUrl ? `${this.previewUrl}?size=small` : null;
+});
+
 // Méthode pour incrémenter le compteur de téléchargements
 documentSchema.methods.incrementDownloadCount = function(userId) {
   this.downloadCount += 1;
@@ -291,23 +359,50 @@ documentSchema.methods.incrementDownloadCount = function(userId) {
   return this.save({ validateBeforeSave: false });
 };
 
-// Méthode pour ajouter une nouvelle version
+// Méthode pour ajouter une nouvelle version (qui devient le fichier courant)
 documentSchema.methods.addVersion = function(fileData, userId, changelog) {
+  // Conserver le fichier d'origine comme première version de l'historique
+  if (this.versions.length === 0) {
+    this.versions.push({
+      version: this.metadata.version || '1.0',
+      filename: this.file.filename,
+      path: this.file.path,
+      size: this.file.size,
+      originalName: this.file.originalName,
+      mimeType: this.file.mimeType,
+      checksum: this.file.checksum,
+      uploadedAt: this.createdAt,
+      uploadedBy: this.uploadedBy,
+      changelog: 'Version initiale'
+    });
+  }
+
   const newVersion = {
     version: this.getNextVersion(),
     filename: fileData.filename,
     path: fileData.path,
     size: fileData.size,
+    originalName: fileData.originalName,
+    mimeType: fileData.mimeType,
+    checksum: fileData.checksum,
     uploadedBy: userId,
     changelog: changelog || 'Nouvelle version'
   };
   
   this.versions.push(newVersion);
   this.metadata.version = newVersion.version;
+  ['filename', 'path', 'size', 'originalName', 'mimeType', 'encoding', 'checksum'].forEach(field => {
+    if (fileData[field] !== undefined) this.set(`file.${field}`, fileData[field]);
+  });
   
   return this.save();
 };
 
+// Méthode pour trouver une version par son numéro ou son identifiant
+documentSchema.methods.findVersion = function(ref) {
+  return this.versions.find(item => item.version === ref || item._id.toString() === ref) || null;
+};
+
 // Méthode pour obtenir le numéro de la prochaine version
 documentSchema.methods.getNextVersion = function() {
   if (this.versions.length === 0) {
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Propriété requise']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email requis'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    default: 'viewer'
+  },
+  relationship: {
+    type: String,
+    enum: ['co_acquereur', 'partenaire', 'notaire', 'agent', 'autre'],
+    default: 'autre'
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ property: 1, email: 1, status: 1 });
+invitationSchema.index({ expiresAt: 1 });
+
+// Virtual pour vérifier si l'invitation est expirée
+invitationSchema.virtual('isExpired').get(function() {
+  return new Date() > this.expiresAt;
+});
+
+// Méthode statique pour hasher un token d'invitation (seul le hash est stocké)
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Méthode statique pour générer un token et son hash
+invitationSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+// Méthode statique pour retrouver une invitation valide à partir du token en clair
+invitationSchema.statics.findValidByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
\ No newline at end of file
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Offre de prêt d'une banque (ou d'un courtier)
+const offerSchema = new mongoose.Schema({
+  bank: {
+    type: String,
+    required: [true, 'Nom de la banque requis'],
+    trim: true,
+    maxlength: [100, 'Le nom de la banque ne peut pas dépasser 100 caractères']
+  },
+  // Montant emprunté ; à défaut, celui du prêt
+  amount: {
+    type: Number,
+    min: [0, 'Le montant doit être positif']
+  },
+  // Taux nominal annuel hors assurance, en %
+  rate: {
+    type: Number,
+    required: [true, 'Taux requis'],
+    min: [0, 'Le taux doit être positif'],
+    max: [20, 'Le taux ne peut pas dépasser 20 %']
+  },
+  durationMonths: {
+    type: Number,
+    required: [true, 'Durée requise'],
+    min: [12, 'La durée doit être d\'au moins 12 mois'],
+    max: [420, 'La durée ne peut pas dépasser 35 ans']
+  },
+  // Taux annuel de l'assurance emprunteur, en % du capital initial
+  insuranceRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le taux d\'assurance doit être positif'],
+    max: [5, 'Le taux d\'assurance ne peut pas dépasser 5 %']
+  },
+  fees: {
+    application: {
+      type: Number,
+      default: 0,
+      min: [0, 'Les frais doivent être positifs']
+    },
+    broker: {
+      type: Number,
+      default: 0,
+      min: [0, 'Les frais doivent être positifs']
+    },
+    other: {
+      type: Number,
+      default: 0,
+      min: [0, 'Les frais doivent être positifs']
+    }
+  },
+  guarantee: {
+    type: {
+      type: String,
+      enum: ['caution', 'hypotheque', 'ppd', 'aucune'],
+      default: 'caution'
+    },
+    cost: {
+      type: Number,
+      default: 0,
+      min: [0, 'Le coût de la garantie doit être positif']
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'received', 'accepted', 'declined', 'expired'],
+    default: 'pending'
+  },
+  receivedAt: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères']
+  }
+}, {
+  timestamps: true
+});
+
+const loanSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Propriété requise']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Prêt principal',
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  // Montant à financer
+  amount: {
+    type: Number,
+    required: [true, 'Montant requis'],
+    min: [1, 'Le montant doit être positif']
+  },
+  personalContribution: {
+    type: Number,
+    default: 0,
+    min: [0, 'L\'apport doit être positif']
+  },
+  // Revenus et charges déclarés du foyer, pour le taux d'endettement
+  household: {
+    monthlyIncome: {
+      type: Number,
+      min: [0, 'Les revenus doivent être positifs']
+    },
+    monthlyCharges: {
+      type: Number,
+      default: 0,
+      min: [0, 'Les charges doivent être positives']
+    }
+  },
+  offers: [offerSchema],
+  acceptedOffer: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['simulation', 'requested', 'accepted', 'cancelled'],
+    default: 'simulation'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour améliorer les performances
+loanSchema.index({ property: 1, isActive: 1 });
+
+// Méthode pour accepter une offre (les autres offres en cours sont déclinées)
+loanSchema.methods.acceptOffer = function(offerId) {
+  const now = new Date();
+
+  this.offers.forEach(offer => {
+    if (offer._id.equals(offerId)) {
+      offer.status = 'accepted';
+      offer.acceptedAt = now;
+    } else if (['pending', 'received', 'accepted'].includes(offer.status)) {
+      offer.status = 'declined';
+    }
+  });
+
+  this.acceptedOffer = offerId;
+  this.status = 'accepted';
+  return this.save();
+};
+
+module.exports = mongoose.model('Loan', loanSchema);
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  kind: {
+    type: String,
+    enum: ['step_reminder', 'event_reminder', 'step_deadline', 'document_expiration'],
+    required: [true, 'Type de notification requis']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'push', 'sms'],
+    required: [true, 'Canal requis']
+  },
+  // Clé unique garantissant qu'une même notification n'est créée qu'une fois
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+  step: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Step'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Le nombre de tentatives doit être positif']
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  // Raison pour laquelle la notification n'a pas été envoyée (statut « skipped »)
+  skipReason: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour améliorer les performances
+notificationSchema.index({ dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Contre-proposition du vendeur
+const counterOfferSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Montant requis'],
+    min: [0, 'Le montant doit être positif']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Offre d'achat faite au vendeur d'une propriété
+const offerSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Propriété requise']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Montant requis'],
+    min: [0, 'Le montant doit être positif']
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Conditions suspensives ou particulières de l'offre
+  conditions: [{
+    type: {
+      type: String,
+      enum: ['pret', 'vente_prealable', 'permis_construire', 'diagnostics', 'autre'],
+      default: 'autre'
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La condition ne peut pas dépasser 500 caractères']
+    }
+  }],
+  validUntil: {
+    type: Date
+  },
+  counterOffers: [counterOfferSchema],
+  // Échéance en vigueur : validité de la dernière contre-proposition, sinon de l'offre
+  expiresAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'expired', 'withdrawn'],
+    default: 'pending'
+  },
+  acceptedAmount: {
+    type: Number,
+    min: [0, 'Le montant doit être positif']
+  },
+  respondedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Les notes ne peuvent pas dépasser 1000 caractères']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+offerSchema.index({ property: 1, isActive: 1, offeredAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual pour la dernière contre-proposition
+offerSchema.virtual('latestCounterOffer').get(function() {
+  return this.counterOffers.length > 0 ? this.counterOffers[this.counterOffers.length - 1] : null;
+});
+
+// Tenir l'échéance à jour
+offerSchema.pre('save', function(next) {
+  const latest = this.latestCounterOffer;
+  this.expiresAt = (latest && latest.validUntil) || this.validUntil;
+  next();
+});
+
+// Méthode statique pour passer en « expirée » les offres en attente dont l'échéance est dépassée
+offerSchema.statics.expireOverdue = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
\ No newline at end of file
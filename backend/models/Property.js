@@ -123,6 +123,189 @@ const propertySchema = new mongoose.Schema({
     enum: ['excellent', 'good', 'fair', 'poor', 'renovation_needed'],
     required: [true, 'État du bien requis']
   },
+  // Coûts d'acquisition autres que le prix (voir services/acquisitionCosts)
+  acquisition: {
+    // Neuf ou VEFA : droits de mutation réduits
+    isNewBuild: {
+      type: Boolean,
+      default: false
+    },
+    agencyFees: {
+      amount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Les frais d\'agence doivent être positifs']
+      },
+      // true : frais inclus dans le prix affiché (FAI) ; false : en plus du prix
+      included: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Taux des droits de mutation (en %) si différent du taux par défaut du département
+    transferTaxRate: {
+      type: Number,
+      min: [0, 'Le taux doit être positif'],
+      max: [10, 'Le taux ne peut pas dépasser 10 %']
+    },
+    diagnostics: {
+      type: Number,
+      default: 0,
+      min: [0, 'Le coût des diagnostics doit être positif']
+    },
+    works: [{
+      description: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Le montant des travaux doit être positif']
+      }
+    }],
+    budget: {
+      type: Number,
+      min: [0, 'Le budget doit être positif']
+    }
+  },
+  // Copropriété (appartements) ; chaque élément renvoie aux documents qui l'attestent
+  // (procès-verbaux d'AG, carnet d'entretien...) déposés via /api/documents
+  copropriete: {
+    lots: {
+      type: Number,
+      min: [1, 'Le nombre de lots doit être positif']
+    },
+    // Quote-part annuelle des charges de copropriété pour le lot
+    annualCharges: {
+      type: Number,
+      min: [0, 'Les charges doivent être positives']
+    },
+    // Fonds de travaux (loi ALUR) : part attachée au lot
+    worksFund: {
+      balance: {
+        type: Number,
+        min: [0, 'Le montant doit être positif']
+      },
+      annualContribution: {
+        type: Number,
+        min: [0, 'Le montant doit être positif']
+      }
+    },
+    // Travaux votés en AG ou envisagés ; le montant est la quote-part du lot
+    works: [{
+      description: {
+        type: String,
+        required: [true, 'Description des travaux requise'],
+        trim: true,
+        maxlength: [300, 'La description ne peut pas dépasser 300 caractères']
+      },
+      status: {
+        type: String,
+        enum: ['planned', 'voted', 'completed'],
+        default: 'planned'
+      },
+      amount: {
+        type: Number,
+        min: [0, 'Le montant doit être positif']
+      },
+      votedAt: Date,
+      expectedDate: Date,
+      documents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      }]
+    }],
+    syndic: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+      },
+      type: {
+        type: String,
+        enum: ['professionnel', 'benevole', 'cooperatif'],
+        default: 'professionnel'
+      },
+      contactName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      phone: {
+        type: String,
+        trim: true
+      }
+    },
+    // Procédures en cours (contentieux, impayés, arrêté de péril...)
+    procedures: [{
+      description: {
+        type: String,
+        required: [true, 'Description de la procédure requise'],
+        trim: true,
+        maxlength: [300, 'La description ne peut pas dépasser 300 caractères']
+      },
+      type: {
+        type: String,
+        enum: ['contentieux', 'impayes', 'peril', 'autre'],
+        default: 'autre'
+      },
+      status: {
+        type: String,
+        enum: ['ongoing', 'closed'],
+        default: 'ongoing'
+      },
+      documents: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      }]
+    }],
+    // Documents généraux (règlement, PV d'AG, carnet d'entretien)
+    documents: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }]
+  },
+  // Temps de trajet vers les lieux importants (travail, école...)
+  commutes: [{
+    label: {
+      type: String,
+      required: [true, 'Libellé du trajet requis'],
+      trim: true,
+      maxlength: [50, 'Le libellé ne peut pas dépasser 50 caractères']
+    },
+    minutes: {
+      type: Number,
+      required: [true, 'Durée du trajet requise'],
+      min: [0, 'La durée doit être positive']
+    },
+    mode: {
+      type: String,
+      enum: ['transports', 'voiture', 'velo', 'marche'],
+      default: 'transports'
+    }
+  }],
+  // Notes moyennes des comptes rendus de visite (voir services/visitScores)
+  visitScores: {
+    light: Number,
+    noise: Number,
+    condition: Number,
+    layout: Number,
+    neighbourhood: Number,
+    copropriete: Number,
+    overall: Number,
+    ratingsCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
   photos: [{
     url: {
       type: String,
@@ -146,10 +329,35 @@ const propertySchema = new mongoose.Schema({
     enum: ['searching', 'visiting', 'offer_made', 'compromis_signed', 'loan_pending', 'final_signature', 'keys_received', 'cancelled'],
     default: 'searching'
   },
+  // 'auto' : statut déduit des étapes ; 'manual' : statut forcé par un utilisateur
+  statusSource: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  statusOverride: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'La raison ne peut pas dépasser 500 caractères']
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: {
+      type: Date
+    }
+  },
   currentStep: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Step'
   },
+  // Modèle de parcours utilisé pour créer les étapes
+  workflowTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowTemplate'
+  },
   agent: {
     name: {
       type: String,
@@ -214,6 +422,11 @@ const propertySchema = new mongoose.Schema({
       enum: ['viewer', 'editor'],
       default: 'viewer'
     },
+    relationship: {
+      type: String,
+      enum: ['co_acquereur', 'partenaire', 'notaire', 'agent', 'autre'],
+      default: 'autre'
+    },
     sharedAt: {
       type: Date,
       default: Date.now
@@ -227,10 +440,12 @@ const propertySchema = new mongoose.Schema({
 
 // Index pour améliorer les performances
 propertySchema.index({ owner: 1, createdAt: -1 });
+propertySchema.index({ 'sharedWith.user': 1 });
 propertySchema.index({ status: 1 });
 propertySchema.index({ 'address.city': 1 });
 propertySchema.index({ 'price.amount': 1 });
 propertySchema.index({ 'details.surface': 1 });
+propertySchema.index({ 'visitScores.overall': -1 });
 
 // Virtual pour l'adresse complète
 propertySchema.virtual('fullAddress').get(function() {
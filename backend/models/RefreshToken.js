@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Un refresh token par rotation ; tous les tokens d'une même session
+// (un appareil) partagent la même famille.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  family: {
+    type: String,
+    required: [true, 'Famille requise']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_changed']
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour améliorer les performances
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Suppression automatique des tokens expirés
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Méthode statique pour hasher un refresh token (seul le hash est stocké)
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Méthode statique pour émettre un refresh token, dans une nouvelle famille si aucune n'est fournie
+refreshTokenSchema.statics.issue = async function(userId, { family, userAgent, ip } = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expireDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+  const refreshToken = await this.create({
+    user: userId,
+    family: family || crypto.randomUUID(),
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip
+  });
+
+  return { token, refreshToken };
+};
+
+// Méthode statique pour révoquer toute une famille (une session)
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Méthode statique pour révoquer toutes les sessions d'un utilisateur, sauf éventuellement une
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason, exceptFamily) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptFamily) filter.family = { $ne: exceptFamily };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Méthode statique pour vérifier qu'une session est toujours active
+refreshTokenSchema.statics.isSessionActive = async function(family, userId) {
+  const token = await this.exists({
+    family,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
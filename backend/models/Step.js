@@ -4,7 +4,9 @@ const stepSchema = new mongoose.Schema({
   property: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property',
-    required: [true, 'Propriété requise']
+    required: [function() {
+      return !this.isTemplate;
+    }, 'Propriété requise']
   },
   name: {
     type: String,
@@ -157,6 +159,8 @@ const stepSchema = new mongoose.Schema({
       type: Date
     }
   }],
+  // { step: X, type: 'blocks' } : X doit être terminée avant de commencer cette étape
+  // { step: X, type: 'triggers' } : cette étape démarre automatiquement quand X est terminée
   dependencies: [{
     step: {
       type: mongoose.Schema.Types.ObjectId,
@@ -179,6 +183,18 @@ const stepSchema = new mongoose.Schema({
       return this.isTemplate;
     }
   },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowTemplate',
+    required: function() {
+      return this.isTemplate;
+    }
+  },
+  // Date limite relative (en jours après l'instanciation du modèle)
+  deadlineOffsetDays: {
+    type: Number,
+    min: [0, 'Le délai doit être positif']
+  },
   completionPercentage: {
     type: Number,
     min: [0, 'Le pourcentage doit être entre 0 et 100'],
@@ -202,6 +218,7 @@ stepSchema.index({ category: 1 });
 stepSchema.index({ 'dates.deadline': 1 });
 stepSchema.index({ assignedTo: 1 });
 stepSchema.index({ isTemplate: 1, templateCategory: 1 });
+stepSchema.index({ template: 1, order: 1 });
 
 // Virtual pour vérifier si l'étape est en retard
 stepSchema.virtual('isOverdue').get(function() {
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -50,8 +51,10 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  calendarFeedToken: String,
   lastLogin: {
     type: Date,
     default: null
@@ -71,6 +74,103 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'Europe/Paris'
     }
+  },
+  // Situation financière du foyer, pour la capacité d'emprunt (voir services/affordability)
+  financialProfile: {
+    incomes: [{
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Le libellé ne peut pas dépasser 100 caractères']
+      },
+      // Les revenus locatifs ne sont retenus qu'à 70 % par les banques
+      type: {
+        type: String,
+        enum: ['salaire', 'independant', 'pension', 'locatif', 'autre'],
+        default: 'salaire'
+      },
+      monthlyAmount: {
+        type: Number,
+        required: [true, 'Montant mensuel requis'],
+        min: [0, 'Le revenu doit être positif']
+      }
+    }],
+    existingLoans: [{
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Le libellé ne peut pas dépasser 100 caractères']
+      },
+      monthlyPayment: {
+        type: Number,
+        required: [true, 'Mensualité requise'],
+        min: [0, 'La mensualité doit être positive']
+      },
+      endDate: {
+        type: Date
+      }
+    }],
+    // Autres charges récurrentes (pension alimentaire, loyer conservé...)
+    monthlyCharges: {
+      type: Number,
+      default: 0,
+      min: [0, 'Les charges doivent être positives']
+    },
+    savings: {
+      type: Number,
+      default: 0,
+      min: [0, 'L\'épargne doit être positive']
+    },
+    // Part de l'épargne mobilisée pour l'achat
+    personalContribution: {
+      type: Number,
+      default: 0,
+      min: [0, 'L\'apport doit être positif']
+    },
+    householdSize: {
+      type: Number,
+      default: 1,
+      min: [1, 'Le foyer compte au moins une personne'],
+      max: [20, 'Taille du foyer invalide']
+    },
+    // Critères du prêt à taux zéro
+    ptz: {
+      // Non propriétaire de sa résidence principale depuis deux ans
+      firstTimeBuyer: {
+        type: Boolean,
+        default: false
+      },
+      // Revenu fiscal de référence de l'année N-2
+      taxableIncome: {
+        type: Number,
+        min: [0, 'Le revenu fiscal doit être positif']
+      },
+      zone: {
+        type: String,
+        enum: ['Abis', 'A', 'B1', 'B2', 'C']
+      }
+    },
+    // Hypothèses de prêt utilisées pour la capacité d'emprunt
+    loanAssumptions: {
+      rate: {
+        type: Number,
+        default: 3.5,
+        min: [0, 'Le taux doit être positif'],
+        max: [20, 'Le taux ne peut pas dépasser 20 %']
+      },
+      durationMonths: {
+        type: Number,
+        default: 300,
+        min: [12, 'La durée doit être d\'au moins 12 mois'],
+        max: [420, 'La durée ne peut pas dépasser 35 ans']
+      },
+      insuranceRate: {
+        type: Number,
+        default: 0.3,
+        min: [0, 'Le taux d\'assurance doit être positif'],
+        max: [5, 'Le taux d\'assurance ne peut pas dépasser 5 %']
+      }
+    }
   }
 }, {
   timestamps: true,
@@ -78,8 +178,10 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
+      delete ret.calendarFeedToken;
       return ret;
     }
   }
@@ -88,6 +190,7 @@ const userSchema = new mongoose.Schema({
 // Index pour améliorer les performances
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Middleware pour hasher le mot de passe avant sauvegarde
 userSchema.pre('save', async function(next) {
@@ -118,4 +221,25 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Méthode statique pour hasher un token à usage unique (seul le hash est stocké)
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Méthode pour générer un token de vérification d'email (valable 24h)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Méthode pour générer un token de réinitialisation du mot de passe (valable 1h)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Critères notés lors d'une visite (de 1 à 5)
+const SCORE_CRITERIA = ['light', 'noise', 'condition', 'layout', 'neighbourhood', 'copropriete'];
+
+const scoreField = {
+  type: Number,
+  min: [1, 'La note doit être comprise entre 1 et 5'],
+  max: [5, 'La note doit être comprise entre 1 et 5']
+};
+
+// Notes d'un participant à la visite (chaque co-acquéreur note séparément)
+const ratingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  scores: SCORE_CRITERIA.reduce((fields, criterion) => ({ ...fields, [criterion]: scoreField }), {}),
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Le commentaire ne peut pas dépasser 1000 caractères']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Moyenne des critères notés par le participant
+ratingSchema.virtual('overall').get(function() {
+  const values = SCORE_CRITERIA
+    .map(criterion => this.scores && this.scores[criterion])
+    .filter(value => typeof value === 'number');
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+});
+
+const visitReportSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Propriété requise']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarEvent'
+  },
+  step: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Step'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilisateur requis']
+  },
+  visitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ratings: [ratingSchema],
+  defects: [{
+    description: {
+      type: String,
+      required: [true, 'Description du défaut requise'],
+      trim: true,
+      maxlength: [500, 'La description ne peut pas dépasser 500 caractères']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'L\'emplacement ne peut pas dépasser 100 caractères']
+    },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    estimatedCost: {
+      type: Number,
+      min: [0, 'Le coût estimé doit être positif']
+    }
+  }],
+  questions: [{
+    question: {
+      type: String,
+      required: [true, 'Question requise'],
+      trim: true,
+      maxlength: [500, 'La question ne peut pas dépasser 500 caractères']
+    },
+    answer: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'La réponse ne peut pas dépasser 1000 caractères']
+    },
+    answeredAt: Date
+  }],
+  photos: [{
+    url: {
+      type: String,
+      required: true
+    },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La légende ne peut pas dépasser 200 caractères']
+    }
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Les notes ne peuvent pas dépasser 2000 caractères']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index pour améliorer les performances
+visitReportSchema.index({ property: 1, isActive: 1, visitedAt: -1 });
+visitReportSchema.index({ event: 1 });
+
+// Méthode pour enregistrer (ou remplacer) les notes d'un participant
+visitReportSchema.methods.setRating = function(userId, { scores, comment }) {
+  let rating = this.ratings.find(item => item.user.equals(userId));
+  if (!rating) {
+    this.ratings.push({ user: userId });
+    rating = this.ratings[this.ratings.length - 1];
+  }
+
+  rating.scores = scores || {};
+  rating.comment = comment;
+  return rating;
+};
+
+module.exports = mongoose.model('VisitReport', visitReportSchema);
+module.exports.SCORE_CRITERIA = SCORE_CRITERIA;
\ No newline at end of file
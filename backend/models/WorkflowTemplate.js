@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// En-tête d'un modèle de parcours ; les étapes sont des Step avec isTemplate = true
+const workflowTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nom du modèle requis'],
+    trim: true,
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La description ne peut pas dépasser 500 caractères']
+  },
+  templateCategory: {
+    type: String,
+    enum: ['achat_neuf', 'achat_ancien', 'investissement', 'premier_achat'],
+    required: [true, 'Catégorie de modèle requise']
+  },
+  // Modèles fournis par l'application : sans propriétaire, non modifiables
+  isBuiltIn: {
+    type: Boolean,
+    default: false
+  },
+  builtInKey: {
+    type: String,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.isBuiltIn;
+    }
+  },
+  // Ajustement des délais légaux calculés à partir du compromis (voir services/legalDeadlines)
+  legalDeadlines: [{
+    key: {
+      type: String,
+      enum: ['sru', 'dia', 'loan', 'acte'],
+      required: true
+    },
+    days: {
+      type: Number,
+      min: [1, 'Le délai doit être d\'au moins un jour']
+    },
+    months: {
+      type: Number,
+      min: [1, 'Le délai doit être d\'au moins un mois']
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index pour améliorer les performances
+workflowTemplateSchema.index({ builtInKey: 1 }, { unique: true, sparse: true });
+workflowTemplateSchema.index({ owner: 1, isActive: 1 });
+workflowTemplateSchema.index({ templateCategory: 1, isBuiltIn: 1 });
+
+module.exports = mongoose.model('WorkflowTemplate', workflowTemplateSchema);
\ No newline at end of file
@@ -3,7 +3,12 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const Property = require('../models/Property');
+const Invitation = require('../models/Invitation');
+const RefreshToken = require('../models/RefreshToken');
+const { auth } = require('../middleware/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
+const { borrowingCapacity, ptzEligibility } = require('../services/affordability');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -19,6 +24,29 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting pour le renvoi de l'email de vérification (par utilisateur)
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 3, // 3 renvois par utilisateur
+  keyGenerator: (req) => req.user.id.toString(),
+  message: {
+    error: 'Trop de demandes de renvoi. Réessayez dans une heure.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting pour les demandes de réinitialisation du mot de passe
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5, // 5 demandes par IP
+  message: {
+    error: 'Trop de demandes de réinitialisation. Réessayez dans une heure.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validation pour l'inscription
 const registerValidation = [
   body('email')
@@ -41,7 +69,11 @@ const registerValidation = [
   body('phone')
     .optional()
     .isMobilePhone('fr-FR')
-    .withMessage('Numéro de téléphone invalide')
+    .withMessage('Numéro de téléphone invalide'),
+  body('invitationToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invitation invalide')
 ];
 
 // Validation pour la connexion
@@ -55,15 +87,29 @@ const loginValidation = [
     .withMessage('Mot de passe requis')
 ];
 
-// Fonction pour générer un token JWT
-const generateToken = (userId) => {
+// Fonction pour générer un token JWT (courte durée, lié à une session)
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Fonction pour ouvrir une session (un appareil) ou la prolonger après rotation
+const createSession = async (userId, req, family) => {
+  const { token: refreshToken, refreshToken: record } = await RefreshToken.issue(userId, {
+    family,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(userId, record.family),
+    refreshToken
+  };
+};
+
 // @route   POST /api/auth/register
 // @desc    Inscription d'un nouvel utilisateur
 // @access  Public
@@ -79,7 +125,7 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
-    const { email, password, firstName, lastName, phone } = req.body;
+    const { email, password, firstName, lastName, phone, invitationToken } = req.body;
 
     // Vérifier si l'utilisateur existe déjà
     const existingUser = await User.findOne({ email });
@@ -90,6 +136,18 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
+    // Vérifier l'invitation éventuelle (valide et destinée à cet email)
+    let invitation = null;
+    if (invitationToken) {
+      invitation = await Invitation.findValidByToken(invitationToken);
+      if (!invitation || invitation.email !== email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation invalide ou expirée'
+        });
+      }
+    }
+
     // Créer le nouvel utilisateur
     const user = new User({
       email,
@@ -99,24 +157,59 @@ router.post('/register', registerValidation, async (req, res) => {
       phone
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Générer le token
-    const token = generateToken(user._id);
+    // Envoyer l'email de vérification (l'inscription ne doit pas échouer si l'envoi échoue)
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Erreur lors de l\'envoi de l\'email de vérification:', mailError);
+    }
+
+    // Accepter l'invitation : donner accès à la propriété partagée
+    if (invitation) {
+      await Property.updateOne(
+        { _id: invitation.property, 'sharedWith.user': { $ne: user._id } },
+        {
+          $push: {
+            sharedWith: {
+              user: user._id,
+              role: invitation.role,
+              relationship: invitation.relationship
+            }
+          }
+        }
+      );
+
+      invitation.status = 'accepted';
+      invitation.acceptedBy = user._id;
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+    }
+
+    // Ouvrir la session
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'Utilisateur créé avec succès',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
           fullName: user.fullName,
-          role: user.role
-        }
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        invitation: invitation ? {
+          property: invitation.property,
+          role: invitation.role
+        } : null
       }
     });
   } catch (error) {
@@ -174,14 +267,15 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
     // Mettre à jour la dernière connexion
     await user.updateLastLogin();
 
-    // Générer le token
-    const token = generateToken(user._id);
+    // Ouvrir la session
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.json({
       success: true,
       message: 'Connexion réussie',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -227,6 +321,7 @@ router.get('/me', auth, async (req, res) => {
           phone: user.phone,
           avatar: user.avatar,
           role: user.role,
+          emailVerified: user.emailVerified,
           preferences: user.preferences,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin
@@ -316,6 +411,150 @@ router.put('/profile', auth, [
   }
 });
 
+// Sections du profil financier modifiables
+const FINANCIAL_PROFILE_FIELDS = [
+  'incomes', 'existingLoans', 'monthlyCharges', 'savings', 'personalContribution',
+  'householdSize', 'ptz', 'loanAssumptions'
+];
+
+// @route   GET /api/auth/financial-profile
+// @desc    Obtenir le profil financier du foyer et sa capacité d'emprunt
+// @access  Private
+router.get('/financial-profile', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('financialProfile').lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    const profile = user.financialProfile || {};
+
+    res.json({
+      success: true,
+      data: {
+        financialProfile: profile,
+        capacity: borrowingCapacity(profile),
+        ptz: ptzEligibility(profile)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du profil financier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/auth/financial-profile
+// @desc    Mettre à jour le profil financier du foyer (chaque section fournie est remplacée)
+// @access  Private
+router.put('/financial-profile', auth, [
+  body('incomes')
+    .optional()
+    .isArray()
+    .withMessage('Les revenus doivent être une liste'),
+  body('incomes.*.type')
+    .optional()
+    .isIn(['salaire', 'independant', 'pension', 'locatif', 'autre'])
+    .withMessage('Type de revenu invalide'),
+  body('incomes.*.monthlyAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Le revenu mensuel doit être un nombre positif'),
+  body('existingLoans')
+    .optional()
+    .isArray()
+    .withMessage('Les crédits en cours doivent être une liste'),
+  body('existingLoans.*.monthlyPayment')
+    .isFloat({ min: 0 })
+    .withMessage('La mensualité doit être un nombre positif'),
+  body('existingLoans.*.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+  body(['monthlyCharges', 'savings', 'personalContribution'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les montants doivent être des nombres positifs'),
+  body('householdSize')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('La taille du foyer doit être comprise entre 1 et 20'),
+  body('ptz.firstTimeBuyer')
+    .optional()
+    .isBoolean()
+    .withMessage('Indicateur de primo-accession invalide'),
+  body('ptz.taxableIncome')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le revenu fiscal doit être un nombre positif'),
+  body('ptz.zone')
+    .optional()
+    .isIn(['Abis', 'A', 'B1', 'B2', 'C'])
+    .withMessage('Zone invalide'),
+  body('loanAssumptions.rate')
+    .optional()
+    .isFloat({ min: 0, max: 20 })
+    .withMessage('Le taux doit être compris entre 0 et 20 %'),
+  body('loanAssumptions.durationMonths')
+    .optional()
+    .isInt({ min: 12, max: 420 })
+    .withMessage('La durée doit être comprise entre 12 et 420 mois'),
+  body('loanAssumptions.insuranceRate')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Le taux d\'assurance doit être compris entre 0 et 5 %')
+], async (req, res) => {
+  try {
+    // Vérifier les erreurs de validation
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    FINANCIAL_PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user.financialProfile[field] = req.body[field];
+      }
+    });
+
+    await user.save();
+
+    const profile = user.toObject().financialProfile;
+
+    res.json({
+      success: true,
+      message: 'Profil financier mis à jour avec succès',
+      data: {
+        financialProfile: profile,
+        capacity: borrowingCapacity(profile),
+        ptz: ptzEligibility(profile)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du profil financier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   PUT /api/auth/change-password
 // @desc    Changer le mot de passe
 // @access  Private
@@ -363,6 +602,9 @@ router.put('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Déconnecter les autres appareils
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
     res.json({
       success: true,
       message: 'Mot de passe modifié avec succès'
@@ -376,14 +618,351 @@ router.put('/change-password', auth, [
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Vérifier l'adresse email avec le token reçu
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isHexadecimal()
+    .withMessage('Token invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de vérification invalide ou expiré'
+      });
+    }
+
+    // Le token est à usage unique
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Adresse email vérifiée avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la vérification de l\'email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Renvoyer l'email de vérification
+// @access  Private
+router.post('/resend-verification', auth, resendVerificationLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Utilisateur non trouvé'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adresse email déjà vérifiée'
+      });
+    }
+
+    // Un nouveau token invalide le précédent
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Email de vérification envoyé'
+    });
+  } catch (error) {
+    console.error('Erreur lors du renvoi de l\'email de vérification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Demander un lien de réinitialisation du mot de passe
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Même réponse que l'utilisateur existe ou non
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        throw mailError;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Si un compte existe pour cet email, un lien de réinitialisation a été envoyé'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Réinitialiser le mot de passe avec le token reçu
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, [
+  body('token')
+    .isHexadecimal()
+    .withMessage('Token invalide'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Le mot de passe doit contenir au moins 6 caractères')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lien de réinitialisation invalide ou expiré'
+      });
+    }
+
+    // Le token est à usage unique ; le lien reçu par email prouve aussi l'adresse
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.emailVerified = true;
+    await user.save();
+
+    // Déconnecter tous les appareils
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Mot de passe réinitialisé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Obtenir un nouveau token d'accès (rotation du refresh token)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isHexadecimal()
+    .withMessage('Refresh token invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+    const current = await RefreshToken.findOne({ tokenHash });
+
+    if (!current || current.revokedAt || current.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expirée. Veuillez vous reconnecter.'
+      });
+    }
+
+    // Marquer le token comme utilisé ; s'il l'était déjà, il a été volé ou rejoué
+    const consumed = await RefreshToken.findOneAndUpdate(
+      { _id: current._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() }
+    );
+
+    if (!consumed) {
+      await RefreshToken.revokeFamily(current.family, 'reuse_detected');
+      console.warn(`Réutilisation d'un refresh token détectée (session ${current.family})`);
+      return res.status(401).json({
+        success: false,
+        message: 'Session révoquée. Veuillez vous reconnecter.'
+      });
+    }
+
+    const user = await User.findById(current.user);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(current.family, 'logout');
+      return res.status(401).json({
+        success: false,
+        message: 'Compte désactivé. Contactez l\'administrateur.'
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user._id, req, current.family);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du renouvellement du token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Lister les sessions actives (appareils connectés)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await RefreshToken.aggregate([
+      { $match: { user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$family',
+          userAgent: { $first: '$userAgent' },
+          ip: { $first: '$ip' },
+          lastUsedAt: { $first: '$createdAt' },
+          expiresAt: { $first: '$expiresAt' }
+        }
+      },
+      { $sort: { lastUsedAt: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id === req.user.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Déconnexion (côté client principalement)
+// @desc    Déconnexion de la session courante
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Déconnexion réussie'
-  });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await RefreshToken.revokeFamily(req.user.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Déconnexion réussie'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Déconnexion de tous les appareils
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user.id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Déconnexion de tous les appareils réussie'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion de tous les appareils:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
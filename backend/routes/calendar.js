@@ -2,10 +2,51 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const CalendarEvent = require('../models/Calendar');
 const Property = require('../models/Property');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const {
+  canRead,
+  canEdit,
+  canManage,
+  editablePropertyFilter,
+  getReadablePropertyIds,
+  readableEventFilter
+} = require('../middleware/permissions');
+
+const { buildCalendar } = require('../services/icalendar');
+const {
+  parseCalendar,
+  guessEventType,
+  mapStatus,
+  matchPropertyByAddress
+} = require('../services/icalImport');
+const crypto = require('crypto');
+const multer = require('multer');
+const path = require('path');
 
 const router = express.Router();
 
+// Import de fichiers .ics : gardés en mémoire, jamais écrits sur disque
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.ICS_MAX_FILE_SIZE) || 1024 * 1024, // 1MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.ics' || file.mimetype === 'text/calendar') {
+      return cb(null, true);
+    }
+    cb(new Error('Type de fichier non autorisé'));
+  }
+});
+
+// Charger le bien rattaché à un événement pour les contrôles d'accès
+const loadEventProperty = (event) => {
+  if (!event.property) return null;
+  return Property.findById(event.property).select('owner sharedWith');
+};
+
 // Validation pour les événements
 const eventValidation = [
   body('title')
@@ -77,11 +118,9 @@ router.get('/events', auth, [
     } = req.query;
 
     // Construire le filtre
+    const propertyIds = await getReadablePropertyIds(req.user.id);
     const filter = {
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ],
+      ...readableEventFilter(req.user.id, propertyIds),
       isActive: true
     };
 
@@ -150,7 +189,7 @@ router.get('/events', auth, [
 router.get('/events/:id', auth, async (req, res) => {
   try {
     const event = await CalendarEvent.findById(req.params.id)
-      .populate('property', 'title address owner')
+      .populate('property', 'title address owner sharedWith')
       .populate('step', 'name category status')
       .populate('owner', 'firstName lastName email')
       .populate('documents')
@@ -164,10 +203,7 @@ router.get('/events/:id', auth, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur a accès à cet événement
-    const hasAccess = event.owner._id.toString() === req.user.id ||
-                     event.sharedWith.some(share => share.user._id.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!canRead('event', event, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -202,14 +238,11 @@ router.post('/events', auth, eventValidation, async (req, res) => {
       });
     }
 
-    // Si une propriété est spécifiée, vérifier que l'utilisateur y a accès
+    // Si une propriété est spécifiée, vérifier que l'utilisateur peut la modifier
     if (req.body.property) {
       const property = await Property.findOne({
         _id: req.body.property,
-        $or: [
-          { owner: req.user.id },
-          { 'sharedWith.user': req.user.id }
-        ]
+        ...editablePropertyFilter(req.user.id)
       });
 
       if (!property) {
@@ -271,15 +304,34 @@ router.put('/events/:id', auth, eventValidation, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur peut modifier cet événement
-    if (event.owner.toString() !== req.user.id) {
+    const property = await loadEventProperty(event);
+    if (!canEdit('event', event, req.user.id, { property })) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
       });
     }
 
+    // Identité iCalendar (uid, source, sequence) gérée par le serveur : jamais modifiée par le client
+    const { owner, createdBy, sharedWith, uid, source, sequence, ...updates } = req.body;
+
+    // Rattacher l'événement à une autre propriété nécessite de pouvoir la modifier
+    if (updates.property && updates.property !== (event.property && event.property.toString())) {
+      const newProperty = await Property.findOne({
+        _id: updates.property,
+        ...editablePropertyFilter(req.user.id)
+      });
+
+      if (!newProperty) {
+        return res.status(404).json({
+          success: false,
+          message: 'Propriété non trouvée'
+        });
+      }
+    }
+
     // Mettre à jour les champs
-    Object.assign(event, req.body);
+    Object.assign(event, updates);
     event.lastModifiedBy = req.user.id;
     
     await event.save();
@@ -328,11 +380,9 @@ router.put('/events/:id/status', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur a accès à cet événement
-    const hasAccess = event.owner.toString() === req.user.id ||
-                     event.sharedWith.some(share => share.user.toString() === req.user.id);
-
-    if (!hasAccess) {
+    // Vérifier que l'utilisateur peut modifier cet événement
+    const property = await loadEventProperty(event);
+    if (!canEdit('event', event, req.user.id, { property })) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -394,7 +444,8 @@ router.post('/events/:id/postpone', auth, [
     }
 
     // Vérifier que l'utilisateur peut modifier cet événement
-    if (event.owner.toString() !== req.user.id) {
+    const property = await loadEventProperty(event);
+    if (!canEdit('event', event, req.user.id, { property })) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -402,6 +453,7 @@ router.post('/events/:id/postpone', auth, [
     }
 
     const { newStartDate, newEndDate } = req.body;
+    event.lastModifiedBy = req.user.id;
 
     await event.postpone(new Date(newStartDate), newEndDate ? new Date(newEndDate) : null);
 
@@ -433,8 +485,9 @@ router.delete('/events/:id', auth, async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur peut supprimer cet événement
-    if (event.owner.toString() !== req.user.id) {
+    // Seul le propriétaire peut supprimer cet événement
+    const property = await loadEventProperty(event);
+    if (!canManage('event', event, req.user.id, { property })) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -481,11 +534,9 @@ router.get('/upcoming', auth, [
     const now = new Date();
     const endDate = new Date(now.getTime() + (days * 24 * 60 * 60 * 1000));
 
+    const propertyIds = await getReadablePropertyIds(req.user.id);
     const events = await CalendarEvent.find({
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ],
+      ...readableEventFilter(req.user.id, propertyIds),
       isActive: true,
       startDate: {
         $gte: now,
@@ -518,11 +569,9 @@ router.get('/overdue', auth, async (req, res) => {
   try {
     const now = new Date();
 
+    const propertyIds = await getReadablePropertyIds(req.user.id);
     const events = await CalendarEvent.find({
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ],
+      ...readableEventFilter(req.user.id, propertyIds),
       isActive: true,
       endDate: { $lt: now },
       status: { $in: ['scheduled', 'confirmed'] }
@@ -555,11 +604,9 @@ router.get('/stats', auth, async (req, res) => {
     const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
     const next7Days = new Date(now.getTime() + (7 * 24 * 60 * 60 * 1000));
 
+    const propertyIds = await getReadablePropertyIds(req.user.id);
     const filter = {
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ],
+      ...readableEventFilter(req.user.id, propertyIds),
       isActive: true
     };
 
@@ -617,4 +664,351 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Filtres communs à l'export et au flux d'abonnement
+const exportQueryValidation = [
+  query('property')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de propriété invalide'),
+  query('type')
+    .optional()
+    .isIn(['visite', 'rendez_vous_notaire', 'rendez_vous_banque', 'signature', 'remise_cles', 'expertise', 'diagnostic', 'reunion', 'appel', 'echeance', 'rappel', 'autre'])
+    .withMessage('Type invalide')
+];
+
+// Rechercher les événements exportables pour un utilisateur
+// (les événements annulés sont inclus pour que les clients les marquent CANCELLED)
+const findExportEvents = async (userId, { property, type }) => {
+  const propertyIds = await getReadablePropertyIds(userId);
+  const filter = {
+    ...readableEventFilter(userId, propertyIds),
+    isActive: true
+  };
+
+  if (property) filter.property = property;
+  if (type) filter.type = type;
+
+  return CalendarEvent.find(filter)
+    .sort({ startDate: 1 })
+    .populate('property', 'title')
+    .lean();
+};
+
+// Envoyer un calendrier iCalendar
+const sendCalendar = (res, events, { filename, name }) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(buildCalendar(events, { name }));
+};
+
+// @route   GET /api/calendar/export.ics
+// @desc    Exporter les événements au format iCalendar
+// @access  Private
+router.get('/export.ics', auth, exportQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const events = await findExportEvents(req.user.id, req.query);
+
+    sendCalendar(res, events, { filename: 'apparttracker.ics', name: 'AppartTracker' });
+  } catch (error) {
+    console.error('Erreur lors de l\'export du calendrier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed/token
+// @desc    Générer (ou régénérer) l'URL secrète d'abonnement au calendrier
+// @access  Private
+router.post('/feed/token', auth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Seul le hash est stocké : l'ancienne URL cesse de fonctionner
+    await User.updateOne(
+      { _id: req.user.id },
+      { calendarFeedToken: User.hashToken(token) }
+    );
+
+    res.json({
+      success: true,
+      message: 'URL d\'abonnement générée avec succès',
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la génération de l\'URL d\'abonnement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed/token
+// @desc    Révoquer l'URL d'abonnement au calendrier
+// @access  Private
+router.delete('/feed/token', auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { calendarFeedToken: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'URL d\'abonnement révoquée avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la révocation de l\'URL d\'abonnement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    Flux iCalendar d'abonnement (Google, Outlook, Apple)
+// @access  Public (token secret)
+router.get('/feed/:token.ics', exportQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendrier non trouvé'
+      });
+    }
+
+    const user = await User.findOne({
+      calendarFeedToken: User.hashToken(req.params.token),
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendrier non trouvé'
+      });
+    }
+
+    const events = await findExportEvents(user._id, req.query);
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    sendCalendar(res, events, { name: `AppartTracker — ${user.firstName}` });
+  } catch (error) {
+    console.error('Erreur lors de la génération du flux calendrier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/calendar/import
+// @desc    Importer des événements depuis un fichier iCalendar (.ics)
+// @access  Private
+router.post('/import', auth, (req, res, next) => {
+  icsUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Fichier trop volumineux' : 'Fichier invalide'
+      });
+    }
+    next();
+  });
+}, [
+  body('property')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('ID de propriété invalide'),
+  body('type')
+    .optional({ checkFalsy: true })
+    .isIn(['visite', 'rendez_vous_notaire', 'rendez_vous_banque', 'signature', 'remise_cles', 'expertise', 'diagnostic', 'reunion', 'appel', 'echeance', 'rappel', 'autre'])
+    .withMessage('Type d\'événement invalide'),
+  body('linkByAddress')
+    .optional()
+    .isBoolean()
+    .withMessage('linkByAddress doit être un booléen')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier .ics requis'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCalendar(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier iCalendar illisible'
+      });
+    }
+
+    if (parsed.events.length === 0 && parsed.invalid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun événement trouvé dans le fichier'
+      });
+    }
+
+    // Bien imposé par l'utilisateur, sinon rapprochement par adresse parmi les biens modifiables
+    let forcedProperty = null;
+    if (req.body.property) {
+      forcedProperty = await Property.findOne({
+        _id: req.body.property,
+        ...editablePropertyFilter(req.user.id)
+      }).select('title address');
+
+      if (!forcedProperty) {
+        return res.status(404).json({
+          success: false,
+          message: 'Propriété non trouvée'
+        });
+      }
+    }
+
+    const linkByAddress = !forcedProperty && String(req.body.linkByAddress) !== 'false';
+    const properties = linkByAddress
+      ? await Property.find(editablePropertyFilter(req.user.id)).select('title address')
+      : [];
+
+    // Les UID sont dédupliqués par utilisateur : un nouvel import met à jour l'événement
+    const existing = await CalendarEvent.find({
+      owner: req.user.id,
+      uid: { $in: parsed.events.map(item => item.uid) }
+    });
+    const existingByUid = new Map(existing.map(event => [event.uid, event]));
+
+    // Chaque événement est validé et enregistré séparément : un VEVENT invalide est signalé
+    // dans `errors` sans interrompre l'import des autres
+    const summary = { created: 0, updated: 0, skipped: 0, linked: 0, failed: parsed.invalid.length };
+    const events = [];
+    const importErrors = [...parsed.invalid];
+
+    for (const item of parsed.events) {
+      const property = forcedProperty || (linkByAddress ? matchPropertyByAddress(item.location, properties) : null);
+      let event = existingByUid.get(item.uid);
+
+      if (event && !event.isActive) {
+        // Événement supprimé par l'utilisateur : ne pas le recréer
+        summary.skipped += 1;
+        continue;
+      }
+
+      const isNew = !event;
+      let linked = false;
+
+      if (event) {
+        event.title = item.title;
+        event.description = item.description || event.description;
+        event.startDate = item.startDate;
+        event.endDate = item.endDate;
+        event.allDay = item.allDay;
+        if (item.location) {
+          event.location = { ...(event.location ? event.location.toObject() : {}), address: item.location };
+        }
+        // Un statut calculé localement (terminé, reporté) n'est écrasé que par une annulation
+        const status = mapStatus(item.status);
+        if (status !== 'scheduled' || event.status === 'cancelled') {
+          event.status = status;
+        }
+        if (!event.property && property) {
+          event.property = property._id;
+          linked = true;
+        }
+        event.lastModifiedBy = req.user.id;
+      } else {
+        event = new CalendarEvent({
+          owner: req.user.id,
+          createdBy: req.user.id,
+          uid: item.uid,
+          source: 'import',
+          title: item.title,
+          description: item.description,
+          type: req.body.type || guessEventType(item),
+          status: mapStatus(item.status),
+          startDate: item.startDate,
+          endDate: item.endDate,
+          allDay: item.allDay,
+          location: item.location ? { address: item.location } : undefined,
+          reminders: item.alarms.map(minutesBefore => ({ minutesBefore })),
+          property: property ? property._id : undefined
+        });
+        linked = !!property;
+      }
+
+      try {
+        await event.save();
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          console.error('Erreur lors de l\'import d\'un événement:', error);
+        }
+        summary.failed += 1;
+        importErrors.push({
+          uid: item.uid,
+          title: item.title,
+          message: error.name === 'ValidationError'
+            ? Object.values(error.errors).map(err => err.message).join(', ')
+            : 'Enregistrement impossible'
+        });
+        continue;
+      }
+
+      summary[isNew ? 'created' : 'updated'] += 1;
+      if (linked) summary.linked += 1;
+      events.push(event);
+    }
+
+    res.json({
+      success: true,
+      message: `${summary.created} événement(s) importé(s), ${summary.updated} mis à jour` +
+        (summary.failed > 0 ? `, ${summary.failed} en erreur` : ''),
+      data: { ...summary, events, errors: importErrors }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'import du calendrier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
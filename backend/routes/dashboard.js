@@ -3,10 +3,17 @@ const Property = require('../models/Property');
 const Step = require('../models/Step');
 const Document = require('../models/Document');
 const CalendarEvent = require('../models/Calendar');
+const Offer = require('../models/Offer');
 const { auth } = require('../middleware/auth');
+const { readablePropertyFilter, readableEventFilter } = require('../middleware/permissions');
+const { breakdownsFor } = require('../services/acquisitionCosts');
+const { OPEN_STEP_STATUSES, isOverdue, summarizeSteps, stepDurations, costsByCategory } = require('../services/dashboardStats');
 
 const router = express.Router();
 
+// Statuts de propriété correspondant à un achat en cours
+const ACTIVE_PROPERTY_STATUSES = ['searching', 'visiting', 'offer_made', 'compromis_signed', 'loan_pending', 'final_signature'];
+
 // @route   GET /api/dashboard/overview
 // @desc    Obtenir une vue d'ensemble du tableau de bord
 // @access  Private
@@ -21,16 +28,13 @@ router.get('/overview', auth, async (req, res) => {
 
     // Filtre de base pour les propriétés de l'utilisateur
     const propertyFilter = {
-      $or: [
-        { owner: userId },
-        { 'sharedWith.user': userId }
-      ],
+      ...readablePropertyFilter(userId),
       isActive: true
     };
 
     // Statistiques des propriétés
     const [properties, propertiesByStatus] = await Promise.all([
-      Property.find(propertyFilter).select('_id title status currentStep price'),
+      Property.find(propertyFilter).select('_id title status currentStep price acquisition copropriete'),
       Property.aggregate([
         { $match: propertyFilter },
         { $group: { _id: '$status', count: { $sum: 1 }, totalValue: { $sum: '$price.amount' } } }
@@ -40,25 +44,12 @@ router.get('/overview', auth, async (req, res) => {
     const propertyIds = properties.map(p => p._id);
 
     // Statistiques des étapes
-    const [totalSteps, stepsByStatus, overdueSteps, upcomingSteps] = await Promise.all([
-      Step.countDocuments({ property: { $in: propertyIds }, isActive: true }),
-      Step.aggregate([
-        { $match: { property: { $in: propertyIds }, isActive: true } },
-        { $group: { _id: '$status', count: { $sum: 1 } } }
-      ]),
-      Step.countDocuments({
-        property: { $in: propertyIds },
-        isActive: true,
-        status: { $in: ['pending', 'in_progress'] },
-        deadline: { $lt: now }
-      }),
-      Step.countDocuments({
-        property: { $in: propertyIds },
-        isActive: true,
-        status: { $in: ['pending', 'in_progress'] },
-        deadline: { $gte: now, $lte: next7Days }
-      })
-    ]);
+    const steps = await Step.find({ property: { $in: propertyIds }, isActive: true })
+      .select('status dates.deadline')
+      .lean();
+    const stepStats = summarizeSteps(steps, now);
+    const overdueSteps = stepStats.overdue;
+    const upcomingSteps = stepStats.upcoming;
 
     // Statistiques des documents
     const [totalDocuments, documentsByCategory, recentDocuments] = await Promise.all([
@@ -76,10 +67,7 @@ router.get('/overview', auth, async (req, res) => {
 
     // Statistiques du calendrier
     const calendarFilter = {
-      $or: [
-        { owner: userId },
-        { 'sharedWith.user': userId }
-      ],
+      ...readableEventFilter(userId, propertyIds),
       isActive: true
     };
 
@@ -100,6 +88,15 @@ router.get('/overview', auth, async (req, res) => {
       })
     ]);
 
+    // Offres d'achat en attente arrivant à échéance
+    await Offer.expireOverdue({ property: { $in: propertyIds } });
+    const expiringOffers = await Offer.countDocuments({
+      property: { $in: propertyIds },
+      isActive: true,
+      status: 'pending',
+      expiresAt: { $gte: now, $lte: next7Days }
+    });
+
     // Calcul des alertes et notifications
     const alerts = [];
     
@@ -133,13 +130,51 @@ router.get('/overview', auth, async (req, res) => {
       });
     }
 
-    // Calcul de la progression globale
-    const completedSteps = stepsByStatus.find(s => s._id === 'completed')?.count || 0;
-    const globalProgress = totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
+    if (expiringOffers > 0) {
+      alerts.push({
+        type: 'warning',
+        title: 'Offres bientôt expirées',
+        message: `${expiringOffers} offre(s) d'achat expire(nt) dans les 7 prochains jours`,
+        count: expiringOffers,
+        priority: 'high'
+      });
+    }
+
+    // Copropriété : travaux à venir et procédures en cours
+    const coproWorks = properties.filter(p => p.copropriete &&
+      p.copropriete.works.some(work => ['planned', 'voted'].includes(work.status)));
+    const coproProcedures = properties.filter(p => p.copropriete &&
+      p.copropriete.procedures.some(procedure => procedure.status === 'ongoing'));
+
+    if (coproWorks.length > 0) {
+      alerts.push({
+        type: 'info',
+        title: 'Travaux de copropriété',
+        message: `${coproWorks.length} propriété(s) avec des travaux de copropriété votés ou prévus`,
+        count: coproWorks.length,
+        priority: 'medium'
+      });
+    }
+
+    if (coproProcedures.length > 0) {
+      alerts.push({
+        type: 'warning',
+        title: 'Procédures de copropriété',
+        message: `${coproProcedures.length} propriété(s) avec une procédure de copropriété en cours`,
+        count: coproProcedures.length,
+        priority: 'high'
+      });
+    }
 
     // Valeur totale du portefeuille
     const totalPortfolioValue = propertiesByStatus.reduce((sum, status) => sum + (status.totalValue || 0), 0);
 
+    // Coût complet des acquisitions (frais de notaire, d'agence, garantie, travaux...)
+    const breakdowns = await breakdownsFor(properties);
+    const totalAcquisitionCost = Math.round(
+      [...breakdowns.values()].reduce((sum, breakdown) => sum + breakdown.total, 0) * 100
+    ) / 100;
+
     const overview = {
       properties: {
         total: properties.length,
@@ -147,19 +182,10 @@ router.get('/overview', auth, async (req, res) => {
           acc[item._id] = { count: item.count, value: item.totalValue || 0 };
           return acc;
         }, {}),
-        totalValue: totalPortfolioValue
-      },
-      steps: {
-        total: totalSteps,
-        completed: completedSteps,
-        overdue: overdueSteps,
-        upcoming: upcomingSteps,
-        progress: globalProgress,
-        byStatus: stepsByStatus.reduce((acc, item) => {
-          acc[item._id] = item.count;
-          return acc;
-        }, {})
+        totalValue: totalPortfolioValue,
+        totalCost: totalAcquisitionCost
       },
+      steps: stepStats,
       documents: {
         total: totalDocuments,
         recent: recentDocuments,
@@ -175,10 +201,10 @@ router.get('/overview', auth, async (req, res) => {
       },
       alerts,
       summary: {
-        activeProperties: properties.filter(p => ['recherche', 'visite', 'negociation', 'compromis', 'financement'].includes(p.status)).length,
-        completedPurchases: properties.filter(p => p.status === 'cles_remises').length,
-        totalInvestment: totalPortfolioValue,
-        globalProgress
+        activeProperties: properties.filter(p => ACTIVE_PROPERTY_STATUSES.includes(p.status)).length,
+        completedPurchases: properties.filter(p => p.status === 'keys_received').length,
+        totalInvestment: totalAcquisitionCost,
+        globalProgress: stepStats.progress
       }
     };
 
@@ -204,12 +230,10 @@ router.get('/recent-activity', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const days = parseInt(req.query.days) || 7;
     const since = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
+    const perSourceLimit = Math.ceil(limit / 4);
 
     const propertyFilter = {
-      $or: [
-        { owner: userId },
-        { 'sharedWith.user': userId }
-      ],
+      ...readablePropertyFilter(userId),
       isActive: true
     };
 
@@ -224,7 +248,7 @@ router.get('/recent-activity', auth, async (req, res) => {
         updatedAt: { $gte: since }
       })
       .sort({ updatedAt: -1 })
-      .limit(limit / 4)
+      .limit(perSourceLimit)
       .populate('property', 'title')
       .select('name status updatedAt property category'),
 
@@ -234,20 +258,17 @@ router.get('/recent-activity', auth, async (req, res) => {
         createdAt: { $gte: since }
       })
       .sort({ createdAt: -1 })
-      .limit(limit / 4)
+      .limit(perSourceLimit)
       .populate('property', 'title')
       .select('name category createdAt property type'),
 
       CalendarEvent.find({
-        $or: [
-          { owner: userId },
-          { 'sharedWith.user': userId }
-        ],
+        ...readableEventFilter(userId, propertyIds),
         isActive: true,
         createdAt: { $gte: since }
       })
       .sort({ createdAt: -1 })
-      .limit(limit / 4)
+      .limit(perSourceLimit)
       .populate('property', 'title')
       .select('title type createdAt property startDate'),
 
@@ -256,7 +277,7 @@ router.get('/recent-activity', auth, async (req, res) => {
         createdAt: { $gte: since }
       })
       .sort({ createdAt: -1 })
-      .limit(limit / 4)
+      .limit(perSourceLimit)
       .select('title status createdAt address.city')
     ]);
 
@@ -340,10 +361,7 @@ router.get('/progress', auth, async (req, res) => {
     const userId = req.user.id;
 
     const propertyFilter = {
-      $or: [
-        { owner: userId },
-        { 'sharedWith.user': userId }
-      ],
+      ...readablePropertyFilter(userId),
       isActive: true
     };
 
@@ -357,24 +375,23 @@ router.get('/progress', auth, async (req, res) => {
         const steps = await Step.find({
           property: property._id,
           isActive: true
-        }).select('status category priority deadline');
+        })
+        .sort({ 'dates.deadline': 1 })
+        .select('name status category priority dates')
+        .lean();
 
         const totalSteps = steps.length;
         const completedSteps = steps.filter(s => s.status === 'completed').length;
         const inProgressSteps = steps.filter(s => s.status === 'in_progress').length;
-        const overdueSteps = steps.filter(s => 
-          ['pending', 'in_progress'].includes(s.status) && 
-          s.deadline && 
-          new Date(s.deadline) < new Date()
-        ).length;
+        const overdueSteps = steps.filter(s => isOverdue(s)).length;
 
         const progress = totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
 
-        // Prochaine étape critique
+        // Prochaine étape critique (échéance la plus proche parmi les étapes prioritaires)
         const nextCriticalStep = steps.find(s => 
-          s.status === 'pending' && 
-          s.priority === 'high' &&
-          s.deadline
+          OPEN_STEP_STATUSES.includes(s.status) && 
+          ['high', 'urgent'].includes(s.priority) &&
+          s.dates.deadline
         );
 
         return {
@@ -397,12 +414,12 @@ router.get('/progress', auth, async (req, res) => {
           nextCriticalStep: nextCriticalStep ? {
             name: nextCriticalStep.name,
             category: nextCriticalStep.category,
-            deadline: nextCriticalStep.deadline
+            deadline: nextCriticalStep.dates.deadline
           } : null,
           alerts: {
             hasOverdue: overdueSteps > 0,
-            hasUrgent: nextCriticalStep && 
-              new Date(nextCriticalStep.deadline) <= new Date(Date.now() + (7 * 24 * 60 * 60 * 1000))
+            hasUrgent: !!nextCriticalStep && 
+              nextCriticalStep.dates.deadline <= new Date(Date.now() + (7 * 24 * 60 * 60 * 1000))
           }
         };
       })
@@ -449,17 +466,16 @@ router.get('/analytics', auth, async (req, res) => {
     }
 
     const propertyFilter = {
-      $or: [
-        { owner: userId },
-        { 'sharedWith.user': userId }
-      ],
-      isActive: true,
-      createdAt: { $gte: startDate }
+      ...readablePropertyFilter(userId),
+      isActive: true
     };
 
+    const properties = await Property.find(propertyFilter).select('_id');
+    const propertyIds = properties.map(p => p._id);
+
     // Évolution des propriétés par mois
     const propertiesByMonth = await Property.aggregate([
-      { $match: propertyFilter },
+      { $match: { ...propertyFilter, createdAt: { $gte: startDate } } },
       {
         $group: {
           _id: {
@@ -473,45 +489,16 @@ router.get('/analytics', auth, async (req, res) => {
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
-    // Temps moyen par étape
-    const stepDurations = await Step.aggregate([
-      {
-        $match: {
-          isActive: true,
-          status: 'completed',
-          actualStartDate: { $exists: true },
-          actualEndDate: { $exists: true }
-        }
-      },
-      {
-        $addFields: {
-          duration: {
-            $divide: [
-              { $subtract: ['$actualEndDate', '$actualStartDate'] },
-              1000 * 60 * 60 * 24 // Convertir en jours
-            ]
-          }
-        }
-      },
-      {
-        $group: {
-          _id: '$category',
-          avgDuration: { $avg: '$duration' },
-          minDuration: { $min: '$duration' },
-          maxDuration: { $max: '$duration' },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    // Étapes des propriétés : durées et coûts par catégorie
+    const steps = await Step.find({ property: { $in: propertyIds }, isActive: true })
+      .select('category status dates.actualStart dates.actualEnd costs.estimated costs.actual')
+      .lean();
 
     // Taux de réussite par type d'événement
     const eventSuccessRate = await CalendarEvent.aggregate([
       {
         $match: {
-          $or: [
-            { owner: userId },
-            { 'sharedWith.user': userId }
-          ],
+          ...readableEventFilter(userId, propertyIds),
           isActive: true,
           createdAt: { $gte: startDate }
         }
@@ -540,26 +527,6 @@ router.get('/analytics', auth, async (req, res) => {
       }
     ]);
 
-    // Répartition des coûts par catégorie
-    const costsByCategory = await Step.aggregate([
-      {
-        $match: {
-          isActive: true,
-          'costs.amount': { $gt: 0 }
-        }
-      },
-      { $unwind: '$costs' },
-      {
-        $group: {
-          _id: '$costs.category',
-          totalAmount: { $sum: '$costs.amount' },
-          count: { $sum: 1 },
-          avgAmount: { $avg: '$costs.amount' }
-        }
-      },
-      { $sort: { totalAmount: -1 } }
-    ]);
-
     const analytics = {
       timeline: {
         propertiesByMonth: propertiesByMonth.map(item => ({
@@ -569,13 +536,7 @@ router.get('/analytics', auth, async (req, res) => {
         }))
       },
       performance: {
-        stepDurations: stepDurations.map(item => ({
-          category: item._id,
-          avgDays: Math.round(item.avgDuration * 10) / 10,
-          minDays: Math.round(item.minDuration * 10) / 10,
-          maxDays: Math.round(item.maxDuration * 10) / 10,
-          count: item.count
-        })),
+        stepDurations: stepDurations(steps, startDate),
         eventSuccessRate: eventSuccessRate.map(item => ({
           type: item._id,
           total: item.total,
@@ -584,14 +545,7 @@ router.get('/analytics', auth, async (req, res) => {
           successRate: Math.round(item.successRate * 10) / 10
         }))
       },
-      costs: {
-        byCategory: costsByCategory.map(item => ({
-          category: item._id,
-          total: item.totalAmount,
-          count: item.count,
-          average: Math.round(item.avgAmount * 100) / 100
-        }))
-      }
+      costs: costsByCategory(steps)
     };
 
     res.json({
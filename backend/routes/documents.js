@@ -1,8 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Document = require('../models/Document');
 const Property = require('../models/Property');
 const { auth } = require('../middleware/auth');
+const {
+  canRead,
+  canEdit,
+  canManage,
+  readablePropertyFilter,
+  editablePropertyFilter,
+  getReadablePropertyIds
+} = require('../middleware/permissions');
+const { isProcessingStale, processDocument } = require('../services/documentProcessing');
+const { highlight, buildSnippets } = require('../services/documentSearch');
+const { RENDITION_SIZES, getRendition } = require('../services/renditions');
+const { REQUIREMENT_KEYS } = require('../services/requiredDocuments');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -58,11 +70,15 @@ const documentValidation = [
     .isLength({ min: 1, max: 200 })
     .withMessage('Le nom doit contenir entre 1 et 200 caractères'),
   body('category')
-    .isIn(['contrat', 'diagnostic', 'facture', 'photo', 'plan', 'compromis', 'acte_vente', 'pret', 'assurance', 'expertise', 'correspondance', 'autre'])
+    .isIn(['contrat', 'diagnostic', 'facture', 'photo', 'plan', 'compromis', 'acte_vente', 'pret', 'assurance', 'expertise', 'correspondance', 'copropriete', 'autre'])
     .withMessage('Catégorie invalide'),
   body('property')
     .isMongoId()
-    .withMessage('ID de propriété invalide')
+    .withMessage('ID de propriété invalide'),
+  body('requirement')
+    .optional()
+    .isIn(REQUIREMENT_KEYS)
+    .withMessage('Document requis invalide')
 ];
 
 // Fonction pour calculer le checksum d'un fichier
@@ -84,10 +100,7 @@ router.get('/property/:propertyId', auth, async (req, res) => {
     // Vérifier que l'utilisateur a accès à cette propriété
     const property = await Property.findOne({
       _id: req.params.propertyId,
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ]
+      ...readablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -154,13 +167,110 @@ router.get('/property/:propertyId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/documents/search
+// @desc    Rechercher dans le contenu des documents accessibles (extraits surlignés)
+// @access  Private
+router.get('/search', auth, [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('La recherche doit contenir entre 2 et 200 caractères'),
+  query('property')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de propriété invalide'),
+  query('category')
+    .optional()
+    .isIn(['contrat', 'diagnostic', 'facture', 'photo', 'plan', 'compromis', 'acte_vente', 'pret', 'assurance', 'expertise', 'correspondance', 'copropriete', 'autre'])
+    .withMessage('Catégorie invalide'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('La limite doit être entre 1 et 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { q, property, category, page = 1, limit = 10 } = req.query;
+
+    // Documents des propriétés accessibles et documents partagés directement
+    const propertyIds = await getReadablePropertyIds(req.user.id);
+    const filter = {
+      $text: { $search: q },
+      isActive: true,
+      $or: [
+        { property: { $in: propertyIds } },
+        { 'sharedWith.user': req.user.id }
+      ]
+    };
+
+    if (property) filter.property = property;
+    if (category) filter.category = category;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [documents, total] = await Promise.all([
+      Document.find(filter, { score: { $meta: 'textScore' } })
+        .select('+content.text')
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('property', 'title')
+        .populate('uploadedBy', 'firstName lastName email')
+        .populate('step', 'name category'),
+      Document.countDocuments(filter)
+    ]);
+
+    const results = documents.map(document => ({
+      document,
+      score: Math.round(document.get('score') * 100) / 100,
+      highlights: {
+        name: highlight(document.name, q),
+        description: highlight(document.description, q),
+        snippets: buildSnippets(document.content && document.content.text, q)
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la recherche de documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   GET /api/documents/:id
 // @desc    Obtenir un document spécifique
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
     const document = await Document.findById(req.params.id)
-      .populate('property', 'title owner')
+      .populate('property', 'title owner sharedWith')
       .populate('uploadedBy', 'firstName lastName email')
       .populate('step', 'name category')
       .populate('sharedWith.user', 'firstName lastName email')
@@ -174,10 +284,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur a accès à ce document
-    const hasAccess = document.property.owner.toString() === req.user.id ||
-                     document.sharedWith.some(share => share.user._id.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!canRead('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -197,10 +304,23 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Supprimer un fichier uploadé qui n'est pas conservé
+const discardUpload = async (file) => {
+  if (!file) return;
+  try {
+    await fs.unlink(file.path);
+  } catch (unlinkError) {
+    console.error('Erreur lors de la suppression du fichier:', unlinkError);
+  }
+};
+
 // @route   POST /api/documents
 // @desc    Uploader un nouveau document
 // @access  Private
 router.post('/', auth, upload.single('file'), documentValidation, async (req, res) => {
+  // Une fois le document enregistré, le fichier lui appartient et doit être conservé
+  let saved = false;
+
   try {
     // Vérifier les erreurs de validation
     const errors = validationResult(req);
@@ -219,10 +339,10 @@ router.post('/', auth, upload.single('file'), documentValidation, async (req, re
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
+    // Vérifier que l'utilisateur peut modifier la propriété
     const property = await Property.findOne({
       _id: req.body.property,
-      owner: req.user.id
+      ...editablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -253,6 +373,10 @@ router.post('/', auth, upload.single('file'), documentValidation, async (req, re
 
     const document = new Document(documentData);
     await document.save();
+    saved = true;
+
+    // Extraire métadonnées et texte (un échec passe le document en erreur sans bloquer l'upload)
+    await processDocument(document);
 
     await document.populate('uploadedBy', 'firstName lastName email');
 
@@ -263,16 +387,12 @@ router.post('/', auth, upload.single('file'), documentValidation, async (req, re
     });
   } catch (error) {
     console.error('Erreur lors de l\'upload du document:', error);
-    
-    // Supprimer le fichier en cas d'erreur
-    if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.error('Erreur lors de la suppression du fichier:', unlinkError);
-      }
+
+    // Supprimer le fichier si le document n'a pas été enregistré
+    if (!saved) {
+      await discardUpload(req.file);
     }
-    
+
     res.status(500).json({
       success: false,
       message: 'Erreur interne du serveur'
@@ -291,8 +411,12 @@ router.put('/:id', auth, [
     .withMessage('Le nom doit contenir entre 1 et 200 caractères'),
   body('category')
     .optional()
-    .isIn(['contrat', 'diagnostic', 'facture', 'photo', 'plan', 'compromis', 'acte_vente', 'pret', 'assurance', 'expertise', 'correspondance', 'autre'])
-    .withMessage('Catégorie invalide')
+    .isIn(['contrat', 'diagnostic', 'facture', 'photo', 'plan', 'compromis', 'acte_vente', 'pret', 'assurance', 'expertise', 'correspondance', 'copropriete', 'autre'])
+    .withMessage('Catégorie invalide'),
+  body('requirement')
+    .optional()
+    .isIn(['', ...REQUIREMENT_KEYS])
+    .withMessage('Document requis invalide')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -313,8 +437,8 @@ router.put('/:id', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (document.property.owner.toString() !== req.user.id) {
+    // Vérifier que l'utilisateur peut modifier le document
+    if (!canEdit('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -322,7 +446,7 @@ router.put('/:id', auth, [
     }
 
     // Mettre à jour les champs
-    const { name, description, category, tags, notes, isImportant, expirationDate } = req.body;
+    const { name, description, category, tags, notes, isImportant, expirationDate, requirement } = req.body;
     
     if (name !== undefined) document.name = name;
     if (description !== undefined) document.description = description;
@@ -331,6 +455,8 @@ router.put('/:id', auth, [
     if (notes !== undefined) document.notes = notes;
     if (isImportant !== undefined) document.isImportant = isImportant;
     if (expirationDate !== undefined) document.expirationDate = expirationDate;
+    // Une valeur vide retire le rattachement explicite à un document requis
+    if (requirement !== undefined) document.requirement = requirement || undefined;
 
     await document.save();
 
@@ -348,6 +474,54 @@ router.put('/:id', auth, [
   }
 });
 
+// @route   POST /api/documents/:id/process
+// @desc    Relancer l'extraction des métadonnées et du texte d'un document
+// @access  Private
+router.post('/:id/process', auth, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, isActive: true }).populate('property');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document non trouvé'
+      });
+    }
+
+    // Vérifier que l'utilisateur peut modifier le document
+    if (!canEdit('document', document, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    // Un traitement interrompu (serveur arrêté en cours de route) peut être relancé après le délai
+    if (document.status === 'processing' && !isProcessingStale(document)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Le document est déjà en cours de traitement'
+      });
+    }
+
+    await processDocument(document);
+
+    res.json({
+      success: true,
+      message: document.status === 'error'
+        ? 'Le traitement du document a échoué'
+        : 'Document traité avec succès',
+      data: { document }
+    });
+  } catch (error) {
+    console.error('Erreur lors du traitement du document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   GET /api/documents/:id/download
 // @desc    Télécharger un document
 // @access  Private
@@ -363,10 +537,7 @@ router.get('/:id/download', auth, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur a accès à ce document
-    const hasAccess = document.property.owner.toString() === req.user.id ||
-                     document.sharedWith.some(share => share.user.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!canRead('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -400,10 +571,24 @@ router.get('/:id/download', auth, async (req, res) => {
 });
 
 // @route   GET /api/documents/:id/preview
-// @desc    Prévisualiser un document (images et PDFs)
+// @desc    Prévisualiser un document (images et PDFs) ; ?size=small|medium|large pour une miniature
 // @access  Private
-router.get('/:id/preview', auth, async (req, res) => {
+router.get('/:id/preview', auth, [
+  query('size')
+    .optional()
+    .isIn(Object.keys(RENDITION_SIZES))
+    .withMessage('Taille d\'aperçu invalide')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
     const document = await Document.findById(req.params.id).populate('property');
 
     if (!document) {
@@ -414,10 +599,7 @@ router.get('/:id/preview', auth, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur a accès à ce document
-    const hasAccess = document.property.owner.toString() === req.user.id ||
-                     document.sharedWith.some(share => share.user.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!canRead('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -442,6 +624,19 @@ router.get('/:id/preview', auth, async (req, res) => {
       });
     }
 
+    // Miniature WebP (images) ou première page en PNG (PDF), générée puis mise en cache
+    if (req.query.size) {
+      const rendition = await getRendition({
+        sourcePath: document.file.path,
+        mimeType: document.file.mimeType,
+        namespace: 'documents'
+      }, req.query.size);
+
+      res.setHeader('Content-Type', rendition.mimeType);
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+      return res.sendFile(rendition.path);
+    }
+
     // Envoyer le fichier pour prévisualisation
     res.setHeader('Content-Type', document.file.mimeType);
     res.sendFile(path.resolve(document.file.path));
@@ -454,6 +649,272 @@ router.get('/:id/preview', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/documents/:id/versions
+// @desc    Obtenir l'historique des versions d'un document
+// @access  Private
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, isActive: true })
+      .populate('property', 'title owner sharedWith')
+      .populate('versions.uploadedBy', 'firstName lastName email');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document non trouvé'
+      });
+    }
+
+    // Vérifier que l'utilisateur a accès à ce document
+    if (!canRead('document', document, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const versions = document.versions
+      .map(version => ({
+        ...version.toObject(),
+        isCurrent: version.version === document.metadata.version,
+        downloadUrl: `/api/documents/${document._id}/versions/${version._id}/download`
+      }))
+      .reverse();
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: document.metadata.version,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/documents/:id/versions
+// @desc    Uploader une nouvelle version d'un document
+// @access  Private
+router.post('/:id/versions', auth, upload.single('file'), [
+  body('changelog')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Le descriptif des changements ne peut pas dépasser 500 caractères')
+], async (req, res) => {
+  // Une fois la version ajoutée, le fichier appartient à l'historique et doit être conservé
+  let versionAdded = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucun fichier fourni'
+      });
+    }
+
+    const document = await Document.findOne({ _id: req.params.id, isActive: true }).populate('property');
+
+    if (!document) {
+      await discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Document non trouvé'
+      });
+    }
+
+    // Vérifier que l'utilisateur peut modifier le document
+    if (!canEdit('document', document, req.user.id)) {
+      await discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    // Refuser un fichier identique à la version courante ou à une version précédente
+    const checksum = await calculateChecksum(req.file.path);
+    if (checksum) {
+      const duplicate = checksum === document.file.checksum
+        ? { version: document.metadata.version }
+        : document.versions.find(version => version.checksum === checksum);
+
+      if (duplicate) {
+        await discardUpload(req.file);
+        return res.status(409).json({
+          success: false,
+          message: duplicate.version === document.metadata.version
+            ? 'Ce fichier est identique à la version actuelle'
+            : `Ce fichier est identique à la version ${duplicate.version} (utilisez la restauration)`
+        });
+      }
+    }
+
+    await document.addVersion({
+      filename: req.file.filename,
+      path: req.file.path,
+      size: req.file.size,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      encoding: req.file.encoding,
+      checksum
+    }, req.user.id, req.body.changelog);
+    versionAdded = true;
+
+    // Métadonnées et contenu de la nouvelle version courante
+    await processDocument(document);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${document.metadata.version} ajoutée avec succès`,
+      data: { document }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de la version:', error);
+    if (!versionAdded) {
+      await discardUpload(req.file);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/versions/:versionId/download
+// @desc    Télécharger une version précise d'un document (identifiant ou numéro, ex. 1.2)
+// @access  Private
+router.get('/:id/versions/:versionId/download', auth, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, isActive: true }).populate('property');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document non trouvé'
+      });
+    }
+
+    // Vérifier que l'utilisateur a accès à ce document
+    if (!canRead('document', document, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const version = document.findVersion(req.params.versionId);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version non trouvée'
+      });
+    }
+
+    // Vérifier que le fichier existe
+    try {
+      await fs.access(version.path);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fichier non trouvé sur le serveur'
+      });
+    }
+
+    const originalName = version.originalName || document.file.originalName;
+    const ext = path.extname(originalName);
+    const filename = `${path.basename(originalName, ext)}-v${version.version}${ext}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', version.mimeType || document.file.mimeType);
+    res.sendFile(path.resolve(version.path));
+  } catch (error) {
+    console.error('Erreur lors du téléchargement de la version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/documents/:id/versions/:versionId/restore
+// @desc    Restaurer une ancienne version (enregistrée comme nouvelle version courante)
+// @access  Private
+router.post('/:id/versions/:versionId/restore', auth, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, isActive: true }).populate('property');
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document non trouvé'
+      });
+    }
+
+    // Vérifier que l'utilisateur peut modifier le document
+    if (!canEdit('document', document, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const version = document.findVersion(req.params.versionId);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version non trouvée'
+      });
+    }
+
+    if (version.version === document.metadata.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette version est déjà la version actuelle'
+      });
+    }
+
+    // L'historique n'est jamais réécrit : la restauration crée une version pointant sur le même fichier
+    await document.addVersion({
+      filename: version.filename,
+      path: version.path,
+      size: version.size,
+      originalName: version.originalName,
+      mimeType: version.mimeType,
+      checksum: version.checksum
+    }, req.user.id, `Restauration de la version ${version.version}`);
+
+    await processDocument(document);
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} restaurée (nouvelle version ${document.metadata.version})`,
+      data: { document }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la restauration de la version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   DELETE /api/documents/:id
 // @desc    Supprimer un document
 // @access  Private
@@ -468,8 +929,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (document.property.owner.toString() !== req.user.id) {
+    // Seul le propriétaire peut supprimer un document
+    if (!canManage('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -524,8 +985,8 @@ router.post('/:id/share', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (document.property.owner.toString() !== req.user.id) {
+    // Seul le propriétaire peut partager un document
+    if (!canManage('document', document, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -0,0 +1,659 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Loan = require('../models/Loan');
+const Property = require('../models/Property');
+const { auth } = require('../middleware/auth');
+const {
+  canRead,
+  canEdit,
+  canManage,
+  readablePropertyFilter,
+  editablePropertyFilter
+} = require('../middleware/permissions');
+const {
+  amortizationSchedule,
+  yearlySummary,
+  summarizeOffer,
+  debtRatioCheck,
+  compareOffers
+} = require('../services/loanCalculator');
+
+const router = express.Router();
+
+// Frais de dossier, de courtage, divers et coût de la garantie (offres et simulations)
+const feesValidation = body(['fees.application', 'fees.broker', 'fees.other', 'guarantee.cost'])
+  .optional()
+  .isFloat({ min: 0 })
+  .withMessage('Les frais doivent être des nombres positifs')
+  .toFloat();
+
+// Validation pour les prêts
+const loanValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Le nom ne peut pas dépasser 100 caractères'),
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Le montant doit être un nombre positif'),
+  body('personalContribution')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('L\'apport doit être un nombre positif'),
+  body('household.monthlyIncome')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les revenus doivent être un nombre positif'),
+  body('household.monthlyCharges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les charges doivent être un nombre positif'),
+  body('status')
+    .optional()
+    .isIn(['simulation', 'requested', 'cancelled'])
+    .withMessage('Statut invalide')
+];
+
+// Validation pour les offres de prêt
+const offerValidation = [
+  body('bank')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Le nom de la banque est requis (100 caractères maximum)'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Le montant doit être un nombre positif'),
+  body('rate')
+    .isFloat({ min: 0, max: 20 })
+    .withMessage('Le taux doit être compris entre 0 et 20 %'),
+  body('durationMonths')
+    .isInt({ min: 12, max: 420 })
+    .withMessage('La durée doit être comprise entre 12 et 420 mois'),
+  body('insuranceRate')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Le taux d\'assurance doit être compris entre 0 et 5 %'),
+  feesValidation,
+  body('guarantee.type')
+    .optional()
+    .isIn(['caution', 'hypotheque', 'ppd', 'aucune'])
+    .withMessage('Type de garantie invalide'),
+  body('status')
+    .optional()
+    .isIn(['pending', 'received', 'declined', 'expired'])
+    .withMessage('Statut invalide'),
+  body(['receivedAt', 'validUntil'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide')
+];
+
+// Charger un prêt avec son bien (pour les contrôles d'accès)
+const findLoan = (id) => Loan.findOne({ _id: id, isActive: true })
+  .populate('property', 'title price owner sharedWith');
+
+// Prêt enrichi de la synthèse de chaque offre
+const withSummaries = (loan) => {
+  const data = loan.toObject();
+  data.offers = data.offers.map(offer => {
+    const summary = summarizeOffer(offer, loan.amount);
+    return {
+      ...offer,
+      summary: {
+        ...summary,
+        ...debtRatioCheck(summary.monthlyTotal, loan.household, offer.durationMonths)
+      }
+    };
+  });
+  return data;
+};
+
+// @route   POST /api/loans/simulate
+// @desc    Simuler un prêt sans l'enregistrer
+// @access  Private
+router.post('/simulate', auth, [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Le montant doit être un nombre positif'),
+  body('rate')
+    .isFloat({ min: 0, max: 20 })
+    .withMessage('Le taux doit être compris entre 0 et 20 %'),
+  body('durationMonths')
+    .isInt({ min: 12, max: 420 })
+    .withMessage('La durée doit être comprise entre 12 et 420 mois'),
+  body('insuranceRate')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Le taux d\'assurance doit être compris entre 0 et 5 %'),
+  feesValidation,
+  body(['monthlyIncome', 'monthlyCharges'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les revenus et charges doivent être des nombres positifs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const offer = {
+      amount: parseFloat(req.body.amount),
+      rate: parseFloat(req.body.rate),
+      durationMonths: parseInt(req.body.durationMonths),
+      insuranceRate: parseFloat(req.body.insuranceRate) || 0,
+      fees: {
+        application: req.body.fees?.application,
+        broker: req.body.fees?.broker,
+        other: req.body.fees?.other
+      },
+      guarantee: { cost: req.body.guarantee?.cost }
+    };
+
+    const summary = summarizeOffer(offer, offer.amount);
+    const schedule = amortizationSchedule(offer);
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          ...summary,
+          ...debtRatioCheck(summary.monthlyTotal, {
+            monthlyIncome: parseFloat(req.body.monthlyIncome) || 0,
+            monthlyCharges: parseFloat(req.body.monthlyCharges) || 0
+          }, offer.durationMonths)
+        },
+        yearly: yearlySummary(schedule)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la simulation du prêt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/loans/property/:propertyId
+// @desc    Obtenir les prêts d'une propriété
+// @access  Private
+router.get('/property/:propertyId', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.propertyId,
+      ...readablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const loans = await Loan.find({ property: property._id, isActive: true })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { loans: loans.map(withSummaries) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des prêts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/loans/:id
+// @desc    Obtenir un prêt et ses offres
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prêt non trouvé'
+      });
+    }
+
+    if (!canRead('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du prêt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/loans
+// @desc    Créer un prêt pour une propriété
+// @access  Private
+router.post('/', auth, [
+  body('property')
+    .isMongoId()
+    .withMessage('ID de propriété invalide'),
+  ...loanValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findOne({
+      _id: req.body.property,
+      ...editablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const { offers, acceptedOffer, ...fields } = req.body;
+    const loan = new Loan({
+      ...fields,
+      createdBy: req.user.id
+    });
+    await loan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Prêt créé avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création du prêt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/loans/:id
+// @desc    Mettre à jour un prêt
+// @access  Private
+router.put('/:id', auth, loanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findLoan(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prêt non trouvé'
+      });
+    }
+
+    if (!canEdit('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    // Les offres et l'acceptation passent par leurs propres routes
+    const { property, createdBy, offers, acceptedOffer, ...updates } = req.body;
+    Object.assign(loan, updates);
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Prêt mis à jour avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du prêt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/loans/:id
+// @desc    Supprimer un prêt
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prêt non trouvé'
+      });
+    }
+
+    if (!canManage('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    // Soft delete
+    loan.isActive = false;
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Prêt supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du prêt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/loans/:id/offers
+// @desc    Ajouter une offre de prêt
+// @access  Private
+router.post('/:id/offers', auth, offerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findLoan(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prêt non trouvé'
+      });
+    }
+
+    if (!canEdit('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const { acceptedAt, ...offer } = req.body;
+    loan.offers.push(offer);
+    if (loan.status === 'simulation') {
+      loan.status = 'requested';
+    }
+    await loan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Offre ajoutée avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/loans/:id/offers/:offerId
+// @desc    Mettre à jour une offre de prêt
+// @access  Private
+router.put('/:id/offers/:offerId', auth, offerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const loan = await findLoan(req.params.id);
+    const offer = loan && loan.offers.id(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (!canEdit('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const { acceptedAt, ...updates } = req.body;
+    offer.set(updates);
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Offre mise à jour avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/loans/:id/offers/:offerId
+// @desc    Supprimer une offre de prêt
+// @access  Private
+router.delete('/:id/offers/:offerId', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+    const offer = loan && loan.offers.id(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (!canEdit('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    offer.deleteOne();
+    if (loan.acceptedOffer && loan.acceptedOffer.equals(offer._id)) {
+      loan.acceptedOffer = undefined;
+      loan.status = 'requested';
+    }
+    await loan.save();
+
+    res.json({
+      success: true,
+      message: 'Offre supprimée avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/loans/:id/offers/:offerId/schedule
+// @desc    Tableau d'amortissement d'une offre (mensuel ou annuel avec ?period=year)
+// @access  Private
+router.get('/:id/offers/:offerId/schedule', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+    const offer = loan && loan.offers.id(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (!canRead('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const schedule = amortizationSchedule({
+      amount: offer.amount || loan.amount,
+      rate: offer.rate,
+      durationMonths: offer.durationMonths,
+      insuranceRate: offer.insuranceRate
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: summarizeOffer(offer, loan.amount),
+        schedule: req.query.period === 'year' ? yearlySummary(schedule) : schedule
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul du tableau d\'amortissement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/loans/:id/compare
+// @desc    Comparer les offres d'un prêt
+// @access  Private
+router.get('/:id/compare', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prêt non trouvé'
+      });
+    }
+
+    if (!canRead('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const offers = loan.offers.filter(offer => !['declined', 'expired'].includes(offer.status));
+
+    res.json({
+      success: true,
+      data: compareOffers(offers, loan.amount, loan.household)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la comparaison des offres:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/loans/:id/offers/:offerId/accept
+// @desc    Accepter une offre (les autres offres en cours sont déclinées)
+// @access  Private
+router.post('/:id/offers/:offerId/accept', auth, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id);
+    const offer = loan && loan.offers.id(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (!canEdit('loan', loan, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    if (offer.status === 'expired' || (offer.validUntil && offer.validUntil < new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette offre a expiré'
+      });
+    }
+
+    await loan.acceptOffer(offer._id);
+
+    res.json({
+      success: true,
+      message: 'Offre acceptée avec succès',
+      data: { loan: withSummaries(loan) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'acceptation de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
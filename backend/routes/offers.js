@@ -0,0 +1,516 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const { auth } = require('../middleware/auth');
+const { canManage, readablePropertyFilter, editablePropertyFilter } = require('../middleware/permissions');
+const { acceptOffer } = require('../services/purchaseOffers');
+
+// Routes montées sous /api/properties/:id/offers
+const router = express.Router({ mergeParams: true });
+
+// Validation pour les offres d'achat
+const offerValidation = [
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Le montant doit être un nombre positif'),
+  body('offeredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de l\'offre invalide'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de validité invalide'),
+  body('conditions')
+    .optional()
+    .isArray()
+    .withMessage('Les conditions doivent être une liste'),
+  body('conditions.*.type')
+    .optional()
+    .isIn(['pret', 'vente_prealable', 'permis_construire', 'diagnostics', 'autre'])
+    .withMessage('Type de condition invalide'),
+  body('conditions.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La condition ne peut pas dépasser 500 caractères'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Les notes ne peuvent pas dépasser 1000 caractères')
+];
+
+// Charger la propriété de la route avec le filtre d'accès demandé
+const findProperty = (req, accessFilter) => Property.findOne({
+  _id: req.params.id,
+  ...accessFilter(req.user.id),
+  isActive: true
+});
+
+const findOffer = (req, property) => Offer.findOne({
+  _id: req.params.offerId,
+  property: property._id,
+  isActive: true
+});
+
+// @route   GET /api/properties/:id/offers
+// @desc    Historique des offres et contre-propositions d'une propriété
+// @access  Private
+router.get('/', auth, [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'rejected', 'expired', 'withdrawn'])
+    .withMessage('Statut invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, readablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    // Les offres arrivées à échéance passent en « expirée »
+    await Offer.expireOverdue({ property: property._id });
+
+    const filter = { property: property._id, isActive: true };
+    if (req.query.status) filter.status = req.query.status;
+
+    const offers = await Offer.find(filter)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ offeredAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        offers,
+        askingPrice: property.price.amount,
+        finalPrice: property.price.finalPrice
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des offres:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/offers
+// @desc    Enregistrer une offre d'achat
+// @access  Private
+router.post('/', auth, offerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, editablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const { amount, offeredAt, validUntil, conditions, notes } = req.body;
+    const offer = new Offer({
+      property: property._id,
+      createdBy: req.user.id,
+      amount,
+      offeredAt,
+      validUntil,
+      conditions,
+      notes
+    });
+    await offer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Offre enregistrée avec succès',
+      data: { offer }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/offers/:offerId
+// @desc    Obtenir une offre et ses contre-propositions
+// @access  Private
+router.get('/:offerId', auth, async (req, res) => {
+  try {
+    const property = await findProperty(req, readablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    await Offer.expireOverdue({ _id: req.params.offerId });
+
+    const offer = await findOffer(req, property)
+      .populate('createdBy', 'firstName lastName')
+      .populate('counterOffers.recordedBy', 'firstName lastName');
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { offer }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/offers/:offerId
+// @desc    Modifier une offre en attente
+// @access  Private
+router.put('/:offerId', auth, offerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, editablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    await Offer.expireOverdue({ _id: req.params.offerId });
+
+    const offer = await findOffer(req, property);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (offer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seule une offre en attente peut être modifiée'
+      });
+    }
+
+    ['amount', 'offeredAt', 'validUntil', 'conditions', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) offer[field] = req.body[field];
+    });
+    await offer.save();
+
+    res.json({
+      success: true,
+      message: 'Offre mise à jour avec succès',
+      data: { offer }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/offers/:offerId
+// @desc    Supprimer une offre de l'historique
+// @access  Private
+router.delete('/:offerId', auth, async (req, res) => {
+  try {
+    const property = await findProperty(req, readablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    // Seul le propriétaire du bien peut supprimer une offre
+    if (!canManage('property', property, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const offer = await findOffer(req, property);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    // Soft delete
+    offer.isActive = false;
+    await offer.save();
+
+    res.json({
+      success: true,
+      message: 'Offre supprimée avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/offers/:offerId/counter-offers
+// @desc    Enregistrer une contre-proposition du vendeur
+// @access  Private
+router.post('/:offerId/counter-offers', auth, [
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Le montant doit être un nombre positif'),
+  body(['receivedAt', 'validUntil'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Les notes ne peuvent pas dépasser 1000 caractères')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, editablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    await Offer.expireOverdue({ _id: req.params.offerId });
+
+    const offer = await findOffer(req, property);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    // Une contre-proposition relance une offre en attente ou arrivée à échéance
+    if (!['pending', 'expired'].includes(offer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette offre n\'est plus en négociation'
+      });
+    }
+
+    const { amount, receivedAt, validUntil, notes } = req.body;
+    offer.counterOffers.push({ amount, receivedAt, validUntil, notes, recordedBy: req.user.id });
+    offer.status = 'pending';
+    await offer.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Contre-proposition enregistrée avec succès',
+      data: { offer }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de la contre-proposition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/offers/:offerId/status
+// @desc    Refuser ou retirer une offre en attente
+// @access  Private
+router.put('/:offerId/status', auth, [
+  body('status')
+    .isIn(['rejected', 'withdrawn'])
+    .withMessage('Statut invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statut invalide',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, editablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    await Offer.expireOverdue({ _id: req.params.offerId });
+
+    const offer = await findOffer(req, property);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (offer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seule une offre en attente peut être refusée ou retirée'
+      });
+    }
+
+    offer.status = req.body.status;
+    offer.respondedAt = new Date();
+    await offer.save();
+
+    res.json({
+      success: true,
+      message: 'Statut de l\'offre mis à jour avec succès',
+      data: { offer }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du statut de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/offers/:offerId/accept
+// @desc    Accepter une offre : prix final, date d'offre et étapes « offre » terminées
+// @access  Private
+router.post('/:offerId/accept', auth, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le montant doit être un nombre positif')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await findProperty(req, editablePropertyFilter);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    await Offer.expireOverdue({ _id: req.params.offerId });
+
+    const offer = await findOffer(req, property);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offre non trouvée'
+      });
+    }
+
+    if (offer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seule une offre en attente peut être acceptée'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+    const result = await acceptOffer(offer, property, { amount });
+
+    res.json({
+      success: true,
+      message: 'Offre acceptée avec succès',
+      data: {
+        offer: result.offer,
+        price: result.property.price,
+        importantDates: result.property.importantDates,
+        completedSteps: result.steps.completed,
+        triggered: result.steps.triggered
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'acceptation de l\'offre:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
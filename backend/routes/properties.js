@@ -2,13 +2,32 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Property = require('../models/Property');
 const Step = require('../models/Step');
+const VisitReport = require('../models/VisitReport');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 const { auth, authorize } = require('../middleware/auth');
+const { getRole, canManage, readablePropertyFilter, editablePropertyFilter } = require('../middleware/permissions');
+const { sendInvitationEmail, frontendUrl } = require('../services/mailer');
+const { derive, syncPropertyStatus } = require('../services/propertyStatus');
+const { findTemplate, instantiateTemplate } = require('../services/workflowTemplates');
+const { computeDeadlines, rulesForProperty, applyLegalDeadlines } = require('../services/legalDeadlines');
+const { breakdownsFor } = require('../services/acquisitionCosts');
+const { VERDICTS, assessProperties } = require('../services/affordability');
+const { aggregateScores } = require('../services/visitScores');
+const { parseWeights, compareProperties, toCsv } = require('../services/propertyComparison');
+const { RENDITION_SIZES, getRendition } = require('../services/renditions');
+const { checklistFor } = require('../services/requiredDocuments');
+const offerRoutes = require('./offers');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 
 const router = express.Router();
 
+// Offres d'achat et négociation d'une propriété
+router.use('/:id/offers', offerRoutes);
+
 // Configuration de multer pour l'upload de photos
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -81,7 +100,61 @@ const propertyValidation = [
     .withMessage('Le nombre de pièces doit être un entier positif'),
   body('condition')
     .isIn(['excellent', 'good', 'fair', 'poor', 'renovation_needed'])
-    .withMessage('État du bien invalide')
+    .withMessage('État du bien invalide'),
+  body('acquisition.isNewBuild')
+    .optional()
+    .isBoolean()
+    .withMessage('Indicateur de bien neuf invalide'),
+  body('acquisition.agencyFees.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les frais d\'agence doivent être un nombre positif'),
+  body('acquisition.agencyFees.included')
+    .optional()
+    .isBoolean()
+    .withMessage('Indicateur de frais d\'agence inclus invalide'),
+  body('acquisition.transferTaxRate')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Le taux des droits de mutation doit être compris entre 0 et 10 %'),
+  body('acquisition.diagnostics')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le coût des diagnostics doit être un nombre positif'),
+  body('acquisition.works')
+    .optional()
+    .isArray()
+    .withMessage('Les travaux doivent être une liste'),
+  body('acquisition.works.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description des travaux requise'),
+  body('acquisition.works.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Le montant des travaux doit être un nombre positif'),
+  body('acquisition.budget')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le budget doit être un nombre positif'),
+  body('copropriete.annualCharges')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les charges de copropriété doivent être un nombre positif'),
+  body('commutes')
+    .optional()
+    .isArray()
+    .withMessage('Les trajets doivent être une liste'),
+  body('commutes.*.label')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Le libellé du trajet est requis (50 caractères maximum)'),
+  body('commutes.*.minutes')
+    .isInt({ min: 0 })
+    .withMessage('La durée du trajet doit être un nombre de minutes positif'),
+  body('commutes.*.mode')
+    .optional()
+    .isIn(['transports', 'voiture', 'velo', 'marche'])
+    .withMessage('Mode de transport invalide')
 ];
 
 // @route   GET /api/properties
@@ -102,12 +175,16 @@ router.get('/', auth, [
     .withMessage('Statut invalide'),
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'price', 'surface', 'title'])
+    .isIn(['createdAt', 'price', 'surface', 'title', 'visitScore'])
     .withMessage('Critère de tri invalide'),
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
-    .withMessage('Ordre de tri invalide')
+    .withMessage('Ordre de tri invalide'),
+  query('affordability')
+    .optional()
+    .isIn(VERDICTS)
+    .withMessage('Verdict d\'accessibilité invalide')
 ], async (req, res) => {
   try {
     // Vérifier les erreurs de validation
@@ -131,11 +208,12 @@ router.get('/', auth, [
       maxSurface,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      search
+      search,
+      affordability
     } = req.query;
 
     // Construire le filtre
-    const filter = { owner: req.user.id, isActive: true };
+    const filter = { ...readablePropertyFilter(req.user.id), isActive: true };
     
     if (status) filter.status = status;
     if (city) filter['address.city'] = new RegExp(city, 'i');
@@ -145,37 +223,59 @@ router.get('/', auth, [
     if (maxSurface) filter['details.surface'] = { ...filter['details.surface'], $lte: parseFloat(maxSurface) };
     
     if (search) {
-      filter.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { 'address.street': new RegExp(search, 'i') },
-        { 'address.city': new RegExp(search, 'i') }
-      ];
+      filter.$and = [{
+        $or: [
+          { title: new RegExp(search, 'i') },
+          { description: new RegExp(search, 'i') },
+          { 'address.street': new RegExp(search, 'i') },
+          { 'address.city': new RegExp(search, 'i') }
+        ]
+      }];
     }
 
     // Options de tri
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    sortOptions[sortBy === 'visitScore' ? 'visitScores.overall' : sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Exécuter la requête
-    const [properties, total] = await Promise.all([
-      Property.find(filter)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('currentStep', 'name status completionPercentage')
-        .lean(),
-      Property.countDocuments(filter)
-    ]);
+    // Profil financier de l'utilisateur pour le verdict d'accessibilité
+    const user = await User.findById(req.user.id).select('financialProfile').lean();
+    const profile = (user && user.financialProfile) || {};
+
+    // Exécuter la requête ; le verdict étant calculé, le filtre par accessibilité
+    // porte sur l'ensemble des propriétés avant pagination
+    const propertyQuery = Property.find(filter)
+      .sort(sortOptions)
+      .populate('currentStep', 'name status completionPercentage')
+      .lean();
+
+    let properties;
+    let total;
+    let verdicts;
+
+    if (affordability) {
+      const candidates = await propertyQuery;
+      verdicts = await assessProperties(candidates, profile);
+      const matching = candidates.filter(property => verdicts.get(property._id.toString()).verdict === affordability);
+      total = matching.length;
+      properties = matching.slice(skip, skip + parseInt(limit));
+    } else {
+      [properties, total] = await Promise.all([
+        propertyQuery.skip(skip).limit(parseInt(limit)),
+        Property.countDocuments(filter)
+      ]);
+      verdicts = await assessProperties(properties, profile);
+    }
 
     // Ajouter les informations calculées
     const enrichedProperties = properties.map(property => ({
       ...property,
+      accessRole: getRole('property', property, req.user.id),
       progressPercentage: getProgressPercentage(property.status),
-      pricePerSquareMeter: Math.round(property.price.amount / property.details.surface)
+      pricePerSquareMeter: Math.round(property.price.amount / property.details.surface),
+      affordability: verdicts.get(property._id.toString())
     }));
 
     res.json({
@@ -199,6 +299,72 @@ router.get('/', auth, [
   }
 });
 
+// @route   GET /api/properties/compare
+// @desc    Comparer des propriétés côte à côte (ids=a,b,c ; weights=price:3,surface:2 ; format=csv)
+// @access  Private
+router.get('/compare', auth, [
+  query('ids')
+    .custom(value => {
+      const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+      return ids.length >= 2 && ids.length <= 10 && ids.every(id => /^[0-9a-fA-F]{24}$/.test(id));
+    })
+    .withMessage('Indiquez entre 2 et 10 identifiants de propriétés séparés par des virgules'),
+  query('weights')
+    .optional()
+    .matches(/^\s*\w+\s*:\s*\d+(\.\d+)?\s*(,\s*\w+\s*:\s*\d+(\.\d+)?\s*)*$/)
+    .withMessage('Pondérations invalides (format critère:poids séparés par des virgules)'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const ids = [...new Set(req.query.ids.split(',').map(id => id.trim()).filter(Boolean))];
+
+    const properties = await Property.find({
+      _id: { $in: ids },
+      ...readablePropertyFilter(req.user.id),
+      isActive: true
+    }).lean();
+
+    if (properties.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const comparison = await compareProperties(properties, parseWeights(req.query.weights));
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="comparaison.csv"');
+      // BOM pour que les tableurs détectent l'UTF-8
+      return res.send('\uFEFF' + toCsv(comparison));
+    }
+
+    res.json({
+      success: true,
+      data: { comparison }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la comparaison des propriétés:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   GET /api/properties/:id
 // @desc    Obtenir une propriété spécifique
 // @access  Private
@@ -206,10 +372,7 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const property = await Property.findOne({
       _id: req.params.id,
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ]
+      ...readablePropertyFilter(req.user.id)
     })
     .populate('owner', 'firstName lastName email')
     .populate('currentStep')
@@ -222,19 +385,24 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Récupérer les étapes associées
-    const steps = await Step.find({ property: property._id })
-      .sort({ order: 1 })
-      .populate('assignedTo', 'firstName lastName email');
+    // Récupérer les étapes et les notes de visite associées
+    const [steps, visitReports] = await Promise.all([
+      Step.find({ property: property._id })
+        .sort({ order: 1 })
+        .populate('assignedTo', 'firstName lastName email'),
+      VisitReport.find({ property: property._id, isActive: true }).select('ratings')
+    ]);
 
     res.json({
       success: true,
       data: {
         property: {
           ...property.toObject(),
+          accessRole: getRole('property', property, req.user.id),
           progressPercentage: property.getProgressPercentage()
         },
-        steps
+        steps,
+        visitScores: aggregateScores(visitReports)
       }
     });
   } catch (error) {
@@ -249,7 +417,13 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/properties
 // @desc    Créer une nouvelle propriété
 // @access  Private
-router.post('/', auth, upload.array('photos', 10), propertyValidation, async (req, res) => {
+router.post('/', auth, upload.array('photos', 10), [
+  ...propertyValidation,
+  body('template')
+    .optional()
+    .isString()
+    .withMessage('Modèle de parcours invalide')
+], async (req, res) => {
   try {
     // Vérifier les erreurs de validation
     const errors = validationResult(req);
@@ -261,9 +435,20 @@ router.post('/', auth, upload.array('photos', 10), propertyValidation, async (re
       });
     }
 
+    // Modèle de parcours : identifiant ou catégorie d'un modèle intégré (achat dans l'ancien par défaut)
+    const template = await findTemplate(req.user.id, req.body.template || undefined);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modèle de parcours non trouvé'
+      });
+    }
+
+    const { template: templateRef, ...fields } = req.body;
     const propertyData = {
-      ...req.body,
-      owner: req.user.id
+      ...fields,
+      owner: req.user.id,
+      workflowTemplate: template._id
     };
 
     // Traiter les photos uploadées
@@ -278,8 +463,9 @@ router.post('/', auth, upload.array('photos', 10), propertyValidation, async (re
     const property = new Property(propertyData);
     await property.save();
 
-    // Créer les étapes par défaut
-    await createDefaultSteps(property._id);
+    // Créer les étapes à partir du modèle choisi
+    await instantiateTemplate(template, property._id);
+    await syncPropertyStatus(property);
 
     res.status(201).json({
       success: true,
@@ -317,7 +503,7 @@ router.put('/:id', auth, upload.array('newPhotos', 10), propertyValidation, asyn
 
     const property = await Property.findOne({
       _id: req.params.id,
-      owner: req.user.id
+      ...editablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -327,8 +513,13 @@ router.put('/:id', auth, upload.array('newPhotos', 10), propertyValidation, asyn
       });
     }
 
-    // Mettre à jour les champs
-    Object.assign(property, req.body);
+    // Mettre à jour les champs (le propriétaire, le partage, le statut et la copropriété ne passent pas par ici)
+    const {
+      owner, sharedWith, status, statusSource, statusOverride, currentStep, workflowTemplate, visitScores, copropriete,
+      ...updates
+    } = req.body;
+    Object.assign(property, updates);
+    const compromisChanged = property.isModified('importantDates.compromisDate');
 
     // Ajouter les nouvelles photos
     if (req.files && req.files.length > 0) {
@@ -342,6 +533,11 @@ router.put('/:id', auth, upload.array('newPhotos', 10), propertyValidation, asyn
 
     await property.save();
 
+    // Nouvelle date de compromis : recalculer les délais légaux
+    if (compromisChanged) {
+      await applyLegalDeadlines(property);
+    }
+
     res.json({
       success: true,
       message: 'Propriété mise à jour avec succès',
@@ -395,13 +591,102 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Types MIME des photos acceptées à l'upload
+const PHOTO_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// @route   GET /api/properties/:id/photos/:photoId
+// @desc    Obtenir une photo d'une propriété ; ?size=small|medium|large pour une miniature WebP
+// @access  Private
+router.get('/:id/photos/:photoId', auth, [
+  query('size')
+    .optional()
+    .isIn(Object.keys(RENDITION_SIZES))
+    .withMessage('Taille de photo invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    }).select('photos');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const photo = property.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo non trouvée'
+      });
+    }
+
+    // Les photos sont enregistrées sous /uploads/properties/<fichier>
+    const filename = path.basename(photo.url);
+    const photoPath = path.resolve(process.env.UPLOAD_PATH || './uploads', 'properties', filename);
+
+    try {
+      await fs.access(photoPath);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fichier non trouvé sur le serveur'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.query.size) {
+      const rendition = await getRendition({
+        sourcePath: photoPath,
+        mimeType: PHOTO_MIME_TYPES[path.extname(filename).toLowerCase()] || 'image/jpeg',
+        namespace: 'properties'
+      }, req.query.size);
+
+      res.setHeader('Content-Type', rendition.mimeType);
+      return res.sendFile(rendition.path);
+    }
+
+    res.sendFile(photoPath);
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   PUT /api/properties/:id/status
-// @desc    Mettre à jour le statut d'une propriété
+// @desc    Forcer le statut d'une propriété (désactive le calcul automatique)
 // @access  Private
 router.put('/:id/status', auth, [
   body('status')
     .isIn(['searching', 'visiting', 'offer_made', 'compromis_signed', 'loan_pending', 'final_signature', 'keys_received', 'cancelled'])
-    .withMessage('Statut invalide')
+    .withMessage('Statut invalide'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La raison ne peut pas dépasser 500 caractères')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -415,7 +700,7 @@ router.put('/:id/status', auth, [
 
     const property = await Property.findOne({
       _id: req.params.id,
-      owner: req.user.id
+      ...editablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -426,6 +711,12 @@ router.put('/:id/status', auth, [
     }
 
     property.status = req.body.status;
+    property.statusSource = 'manual';
+    property.statusOverride = {
+      reason: req.body.reason,
+      setBy: req.user.id,
+      setAt: new Date()
+    };
     await property.save();
 
     res.json({
@@ -447,44 +738,784 @@ router.put('/:id/status', auth, [
   }
 });
 
-// Fonction utilitaire pour calculer le pourcentage de progression
-function getProgressPercentage(status) {
-  const statusProgress = {
-    'searching': 10,
-    'visiting': 20,
-    'offer_made': 40,
-    'compromis_signed': 60,
-    'loan_pending': 75,
-    'final_signature': 90,
-    'keys_received': 100,
-    'cancelled': 0
-  };
-  return statusProgress[status] || 0;
-}
+// @route   DELETE /api/properties/:id/status/override
+// @desc    Revenir au statut calculé à partir des étapes
+// @access  Private
+router.delete('/:id/status/override', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...editablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    property.statusSource = 'auto';
+    property.statusOverride = undefined;
+    // Un statut « annulé » forcé à la main ne doit pas bloquer le recalcul
+    if (property.status === 'cancelled') {
+      property.status = 'searching';
+    }
+    await syncPropertyStatus(property);
+
+    res.json({
+      success: true,
+      message: 'Statut automatique rétabli',
+      data: {
+        property: {
+          ...property.toObject(),
+          progressPercentage: property.getProgressPercentage()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du rétablissement du statut automatique:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/status/explanation
+// @desc    Expliquer le statut actuel d'une propriété
+// @access  Private
+router.get('/:id/status/explanation', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    }).populate('statusOverride.setBy', 'firstName lastName');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const steps = await Step.find({ property: property._id, isActive: true })
+      .select('name category status order dates');
+    const derivation = derive(steps);
+    const manual = property.statusSource === 'manual';
+
+    res.json({
+      success: true,
+      data: {
+        status: property.status,
+        source: manual ? 'manual' : 'auto',
+        reason: manual
+          ? (property.statusOverride && property.statusOverride.reason) || 'Statut forcé manuellement'
+          : derivation.rule.reason,
+        override: manual ? property.statusOverride : null,
+        derivedStatus: derivation.status,
+        matchedRule: derivation.rule,
+        rules: derivation.rules,
+        currentStep: derivation.currentStep && {
+          id: derivation.currentStep._id,
+          name: derivation.currentStep.name,
+          status: derivation.currentStep.status
+        },
+        importantDates: derivation.importantDates
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'explication du statut:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/legal-deadlines
+// @desc    Calculer les délais légaux à partir de la date du compromis (ou d'une date simulée)
+// @access  Private
+router.get('/:id/legal-deadlines', auth, [
+  query('compromisDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de compromis invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const compromisDate = req.query.compromisDate || property.importantDates.compromisDate;
+    if (!compromisDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune date de compromis : indiquez compromisDate pour une simulation'
+      });
+    }
+
+    const deadlines = computeDeadlines(compromisDate, {
+      rules: await rulesForProperty(property),
+      postalCode: property.address.postalCode
+    });
+
+    res.json({
+      success: true,
+      data: {
+        compromisDate: new Date(compromisDate),
+        simulated: !!req.query.compromisDate,
+        deadlines
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul des délais légaux:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/costs
+// @desc    Obtenir le coût complet de l'acquisition et l'écart au budget
+// @access  Private
+router.get('/:id/costs', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    });
 
-// Fonction pour créer les étapes par défaut
-async function createDefaultSteps(propertyId) {
-  const defaultSteps = [
-    { name: 'Recherche active', category: 'recherche', order: 1 },
-    { name: 'Première visite', category: 'visite', order: 2 },
-    { name: 'Deuxième visite', category: 'visite', order: 3 },
-    { name: 'Faire une offre', category: 'offre', order: 4 },
-    { name: 'Négociation', category: 'offre', order: 5 },
-    { name: 'Signature du compromis', category: 'compromis', order: 6 },
-    { name: 'Demande de prêt', category: 'financement', order: 7 },
-    { name: 'Diagnostics immobiliers', category: 'diagnostics', order: 8 },
-    { name: 'Accord de prêt', category: 'financement', order: 9 },
-    { name: 'Signature définitive', category: 'signature', order: 10 },
-    { name: 'Remise des clés', category: 'remise_cles', order: 11 }
-  ];
-
-  const steps = defaultSteps.map(step => ({
-    ...step,
-    property: propertyId,
-    status: step.order === 1 ? 'in_progress' : 'todo'
-  }));
-
-  await Step.insertMany(steps);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const breakdowns = await breakdownsFor([property]);
+
+    res.json({
+      success: true,
+      data: { costs: breakdowns.get(property._id.toString()) }
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul du coût d\'acquisition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/required-documents
+// @desc    Obtenir la checklist des documents requis (présents, manquants, expirés, à venir)
+// @access  Private
+router.get('/:id/required-documents', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const checklist = await checklistFor(property);
+
+    res.json({
+      success: true,
+      data: { checklist }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des documents requis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/affordability
+// @desc    Évaluer l'accessibilité d'une propriété selon le profil financier de l'utilisateur
+// @access  Private
+router.get('/:id/affordability', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    }).lean();
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('financialProfile').lean();
+    const verdicts = await assessProperties([property], (user && user.financialProfile) || {});
+
+    res.json({
+      success: true,
+      data: { affordability: verdicts.get(property._id.toString()) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'évaluation de l\'accessibilité:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Validation de la section copropriété
+const coproprieteValidation = [
+  body('lots')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le nombre de lots doit être un entier positif'),
+  body(['annualCharges', 'worksFund.balance', 'worksFund.annualContribution'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les montants doivent être des nombres positifs'),
+  body(['works', 'procedures', 'documents'])
+    .optional()
+    .isArray()
+    .withMessage('Les travaux, procédures et documents doivent être des listes'),
+  body(['works.*.description', 'procedures.*.description'])
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('La description est requise (300 caractères maximum)'),
+  body('works.*.status')
+    .optional()
+    .isIn(['planned', 'voted', 'completed'])
+    .withMessage('Statut des travaux invalide'),
+  body('works.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le montant des travaux doit être un nombre positif'),
+  body(['works.*.votedAt', 'works.*.expectedDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide'),
+  body('procedures.*.type')
+    .optional()
+    .isIn(['contentieux', 'impayes', 'peril', 'autre'])
+    .withMessage('Type de procédure invalide'),
+  body('procedures.*.status')
+    .optional()
+    .isIn(['ongoing', 'closed'])
+    .withMessage('Statut de procédure invalide'),
+  body(['documents.*', 'works.*.documents.*', 'procedures.*.documents.*'])
+    .isMongoId()
+    .withMessage('ID de document invalide'),
+  body('syndic.type')
+    .optional()
+    .isIn(['professionnel', 'benevole', 'cooperatif'])
+    .withMessage('Type de syndic invalide'),
+  body('syndic.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Email du syndic invalide')
+];
+
+// Documents référencés dans la section copropriété
+const coproprieteDocumentIds = (copropriete) => [
+  ...(copropriete.documents || []),
+  ...(copropriete.works || []).flatMap(work => work.documents || []),
+  ...(copropriete.procedures || []).flatMap(procedure => procedure.documents || [])
+].map(id => id.toString());
+
+// Synthèse : travaux à venir, procédures en cours et alertes
+const coproprieteSummary = (copropriete) => {
+  const pendingWorks = (copropriete.works || []).filter(work => ['planned', 'voted'].includes(work.status));
+  const ongoingProcedures = (copropriete.procedures || []).filter(procedure => procedure.status === 'ongoing');
+  const alerts = [];
+
+  if (pendingWorks.length > 0) {
+    alerts.push({
+      type: 'info',
+      title: 'Travaux de copropriété',
+      message: `${pendingWorks.length} chantier(s) voté(s) ou prévu(s) à intégrer au coût d'acquisition`
+    });
+  }
+  if (ongoingProcedures.length > 0) {
+    alerts.push({
+      type: 'warning',
+      title: 'Procédures en cours',
+      message: `${ongoingProcedures.length} procédure(s) en cours dans la copropriété`
+    });
+  }
+
+  return {
+    pendingWorksAmount: pendingWorks.reduce((sum, work) => sum + (work.amount || 0), 0),
+    ongoingProcedures: ongoingProcedures.length,
+    alerts
+  };
+};
+
+// @route   GET /api/properties/:id/copropriete
+// @desc    Obtenir la section copropriété avec ses documents
+// @access  Private
+router.get('/:id/copropriete', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...readablePropertyFilter(req.user.id)
+    })
+    .select('title copropriete')
+    .populate('copropriete.documents copropriete.works.documents copropriete.procedures.documents', 'name category createdAt');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const copropriete = property.copropriete || {};
+
+    res.json({
+      success: true,
+      data: {
+        copropriete,
+        summary: coproprieteSummary(copropriete)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la copropriété:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/copropriete
+// @desc    Mettre à jour la section copropriété (lots, charges, fonds travaux, travaux, syndic, procédures)
+// @access  Private
+router.put('/:id/copropriete', auth, coproprieteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findOne({
+      _id: req.params.id,
+      ...editablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const fields = ['lots', 'annualCharges', 'worksFund', 'works', 'syndic', 'procedures', 'documents'];
+    const updates = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    // Les documents liés doivent appartenir à la propriété
+    const documentIds = [...new Set(coproprieteDocumentIds(updates))];
+    if (documentIds.length > 0) {
+      const found = await Document.countDocuments({
+        _id: { $in: documentIds },
+        property: property._id,
+        isActive: true
+      });
+      if (found !== documentIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Certains documents n\'appartiennent pas à cette propriété'
+        });
+      }
+    }
+
+    Object.entries(updates).forEach(([field, value]) => {
+      property.set(`copropriete.${field}`, value);
+    });
+    await property.save();
+
+    res.json({
+      success: true,
+      message: 'Copropriété mise à jour avec succès',
+      data: {
+        copropriete: property.copropriete,
+        summary: coproprieteSummary(property.copropriete)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la copropriété:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Validation pour le partage d'une propriété
+const shareValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email invalide'),
+  body('role')
+    .optional()
+    .isIn(['viewer', 'editor'])
+    .withMessage('Rôle invalide'),
+  body('relationship')
+    .optional()
+    .isIn(['co_acquereur', 'partenaire', 'notaire', 'agent', 'autre'])
+    .withMessage('Type de relation invalide')
+];
+
+// Charger une propriété que seul son propriétaire peut (re)partager
+const findManageableProperty = async (propertyId, userId) => {
+  const property = await Property.findOne({
+    _id: propertyId,
+    ...readablePropertyFilter(userId),
+    isActive: true
+  });
+
+  if (!property) {
+    return { status: 404, message: 'Propriété non trouvée' };
+  }
+
+  if (!canManage('property', property, userId)) {
+    return { status: 403, message: 'Accès refusé' };
+  }
+
+  return { property };
+};
+
+// @route   GET /api/properties/:id/share
+// @desc    Lister les partages et invitations en attente d'une propriété
+// @access  Private
+router.get('/:id/share', auth, async (req, res) => {
+  try {
+    const { property, status, message } = await findManageableProperty(req.params.id, req.user.id);
+    if (!property) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await property.populate('sharedWith.user', 'firstName lastName email');
+
+    const invitations = await Invitation.find({
+      property: property._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sharedWith: property.sharedWith,
+        invitations
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des partages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/share
+// @desc    Partager une propriété ou inviter une personne sans compte
+// @access  Private
+router.post('/:id/share', auth, shareValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { property, status, message } = await findManageableProperty(req.params.id, req.user.id);
+    if (!property) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { email, role = 'viewer', relationship = 'autre' } = req.body;
+
+    if (email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vous ne pouvez pas partager une propriété avec vous-même'
+      });
+    }
+
+    const userToShare = await User.findOne({ email });
+
+    // L'utilisateur existe : partage immédiat
+    if (userToShare) {
+      const existingShare = property.sharedWith.find(
+        share => share.user.toString() === userToShare._id.toString()
+      );
+
+      if (existingShare) {
+        return res.status(400).json({
+          success: false,
+          message: 'La propriété est déjà partagée avec cet utilisateur'
+        });
+      }
+
+      property.sharedWith.push({
+        user: userToShare._id,
+        role,
+        relationship
+      });
+      await property.save();
+      await property.populate('sharedWith.user', 'firstName lastName email');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Propriété partagée avec succès',
+        data: { sharedWith: property.sharedWith }
+      });
+    }
+
+    // Pas de compte : invitation en attente, remplaçant une éventuelle invitation précédente
+    await Invitation.updateMany(
+      { property: property._id, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const { token, tokenHash } = Invitation.generateToken();
+    const expireDays = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+    const invitation = new Invitation({
+      property: property._id,
+      invitedBy: req.user.id,
+      email,
+      role,
+      relationship,
+      tokenHash,
+      expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+    });
+    await invitation.save();
+
+    // L'invitation reste valable même si l'email ne part pas : le lien est aussi renvoyé
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation, req.user, property, token);
+    } catch (mailError) {
+      emailSent = false;
+      console.error('Erreur lors de l\'envoi de l\'invitation:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation créée avec succès',
+      data: {
+        invitation,
+        inviteUrl: frontendUrl(`/register?invitation=${token}`),
+        emailSent
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du partage de la propriété:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/share
+// @desc    Modifier le rôle d'un utilisateur ou d'une invitation en attente
+// @access  Private
+router.put('/:id/share', auth, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email invalide'),
+  body('role')
+    .isIn(['viewer', 'editor'])
+    .withMessage('Rôle invalide'),
+  body('relationship')
+    .optional()
+    .isIn(['co_acquereur', 'partenaire', 'notaire', 'agent', 'autre'])
+    .withMessage('Type de relation invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { property, status, message } = await findManageableProperty(req.params.id, req.user.id);
+    if (!property) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { email, role, relationship } = req.body;
+
+    const sharedUser = await User.findOne({ email });
+    const existingShare = sharedUser && property.sharedWith.find(
+      share => share.user.toString() === sharedUser._id.toString()
+    );
+
+    if (existingShare) {
+      existingShare.role = role;
+      if (relationship !== undefined) existingShare.relationship = relationship;
+      await property.save();
+      await property.populate('sharedWith.user', 'firstName lastName email');
+
+      return res.json({
+        success: true,
+        message: 'Rôle mis à jour avec succès',
+        data: { sharedWith: property.sharedWith }
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      property: property._id,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucun partage trouvé pour cet email'
+      });
+    }
+
+    invitation.role = role;
+    if (relationship !== undefined) invitation.relationship = relationship;
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation mise à jour avec succès',
+      data: { invitation }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du partage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/share
+// @desc    Révoquer l'accès d'un utilisateur ou une invitation en attente
+// @access  Private
+router.delete('/:id/share', auth, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Email invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { property, status, message } = await findManageableProperty(req.params.id, req.user.id);
+    if (!property) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { email } = req.body;
+
+    const sharedUser = await User.findOne({ email });
+    const sharedCount = property.sharedWith.length;
+
+    if (sharedUser) {
+      property.sharedWith = property.sharedWith.filter(
+        share => share.user.toString() !== sharedUser._id.toString()
+      );
+    }
+
+    const revoked = await Invitation.updateMany(
+      { property: property._id, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    if (property.sharedWith.length === sharedCount && revoked.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucun partage trouvé pour cet email'
+      });
+    }
+
+    await property.save();
+
+    res.json({
+      success: true,
+      message: 'Accès révoqué avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la révocation du partage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// Fonction utilitaire pour calculer le pourcentage de progression
+function getProgressPercentage(status) {
+  const statusProgress = {
+    'searching': 10,
+    'visiting': 20,
+    'offer_made': 40,
+    'compromis_signed': 60,
+    'loan_pending': 75,
+    'final_signature': 90,
+    'keys_received': 100,
+    'cancelled': 0
+  };
+  return statusProgress[status] || 0;
 }
 
 module.exports = router;
\ No newline at end of file
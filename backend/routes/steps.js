@@ -3,6 +3,28 @@ const { body, validationResult } = require('express-validator');
 const Step = require('../models/Step');
 const Property = require('../models/Property');
 const { auth } = require('../middleware/auth');
+const {
+  canRead,
+  canEdit,
+  canManage,
+  readablePropertyFilter,
+  editablePropertyFilter
+} = require('../middleware/permissions');
+const {
+  findOpenBlockers,
+  startTriggeredSteps,
+  validateDependencies,
+  buildGraph
+} = require('../services/stepDependencies');
+const { syncPropertyStatus } = require('../services/propertyStatus');
+const { findMissingDocuments } = require('../services/requiredDocuments');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const {
+  validateTemplateSteps,
+  saveTemplateSteps,
+  toDefinition,
+  visibleTemplateFilter
+} = require('../services/workflowTemplates');
 
 const router = express.Router();
 
@@ -21,9 +43,374 @@ const stepValidation = [
     .withMessage('Priorité invalide'),
   body('order')
     .isInt({ min: 1 })
-    .withMessage('L\'ordre doit être un entier positif')
+    .withMessage('L\'ordre doit être un entier positif'),
+  body('dependencies')
+    .optional()
+    .isArray()
+    .withMessage('Les dépendances doivent être un tableau'),
+  body('dependencies.*.step')
+    .isMongoId()
+    .withMessage('ID d\'étape invalide'),
+  body('dependencies.*.type')
+    .optional()
+    .isIn(['blocks', 'triggers'])
+    .withMessage('Type de dépendance invalide')
+];
+
+// Statuts qui exigent que les étapes bloquantes soient terminées
+const GATED_STATUSES = ['in_progress', 'completed'];
+
+// Réponse pour une étape encore bloquée
+const sendBlocked = (res, blockers) => res.status(400).json({
+  success: false,
+  message: 'Étape bloquée par des étapes non terminées',
+  data: { blockers }
+});
+
+// Réponse pour une étape dont des documents obligatoires manquent ou sont expirés
+const sendMissingDocuments = (res, missingDocuments) => res.status(400).json({
+  success: false,
+  message: 'Documents obligatoires manquants pour terminer l\'étape',
+  data: { missingDocuments }
+});
+
+// Validation pour les modèles de parcours
+const templateValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le nom doit contenir entre 3 et 100 caractères'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La description ne peut pas dépasser 500 caractères'),
+  body('templateCategory')
+    .isIn(['achat_neuf', 'achat_ancien', 'investissement', 'premier_achat'])
+    .withMessage('Catégorie de modèle invalide'),
+  body('from')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de modèle invalide'),
+  body('steps')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Le modèle doit contenir au moins une étape'),
+  body('steps.*.name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le nom doit contenir entre 3 et 100 caractères'),
+  body('steps.*.category')
+    .isIn(['recherche', 'visite', 'offre', 'compromis', 'financement', 'diagnostics', 'signature', 'remise_cles', 'autre'])
+    .withMessage('Catégorie invalide'),
+  body('steps.*.order')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('L\'ordre doit être un entier positif'),
+  body('steps.*.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priorité invalide'),
+  body('steps.*.deadlineOffsetDays')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Le délai doit être un nombre de jours positif'),
+  body('steps.*.checklist')
+    .optional()
+    .isArray()
+    .withMessage('La checklist doit être un tableau'),
+  body('steps.*.dependencies')
+    .optional()
+    .isArray()
+    .withMessage('Les dépendances doivent être un tableau'),
+  body('steps.*.dependencies.*.order')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Ordre de dépendance invalide'),
+  body('steps.*.dependencies.*.type')
+    .optional()
+    .isIn(['blocks', 'triggers'])
+    .withMessage('Type de dépendance invalide'),
+  body('legalDeadlines')
+    .optional()
+    .isArray()
+    .withMessage('Les délais légaux doivent être un tableau'),
+  body('legalDeadlines.*.key')
+    .isIn(['sru', 'dia', 'loan', 'acte'])
+    .withMessage('Délai légal inconnu'),
+  body('legalDeadlines.*.days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage('Le délai doit être compris entre 1 et 365 jours'),
+  body('legalDeadlines.*.months')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .toInt()
+    .withMessage('Le délai doit être compris entre 1 et 24 mois'),
+  body('legalDeadlines.*.enabled')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('enabled doit être un booléen')
 ];
 
+// Charger un modèle personnel de l'utilisateur pour modification
+const findOwnTemplate = async (templateId, userId) => {
+  const template = await WorkflowTemplate.findOne({
+    _id: templateId,
+    ...visibleTemplateFilter(userId)
+  });
+
+  if (!template) {
+    return { status: 404, message: 'Modèle non trouvé' };
+  }
+  if (template.isBuiltIn) {
+    return { status: 403, message: 'Les modèles intégrés ne peuvent pas être modifiés' };
+  }
+  return { template };
+};
+
+// @route   GET /api/steps/templates
+// @desc    Lister les modèles de parcours (intégrés et personnels)
+// @access  Private
+router.get('/templates', auth, async (req, res) => {
+  try {
+    const filter = visibleTemplateFilter(req.user.id);
+    if (req.query.templateCategory) {
+      filter.templateCategory = req.query.templateCategory;
+    }
+
+    const templates = await WorkflowTemplate.find(filter)
+      .sort({ isBuiltIn: -1, name: 1 })
+      .lean();
+
+    const counts = await Step.aggregate([
+      { $match: { template: { $in: templates.map(t => t._id) }, isTemplate: true, isActive: true } },
+      { $group: { _id: '$template', count: { $sum: 1 } } }
+    ]);
+    const countByTemplate = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(template => ({
+          ...template,
+          stepCount: countByTemplate.get(template._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des modèles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/steps/templates/:id
+// @desc    Obtenir un modèle de parcours et ses étapes
+// @access  Private
+router.get('/templates/:id', auth, async (req, res) => {
+  try {
+    const template = await WorkflowTemplate.findOne({
+      _id: req.params.id,
+      ...visibleTemplateFilter(req.user.id)
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modèle non trouvé'
+      });
+    }
+
+    const steps = await Step.find({ template: template._id, isTemplate: true, isActive: true })
+      .sort({ order: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        template,
+        steps: toDefinition(steps)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du modèle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/steps/templates
+// @desc    Créer un modèle personnel (à partir d'étapes ou d'un modèle existant)
+// @access  Private
+router.post('/templates', auth, templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    let steps = req.body.steps;
+    let legalDeadlines = req.body.legalDeadlines;
+
+    // Copier les étapes d'un modèle existant (pour personnaliser un modèle intégré)
+    if (!steps && req.body.from) {
+      const source = await WorkflowTemplate.findOne({
+        _id: req.body.from,
+        ...visibleTemplateFilter(req.user.id)
+      });
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Modèle source non trouvé'
+        });
+      }
+
+      steps = toDefinition(await Step.find({ template: source._id, isTemplate: true, isActive: true }).sort({ order: 1 }));
+      legalDeadlines = legalDeadlines || source.legalDeadlines.map(({ key, days, months, enabled }) => ({ key, days, months, enabled }));
+    }
+
+    if (!steps || steps.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le modèle doit contenir au moins une étape'
+      });
+    }
+
+    const stepsError = validateTemplateSteps(steps);
+    if (stepsError) {
+      return res.status(400).json({
+        success: false,
+        message: stepsError
+      });
+    }
+
+    const template = await WorkflowTemplate.create({
+      name: req.body.name,
+      description: req.body.description,
+      templateCategory: req.body.templateCategory,
+      legalDeadlines: legalDeadlines || [],
+      owner: req.user.id
+    });
+    await saveTemplateSteps(template, steps);
+
+    res.status(201).json({
+      success: true,
+      message: 'Modèle créé avec succès',
+      data: { template, steps }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création du modèle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/steps/templates/:id
+// @desc    Mettre à jour un modèle personnel (les étapes fournies remplacent les anciennes)
+// @access  Private
+router.put('/templates/:id', auth, templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const { template, status, message } = await findOwnTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (req.body.steps) {
+      const stepsError = validateTemplateSteps(req.body.steps);
+      if (stepsError) {
+        return res.status(400).json({
+          success: false,
+          message: stepsError
+        });
+      }
+    }
+
+    template.name = req.body.name;
+    template.description = req.body.description;
+    template.templateCategory = req.body.templateCategory;
+    if (req.body.legalDeadlines) {
+      template.legalDeadlines = req.body.legalDeadlines;
+    }
+    await template.save();
+
+    if (req.body.steps) {
+      // Les étapes d'un modèle ne sont référencées par aucune propriété : remplacement direct
+      await Step.deleteMany({ template: template._id, isTemplate: true });
+      await saveTemplateSteps(template, req.body.steps);
+    } else {
+      await Step.updateMany(
+        { template: template._id, isTemplate: true },
+        { templateCategory: template.templateCategory }
+      );
+    }
+
+    const steps = await Step.find({ template: template._id, isTemplate: true, isActive: true })
+      .sort({ order: 1 });
+
+    res.json({
+      success: true,
+      message: 'Modèle mis à jour avec succès',
+      data: { template, steps: toDefinition(steps) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du modèle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/steps/templates/:id
+// @desc    Supprimer un modèle personnel
+// @access  Private
+router.delete('/templates/:id', auth, async (req, res) => {
+  try {
+    const { template, status, message } = await findOwnTemplate(req.params.id, req.user.id);
+    if (!template) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Soft delete
+    template.isActive = false;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Modèle supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du modèle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   GET /api/steps/property/:propertyId
 // @desc    Obtenir toutes les étapes d'une propriété
 // @access  Private
@@ -32,10 +419,7 @@ router.get('/property/:propertyId', auth, async (req, res) => {
     // Vérifier que l'utilisateur a accès à cette propriété
     const property = await Property.findOne({
       _id: req.params.propertyId,
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ]
+      ...readablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -78,13 +462,45 @@ router.get('/property/:propertyId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/steps/property/:propertyId/graph
+// @desc    Obtenir le graphe des dépendances entre les étapes d'une propriété
+// @access  Private
+router.get('/property/:propertyId/graph', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.propertyId,
+      ...readablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const graph = await buildGraph(property._id);
+
+    res.json({
+      success: true,
+      data: { graph }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du graphe des dépendances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
 // @route   GET /api/steps/:id
 // @desc    Obtenir une étape spécifique
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
     const step = await Step.findById(req.params.id)
-      .populate('property', 'title owner')
+      .populate('property', 'title owner sharedWith')
       .populate('assignedTo', 'firstName lastName email')
       .populate('documents')
       .populate('dependencies.step', 'name status');
@@ -97,18 +513,11 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Vérifier que l'utilisateur a accès à cette étape
-    if (step.property.owner.toString() !== req.user.id) {
-      const property = await Property.findOne({
-        _id: step.property._id,
-        'sharedWith.user': req.user.id
+    if (!canRead('step', step, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
       });
-      
-      if (!property) {
-        return res.status(403).json({
-          success: false,
-          message: 'Accès refusé'
-        });
-      }
     }
 
     res.json({
@@ -144,10 +553,10 @@ router.post('/', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
+    // Vérifier que l'utilisateur peut modifier la propriété
     const property = await Property.findOne({
       _id: req.body.property,
-      owner: req.user.id
+      ...editablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -171,8 +580,34 @@ router.post('/', auth, [
       });
     }
 
+    if (req.body.dependencies) {
+      const dependencyError = await validateDependencies(property._id, null, req.body.dependencies);
+      if (dependencyError) {
+        return res.status(400).json({
+          success: false,
+          message: dependencyError
+        });
+      }
+    }
+
     const step = new Step(req.body);
+
+    if (GATED_STATUSES.includes(step.status)) {
+      const blockers = await findOpenBlockers(step);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    if (step.status === 'completed') {
+      const missingDocuments = await findMissingDocuments(step, property);
+      if (missingDocuments.length > 0) {
+        return sendMissingDocuments(res, missingDocuments);
+      }
+    }
+
     await step.save();
+    await syncPropertyStatus(property);
 
     await step.populate('assignedTo', 'firstName lastName email');
 
@@ -214,24 +649,57 @@ router.put('/:id', auth, stepValidation, async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (step.property.owner.toString() !== req.user.id) {
+    // Vérifier que l'utilisateur peut modifier l'étape
+    if (!canEdit('step', step, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
       });
     }
 
-    // Mettre à jour les champs
-    Object.assign(step, req.body);
+    // Mettre à jour les champs (une étape ne change pas de propriété)
+    const { property, ...updates } = req.body;
+
+    if (updates.dependencies) {
+      const dependencyError = await validateDependencies(step.property._id, step._id, updates.dependencies);
+      if (dependencyError) {
+        return res.status(400).json({
+          success: false,
+          message: dependencyError
+        });
+      }
+    }
+
+    const oldStatus = step.status;
+    Object.assign(step, updates);
+
+    if (step.status !== oldStatus && GATED_STATUSES.includes(step.status)) {
+      const blockers = await findOpenBlockers(step);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    if (step.status === 'completed' && oldStatus !== 'completed') {
+      const missingDocuments = await findMissingDocuments(step, step.property);
+      if (missingDocuments.length > 0) {
+        return sendMissingDocuments(res, missingDocuments);
+      }
+    }
+
     await step.save();
 
+    const triggered = step.status === 'completed' && oldStatus !== 'completed'
+      ? await startTriggeredSteps(step)
+      : [];
+    await syncPropertyStatus(step.property);
+
     await step.populate('assignedTo', 'firstName lastName email');
 
     res.json({
       success: true,
       message: 'Étape mise à jour avec succès',
-      data: { step }
+      data: { step, triggered }
     });
   } catch (error) {
     console.error('Erreur lors de la mise à jour de l\'étape:', error);
@@ -269,38 +737,55 @@ router.put('/:id/status', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur a accès à cette étape
-    if (step.property.owner.toString() !== req.user.id) {
-      const property = await Property.findOne({
-        _id: step.property._id,
-        'sharedWith.user': req.user.id
+    // Vérifier que l'utilisateur peut modifier l'étape
+    if (!canEdit('step', step, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
       });
-      
-      if (!property) {
-        return res.status(403).json({
-          success: false,
-          message: 'Accès refusé'
-        });
-      }
     }
 
     const { status } = req.body;
     const oldStatus = step.status;
 
+    // Refuser de démarrer ou terminer une étape dont une étape bloquante est ouverte
+    if (status !== oldStatus && GATED_STATUSES.includes(status)) {
+      const blockers = await findOpenBlockers(step);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    // Refuser de terminer une étape sans ses documents obligatoires
+    if (status === 'completed' && oldStatus !== 'completed') {
+      const missingDocuments = await findMissingDocuments(step, step.property);
+      if (missingDocuments.length > 0) {
+        return sendMissingDocuments(res, missingDocuments);
+      }
+    }
+
     // Utiliser les méthodes du modèle pour les changements de statut
+    let triggered = [];
     if (status === 'in_progress' && oldStatus === 'todo') {
       await step.start();
     } else if (status === 'completed') {
       await step.complete();
+      if (oldStatus !== 'completed') {
+        // Démarrer les étapes déclenchées par celle-ci
+        triggered = await startTriggeredSteps(step);
+      }
     } else {
       step.status = status;
       await step.save();
     }
 
+    // Le statut de la propriété suit l'avancement des étapes
+    await syncPropertyStatus(step.property);
+
     res.json({
       success: true,
       message: 'Statut mis à jour avec succès',
-      data: { step }
+      data: { step, triggered }
     });
   } catch (error) {
     console.error('Erreur lors de la mise à jour du statut:', error);
@@ -342,19 +827,12 @@ router.put('/:id/checklist', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur a accès à cette étape
-    if (step.property.owner.toString() !== req.user.id) {
-      const property = await Property.findOne({
-        _id: step.property._id,
-        'sharedWith.user': req.user.id
+    // Vérifier que l'utilisateur peut modifier l'étape
+    if (!canEdit('step', step, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
       });
-      
-      if (!property) {
-        return res.status(403).json({
-          success: false,
-          message: 'Accès refusé'
-        });
-      }
     }
 
     // Mettre à jour la checklist
@@ -411,8 +889,8 @@ router.post('/:id/checklist-item', auth, [
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (step.property.owner.toString() !== req.user.id) {
+    // Vérifier que l'utilisateur peut modifier l'étape
+    if (!canEdit('step', step, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -455,8 +933,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Vérifier que l'utilisateur possède la propriété
-    if (step.property.owner.toString() !== req.user.id) {
+    // Seul le propriétaire peut supprimer une étape
+    if (!canManage('step', step, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'Accès refusé'
@@ -466,6 +944,7 @@ router.delete('/:id', auth, async (req, res) => {
     // Soft delete
     step.isActive = false;
     await step.save();
+    await syncPropertyStatus(step.property);
 
     res.json({
       success: true,
@@ -509,10 +988,10 @@ router.post('/reorder', auth, [
 
     const { propertyId, steps } = req.body;
 
-    // Vérifier que l'utilisateur possède la propriété
+    // Vérifier que l'utilisateur peut modifier la propriété
     const property = await Property.findOne({
       _id: propertyId,
-      owner: req.user.id
+      ...editablePropertyFilter(req.user.id)
     });
 
     if (!property) {
@@ -522,12 +1001,13 @@ router.post('/reorder', auth, [
       });
     }
 
-    // Mettre à jour l'ordre des étapes
+    // Mettre à jour l'ordre des étapes (uniquement celles de la propriété)
     const updatePromises = steps.map(({ id, order }) => 
-      Step.findByIdAndUpdate(id, { order }, { new: true })
+      Step.updateOne({ _id: id, property: propertyId }, { order })
     );
 
     await Promise.all(updatePromises);
+    await syncPropertyStatus(property);
 
     // Récupérer les étapes mises à jour
     const updatedSteps = await Step.find({ 
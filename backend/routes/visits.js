@@ -0,0 +1,635 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const VisitReport = require('../models/VisitReport');
+const Property = require('../models/Property');
+const CalendarEvent = require('../models/Calendar');
+const Step = require('../models/Step');
+const { auth } = require('../middleware/auth');
+const {
+  canRead,
+  canEdit,
+  canManage,
+  readablePropertyFilter,
+  editablePropertyFilter
+} = require('../middleware/permissions');
+const { aggregateScores, syncVisitScores } = require('../services/visitScores');
+const { RENDITION_SIZES, getRendition } = require('../services/renditions');
+
+const { SCORE_CRITERIA } = VisitReport;
+
+const router = express.Router();
+
+// Configuration de multer pour les photos de visite
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const uploadPath = path.join(process.env.UPLOAD_PATH || './uploads', 'visits');
+    try {
+      await fs.mkdir(uploadPath, { recursive: true });
+      cb(null, uploadPath);
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `visit-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    files: 10
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Seules les images sont autorisées (JPEG, JPG, PNG, GIF, WebP)'));
+    }
+  }
+});
+
+// Validation des notes d'un participant
+const ratingValidation = [
+  body(SCORE_CRITERIA.map(criterion => `scores.${criterion}`))
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Les notes doivent être comprises entre 1 et 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Le commentaire ne peut pas dépasser 1000 caractères')
+];
+
+// Validation pour les comptes rendus de visite
+const reportValidation = [
+  body('event')
+    .optional()
+    .isMongoId()
+    .withMessage('ID d\'événement invalide'),
+  body('step')
+    .optional()
+    .isMongoId()
+    .withMessage('ID d\'étape invalide'),
+  body('visitedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de visite invalide'),
+  body('defects')
+    .optional()
+    .isArray()
+    .withMessage('Les défauts doivent être une liste'),
+  body('defects.*.description')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('La description du défaut est requise (500 caractères maximum)'),
+  body('defects.*.severity')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Gravité invalide'),
+  body('defects.*.estimatedCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Le coût estimé doit être un nombre positif'),
+  body('questions')
+    .optional()
+    .isArray()
+    .withMessage('Les questions doivent être une liste'),
+  body('questions.*.question')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('La question est requise (500 caractères maximum)'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Les notes ne peuvent pas dépasser 2000 caractères')
+];
+
+// Charger un compte rendu avec son bien (pour les contrôles d'accès)
+const findReport = (id) => VisitReport.findOne({ _id: id, isActive: true })
+  .populate('property', 'title owner sharedWith');
+
+// Types MIME des photos acceptées à l'upload
+const PHOTO_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Supprimer les photos uploadées qui ne sont pas conservées
+const discardUploads = async (files) => {
+  for (const file of files || []) {
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.error('Erreur lors de la suppression du fichier:', unlinkError);
+    }
+  }
+};
+
+// Vérifier que l'événement et l'étape liés appartiennent au bien
+const checkLinks = async (propertyId, { event, step }) => {
+  if (event && !await CalendarEvent.exists({ _id: event, property: propertyId, isActive: true })) {
+    return 'Événement non trouvé pour cette propriété';
+  }
+  if (step && !await Step.exists({ _id: step, property: propertyId, isActive: true })) {
+    return 'Étape non trouvée pour cette propriété';
+  }
+  return null;
+};
+
+// @route   GET /api/visits/property/:propertyId
+// @desc    Obtenir les comptes rendus de visite d'une propriété et les notes agrégées
+// @access  Private
+router.get('/property/:propertyId', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({
+      _id: req.params.propertyId,
+      ...readablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const reports = await VisitReport.find({ property: property._id, isActive: true })
+      .populate('createdBy', 'firstName lastName')
+      .populate('ratings.user', 'firstName lastName')
+      .populate('event', 'title startDate')
+      .populate('step', 'name status')
+      .sort({ visitedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        scores: aggregateScores(reports)
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des visites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/visits/:id
+// @desc    Obtenir un compte rendu de visite
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canRead('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    await report.populate([
+      { path: 'createdBy', select: 'firstName lastName' },
+      { path: 'ratings.user', select: 'firstName lastName' },
+      { path: 'event', select: 'title startDate' },
+      { path: 'step', select: 'name status' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        scores: aggregateScores([report])
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du compte rendu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/visits
+// @desc    Créer un compte rendu de visite (avec éventuellement les notes de son auteur)
+// @access  Private
+router.post('/', auth, [
+  body('property')
+    .isMongoId()
+    .withMessage('ID de propriété invalide'),
+  ...reportValidation,
+  ...ratingValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const property = await Property.findOne({
+      _id: req.body.property,
+      ...editablePropertyFilter(req.user.id)
+    });
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Propriété non trouvée'
+      });
+    }
+
+    const { event, step, visitedAt, defects, questions, notes, scores, comment } = req.body;
+
+    const linkError = await checkLinks(property._id, { event, step });
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError
+      });
+    }
+
+    const report = new VisitReport({
+      property: property._id,
+      createdBy: req.user.id,
+      event,
+      step,
+      visitedAt,
+      defects,
+      questions,
+      notes
+    });
+    if (scores) {
+      report.setRating(req.user.id, { scores, comment });
+    }
+    await report.save();
+
+    await syncVisitScores(property._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Compte rendu de visite créé avec succès',
+      data: { report }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création du compte rendu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/visits/:id
+// @desc    Mettre à jour un compte rendu de visite
+// @access  Private
+router.put('/:id', auth, reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canEdit('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const linkError = await checkLinks(report.property._id, req.body);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError
+      });
+    }
+
+    ['event', 'step', 'visitedAt', 'defects', 'questions', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) report[field] = req.body[field];
+    });
+    await report.save();
+
+    res.json({
+      success: true,
+      message: 'Compte rendu mis à jour avec succès',
+      data: { report }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du compte rendu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/visits/:id
+// @desc    Supprimer un compte rendu de visite
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canManage('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    // Soft delete
+    report.isActive = false;
+    await report.save();
+
+    await syncVisitScores(report.property._id);
+
+    res.json({
+      success: true,
+      message: 'Compte rendu supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du compte rendu:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   PUT /api/visits/:id/rating
+// @desc    Enregistrer ses propres notes sur une visite (une notation par participant)
+// @access  Private
+router.put('/:id/rating', auth, ratingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Données invalides',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canEdit('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const rating = report.setRating(req.user.id, req.body);
+    await report.save();
+
+    const scores = await syncVisitScores(report.property._id);
+
+    res.json({
+      success: true,
+      message: 'Notes enregistrées avec succès',
+      data: { rating, scores }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   DELETE /api/visits/:id/rating
+// @desc    Retirer ses notes d'une visite
+// @access  Private
+router.delete('/:id/rating', auth, async (req, res) => {
+  try {
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canRead('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const rating = report.ratings.find(item => item.user.equals(req.user.id));
+    if (!rating) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aucune note à retirer'
+      });
+    }
+
+    rating.deleteOne();
+    await report.save();
+
+    const scores = await syncVisitScores(report.property._id);
+
+    res.json({
+      success: true,
+      message: 'Notes retirées avec succès',
+      data: { scores }
+    });
+  } catch (error) {
+    console.error('Erreur lors du retrait des notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   POST /api/visits/:id/photos
+// @desc    Ajouter des photos à un compte rendu de visite
+// @access  Private
+router.post('/:id/photos', auth, upload.array('photos', 10), async (req, res) => {
+  try {
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      await discardUploads(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canEdit('visit', report, req.user.id)) {
+      await discardUploads(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune photo fournie'
+      });
+    }
+
+    report.photos.push(...req.files.map(file => ({
+      url: `/uploads/visits/${file.filename}`,
+      caption: ''
+    })));
+    await report.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Photos ajoutées avec succès',
+      data: { photos: report.photos }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout des photos:', error);
+    await discardUploads(req.files);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+// @route   GET /api/visits/:id/photos/:photoId
+// @desc    Obtenir une photo d'un compte rendu ; ?size=small|medium|large pour une miniature WebP
+// @access  Private
+router.get('/:id/photos/:photoId', auth, [
+  query('size')
+    .optional()
+    .isIn(Object.keys(RENDITION_SIZES))
+    .withMessage('Taille de photo invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paramètres invalides',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte rendu non trouvé'
+      });
+    }
+
+    if (!canRead('visit', report, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès refusé'
+      });
+    }
+
+    const photo = report.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo non trouvée'
+      });
+    }
+
+    // Les photos sont enregistrées sous /uploads/visits/<fichier>
+    const filename = path.basename(photo.url);
+    const photoPath = path.resolve(process.env.UPLOAD_PATH || './uploads', 'visits', filename);
+
+    try {
+      await fs.access(photoPath);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fichier non trouvé sur le serveur'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.query.size) {
+      const rendition = await getRendition({
+        sourcePath: photoPath,
+        mimeType: PHOTO_MIME_TYPES[path.extname(filename).toLowerCase()] || 'image/jpeg',
+        namespace: 'visits'
+      }, req.query.size);
+
+      res.setHeader('Content-Type', rendition.mimeType);
+      return res.sendFile(rendition.path);
+    }
+
+    res.sendFile(photoPath);
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
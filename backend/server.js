@@ -10,6 +10,11 @@ const propertyRoutes = require('./routes/properties');
 const stepRoutes = require('./routes/steps');
 const documentRoutes = require('./routes/documents');
 const calendarRoutes = require('./routes/calendar');
+const dashboardRoutes = require('./routes/dashboard');
+const loanRoutes = require('./routes/loans');
+const visitRoutes = require('./routes/visits');
+const reminderScheduler = require('./services/reminderScheduler');
+const { ensureBuiltInTemplates } = require('./services/workflowTemplates');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -38,6 +43,9 @@ app.use('/api/properties', propertyRoutes);
 app.use('/api/steps', stepRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/visits', visitRoutes);
 
 // Route de test
 app.get('/api/health', (req, res) => {
@@ -68,6 +76,17 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appli-app
   app.listen(PORT, () => {
     console.log(`🚀 Serveur démarré sur le port ${PORT}`);
   });
+
+  // Modèles de parcours fournis par l'application
+  ensureBuiltInTemplates().catch((error) => {
+    console.error('Erreur lors de la création des modèles de parcours:', error);
+  });
+
+  // Envoi des rappels et notifications en arrière-plan
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    reminderScheduler.start();
+    console.log('⏰ Planificateur de rappels démarré');
+  }
 })
 .catch((error) => {
   console.error('❌ Erreur de connexion à MongoDB:', error);
@@ -0,0 +1,186 @@
+const Step = require('../models/Step');
+const Loan = require('../models/Loan');
+
+// Coût complet d'une acquisition : prix, frais de notaire, frais d'agence, garantie du prêt,
+// diagnostics, travaux et coûts des étapes, comparé au budget de la propriété
+
+// Droits de mutation dans l'ancien : taxe départementale 4,50 % (frais d'assiette 2,37 % inclus)
+// et taxe communale 1,20 %
+const TRANSFER_TAX_RATE_ANCIEN = 4.5 * 1.0237 + 1.2;
+// Neuf : taxe de publicité foncière 0,70 % (frais d'assiette inclus)
+const TRANSFER_TAX_RATE_NEUF = 0.7 * 1.0237;
+
+// Émoluments proportionnels du notaire (hors taxes), par tranche de prix
+const NOTARY_FEE_BRACKETS = [
+  { upTo: 6500, rate: 3.870 },
+  { upTo: 17000, rate: 1.596 },
+  { upTo: 60000, rate: 1.064 },
+  { upTo: Infinity, rate: 0.799 }
+];
+const VAT_RATE = 0.2;
+
+// Contribution de sécurité immobilière : 0,10 %, 15 € minimum
+const CSI_RATE = 0.1;
+const CSI_MINIMUM = 15;
+
+// Débours et frais de formalités (cadastre, urbanisme, copies...), forfait estimé
+const DISBURSEMENTS = parseFloat(process.env.NOTARY_DISBURSEMENTS) || 1200;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Émoluments du notaire selon le barème par tranches
+const notaryEmoluments = (price) => {
+  let remaining = price;
+  let lower = 0;
+  let total = 0;
+
+  for (const bracket of NOTARY_FEE_BRACKETS) {
+    const slice = Math.min(remaining, bracket.upTo - lower);
+    if (slice <= 0) break;
+    total += slice * bracket.rate / 100;
+    remaining -= slice;
+    lower = bracket.upTo;
+  }
+
+  return total;
+};
+
+// Frais de notaire (droits de mutation, émoluments TTC, CSI, débours)
+const notaryFees = (price, { isNewBuild = false, transferTaxRate } = {}) => {
+  const taxRate = transferTaxRate || (isNewBuild ? TRANSFER_TAX_RATE_NEUF : TRANSFER_TAX_RATE_ANCIEN);
+  const transferTaxes = price * taxRate / 100;
+  const emoluments = notaryEmoluments(price) * (1 + VAT_RATE);
+  const csi = Math.max(price * CSI_RATE / 100, CSI_MINIMUM);
+
+  return {
+    basis: round(price),
+    transferTaxRate: Math.round(taxRate * 1000) / 1000,
+    transferTaxes: round(transferTaxes),
+    emoluments: round(emoluments),
+    securityContribution: round(csi),
+    disbursements: DISBURSEMENTS,
+    total: round(transferTaxes + emoluments + csi + DISBURSEMENTS)
+  };
+};
+
+// Frais liés au prêt accepté (garantie, dossier, courtage)
+const loanCosts = (loans) => {
+  const accepted = loans
+    .map(loan => loan.offers.find(offer => loan.acceptedOffer && offer._id.equals(loan.acceptedOffer)))
+    .filter(Boolean);
+
+  const sum = (pick) => round(accepted.reduce((total, offer) => total + pick(offer), 0));
+
+  return {
+    guarantee: sum(offer => (offer.guarantee && offer.guarantee.cost) || 0),
+    fees: sum(offer => {
+      const fees = offer.fees || {};
+      return (fees.application || 0) + (fees.broker || 0) + (fees.other || 0);
+    }),
+    acceptedOffers: accepted.length
+  };
+};
+
+// Coûts saisis dans les étapes (le réel remplace l'estimation quand il est connu)
+const stepCosts = (steps) => {
+  const totals = steps.reduce((acc, step) => {
+    const costs = step.costs || {};
+    acc.estimated += costs.estimated || 0;
+    acc.actual += costs.actual || 0;
+    acc.retained += costs.actual !== undefined && costs.actual !== null ? costs.actual : (costs.estimated || 0);
+    return acc;
+  }, { estimated: 0, actual: 0, retained: 0 });
+
+  return {
+    estimated: round(totals.estimated),
+    actual: round(totals.actual),
+    retained: round(totals.retained)
+  };
+};
+
+// Travaux de copropriété votés ou envisagés (quote-part du lot), à négocier au compromis
+const coproprieteWorks = (copropriete = {}) => {
+  const works = (copropriete.works || []).filter(work => ['planned', 'voted'].includes(work.status));
+  return {
+    total: round(works.reduce((sum, work) => sum + (work.amount || 0), 0)),
+    works: works.map(({ description, status, amount, expectedDate }) => ({ description, status, amount, expectedDate }))
+  };
+};
+
+// Décomposition du coût d'une propriété à partir de ses étapes et prêts
+const buildBreakdown = (property, { steps = [], loans = [] } = {}) => {
+  const acquisition = property.acquisition || {};
+  const agency = acquisition.agencyFees || {};
+  const agencyAmount = agency.amount || 0;
+  const agencyIncluded = agency.included !== false;
+
+  const price = (property.price && (property.price.finalPrice || property.price.amount)) || 0;
+  // Les droits sont calculés sur le prix net vendeur, hors frais d'agence
+  const netPrice = agencyIncluded ? Math.max(price - agencyAmount, 0) : price;
+
+  const notary = notaryFees(netPrice, acquisition);
+  const loan = loanCosts(loans);
+  const worksTotal = round((acquisition.works || []).reduce((sum, work) => sum + (work.amount || 0), 0));
+  const stepsTotal = stepCosts(steps);
+  const copro = coproprieteWorks(property.copropriete);
+
+  const items = {
+    price: round(netPrice),
+    agencyFees: round(agencyAmount),
+    notaryFees: notary.total,
+    loanGuarantee: loan.guarantee,
+    loanFees: loan.fees,
+    diagnostics: round(acquisition.diagnostics || 0),
+    works: worksTotal,
+    coproprieteWorks: copro.total,
+    steps: stepsTotal.retained
+  };
+  const total = round(Object.values(items).reduce((sum, value) => sum + value, 0));
+
+  const budget = acquisition.budget || null;
+
+  return {
+    currency: (property.price && property.price.currency) || 'EUR',
+    isNewBuild: !!acquisition.isNewBuild,
+    agencyFeesIncluded: agencyIncluded,
+    items,
+    details: {
+      notary,
+      loan,
+      works: acquisition.works || [],
+      coproprieteWorks: copro.works,
+      steps: stepsTotal
+    },
+    total,
+    budget: budget && {
+      amount: budget,
+      variance: round(budget - total),
+      variancePercentage: round((budget - total) / budget * 100),
+      overBudget: total > budget
+    }
+  };
+};
+
+// Décompositions de plusieurs propriétés (chargement groupé des étapes et prêts)
+const breakdownsFor = async (properties) => {
+  const ids = properties.map(property => property._id);
+
+  const [steps, loans] = await Promise.all([
+    Step.find({ property: { $in: ids }, isActive: true }).select('property costs').lean(),
+    Loan.find({ property: { $in: ids }, isActive: true, acceptedOffer: { $exists: true } })
+  ]);
+
+  return new Map(properties.map(property => {
+    const id = property._id.toString();
+    return [id, buildBreakdown(property, {
+      steps: steps.filter(step => step.property.toString() === id),
+      loans: loans.filter(loan => loan.property.toString() === id)
+    })];
+  }));
+};
+
+module.exports = {
+  notaryFees,
+  buildBreakdown,
+  breakdownsFor
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+const { monthlyPayment, monthlyInsurance, MAX_DEBT_RATIO } = require('./loanCalculator');
+const { breakdownsFor } = require('./acquisitionCosts');
+
+// Capacité d'emprunt du foyer et verdict d'accessibilité de chaque propriété
+
+// Part des revenus locatifs retenue par les banques
+const RENTAL_INCOME_WEIGHT = 0.7;
+
+// Plafonds de ressources du PTZ pour une personne, par zone, et coefficients selon la taille du foyer
+const PTZ_INCOME_CEILINGS = { Abis: 49000, A: 49000, B1: 34500, B2: 31500, C: 28500 };
+const PTZ_HOUSEHOLD_COEFFICIENTS = [1, 1.4, 1.7, 2, 2.3, 2.6, 2.9, 3.2];
+// Dans l'ancien (zones B2 et C), les travaux doivent représenter au moins 25 % du coût total
+const PTZ_MIN_WORKS_SHARE = 0.25;
+
+const VERDICTS = ['affordable', 'tight', 'unaffordable', 'unknown'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Revenus, charges et mensualité maximale du foyer
+const householdBudget = (profile = {}) => {
+  const monthlyIncome = (profile.incomes || []).reduce((sum, income) => (
+    sum + income.monthlyAmount * (income.type === 'locatif' ? RENTAL_INCOME_WEIGHT : 1)
+  ), 0);
+
+  // Les crédits déjà soldés ne comptent plus
+  const now = new Date();
+  const existingPayments = (profile.existingLoans || [])
+    .filter(loan => !loan.endDate || new Date(loan.endDate) > now)
+    .reduce((sum, loan) => sum + loan.monthlyPayment, 0);
+  const monthlyCharges = existingPayments + (profile.monthlyCharges || 0);
+
+  return {
+    monthlyIncome: round(monthlyIncome),
+    monthlyCharges: round(monthlyCharges),
+    maxMonthlyPayment: round(Math.max(monthlyIncome * MAX_DEBT_RATIO - monthlyCharges, 0))
+  };
+};
+
+// Capital maximal finançable pour une mensualité donnée (assurance comprise)
+const maxBorrowable = (monthlyBudget, { rate, durationMonths, insuranceRate }) => {
+  const perEuro = monthlyPayment(1, rate, durationMonths) + monthlyInsurance(1, insuranceRate);
+  return round(monthlyBudget / perEuro);
+};
+
+// Capacité d'emprunt globale du foyer (profil au format objet simple, cf. lean())
+const borrowingCapacity = (profile = {}) => {
+  const budget = householdBudget(profile);
+  const assumptions = {
+    rate: 3.5,
+    durationMonths: 300,
+    insuranceRate: 0.3,
+    ...profile.loanAssumptions
+  };
+  const maxLoan = maxBorrowable(budget.maxMonthlyPayment, assumptions);
+  const personalContribution = profile.personalContribution || 0;
+
+  return {
+    ...budget,
+    assumptions,
+    maxBorrowable: maxLoan,
+    personalContribution,
+    maxBudget: round(maxLoan + personalContribution)
+  };
+};
+
+// Éligibilité (indicative) au prêt à taux zéro pour une propriété
+const ptzEligibility = (profile = {}, property) => {
+  const ptz = profile.ptz || {};
+  const reasons = [];
+
+  if (!ptz.firstTimeBuyer) {
+    reasons.push('Le foyer doit être primo-accédant (non propriétaire depuis deux ans)');
+  }
+
+  if (!ptz.zone || ptz.taxableIncome === undefined || ptz.taxableIncome === null) {
+    reasons.push('Zone et revenu fiscal de référence requis');
+  } else {
+    const size = Math.min(profile.householdSize || 1, PTZ_HOUSEHOLD_COEFFICIENTS.length);
+    const ceiling = PTZ_INCOME_CEILINGS[ptz.zone] * PTZ_HOUSEHOLD_COEFFICIENTS[size - 1];
+    if (ptz.taxableIncome > ceiling) {
+      reasons.push(`Revenu fiscal supérieur au plafond de la zone (${ceiling} €)`);
+    }
+
+    if (property) {
+      const acquisition = property.acquisition || {};
+      const works = (acquisition.works || []).reduce((sum, work) => sum + (work.amount || 0), 0);
+      const price = property.price.finalPrice || property.price.amount;
+      const worksShare = works / (price + works || 1);
+
+      if (!acquisition.isNewBuild && !(['B2', 'C'].includes(ptz.zone) && worksShare >= PTZ_MIN_WORKS_SHARE)) {
+        reasons.push('Dans l\'ancien, le PTZ est réservé aux zones B2 et C avec au moins 25 % de travaux');
+      }
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// Verdict pour une propriété à partir de sa décomposition de coût
+const assessProperty = (property, profile, breakdown, capacity = borrowingCapacity(profile)) => {
+  const { items } = breakdown;
+  // Frais non finançables par le prêt : à couvrir par l'apport
+  const fees = round(items.notaryFees + items.loanGuarantee + items.loanFees + items.diagnostics + items.steps);
+  const remainingContribution = round(capacity.personalContribution - fees);
+  const loanNeeded = round(Math.max(breakdown.total - capacity.personalContribution, 0));
+
+  const { rate, durationMonths, insuranceRate } = capacity.assumptions;
+  const monthlyTotal = round(monthlyPayment(loanNeeded, rate, durationMonths) + monthlyInsurance(loanNeeded, insuranceRate));
+
+  const result = {
+    totalCost: breakdown.total,
+    fees,
+    personalContribution: capacity.personalContribution,
+    remainingContribution,
+    loanNeeded,
+    maxBorrowable: capacity.maxBorrowable,
+    monthlyPayment: monthlyTotal,
+    debtRatio: null,
+    maxDebtRatio: MAX_DEBT_RATIO * 100,
+    ptz: ptzEligibility(profile, property),
+    warnings: []
+  };
+
+  if (!capacity.monthlyIncome) {
+    result.verdict = 'unknown';
+    result.warnings.push('Renseignez les revenus du foyer pour évaluer la capacité d\'emprunt');
+    return result;
+  }
+
+  const ratio = (monthlyTotal + capacity.monthlyCharges) / capacity.monthlyIncome;
+  result.debtRatio = round(ratio * 100);
+
+  if (ratio > MAX_DEBT_RATIO) {
+    result.verdict = 'unaffordable';
+    result.warnings.push('Le taux d\'endettement dépasse 35 % (limite HCSF)');
+  } else if (remainingContribution < 0) {
+    result.verdict = 'tight';
+    result.warnings.push('L\'apport ne couvre pas les frais d\'acquisition');
+  } else {
+    result.verdict = 'affordable';
+  }
+
+  return result;
+};
+
+// Verdicts de plusieurs propriétés pour un même profil
+const assessProperties = async (properties, profile) => {
+  const breakdowns = await breakdownsFor(properties);
+  const capacity = borrowingCapacity(profile);
+
+  return new Map(properties.map(property => {
+    const id = property._id.toString();
+    return [id, assessProperty(property, profile, breakdowns.get(id), capacity)];
+  }));
+};
+
+module.exports = {
+  VERDICTS,
+  householdBudget,
+  maxBorrowable,
+  borrowingCapacity,
+  ptzEligibility,
+  assessProperty,
+  assessProperties
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+// Statistiques du tableau de bord calculées à partir des étapes
+//
+// Les étapes sont lues avec les champs du modèle Step (dates.deadline, dates.actualStart,
+// dates.actualEnd, costs.estimated, costs.actual) puis agrégées ici, ce qui permet de
+// vérifier les comptes, durées et totaux sans base de données.
+
+// Statuts d'étape considérés comme « à faire » pour les retards et échéances
+const OPEN_STEP_STATUSES = ['todo', 'in_progress', 'on_hold'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isOpen = (step) => OPEN_STEP_STATUSES.includes(step.status);
+const deadlineOf = (step) => (step.dates && step.dates.deadline ? new Date(step.dates.deadline) : null);
+
+// Étape ouverte dont l'échéance est dépassée
+const isOverdue = (step, now = new Date()) => {
+  const deadline = deadlineOf(step);
+  return isOpen(step) && !!deadline && deadline < now;
+};
+
+// Étape ouverte dont l'échéance tombe dans les `days` prochains jours
+const isUpcoming = (step, now = new Date(), days = 7) => {
+  const deadline = deadlineOf(step);
+  return isOpen(step) && !!deadline && deadline >= now && deadline <= new Date(now.getTime() + days * DAY_MS);
+};
+
+// Comptes des étapes : total, terminées, en retard, à venir, par statut et progression
+const summarizeSteps = (steps, now = new Date()) => {
+  const byStatus = {};
+  steps.forEach(step => { byStatus[step.status] = (byStatus[step.status] || 0) + 1; });
+
+  const completed = byStatus.completed || 0;
+
+  return {
+    total: steps.length,
+    completed,
+    overdue: steps.filter(step => isOverdue(step, now)).length,
+    upcoming: steps.filter(step => isUpcoming(step, now)).length,
+    progress: steps.length > 0 ? Math.round((completed / steps.length) * 100) : 0,
+    byStatus
+  };
+};
+
+// Durées (en jours) des étapes terminées depuis `since`, par catégorie
+const stepDurations = (steps, since) => {
+  const byCategory = new Map();
+
+  steps.forEach(step => {
+    const { actualStart, actualEnd } = step.dates || {};
+    if (step.status !== 'completed' || !actualStart || !actualEnd) return;
+    if (since && new Date(actualEnd) < since) return;
+
+    const duration = (new Date(actualEnd) - new Date(actualStart)) / DAY_MS;
+    byCategory.set(step.category, [...(byCategory.get(step.category) || []), duration]);
+  });
+
+  return [...byCategory.entries()].map(([category, durations]) => ({
+    category,
+    avgDays: round1(durations.reduce((sum, duration) => sum + duration, 0) / durations.length),
+    minDays: round1(Math.min(...durations)),
+    maxDays: round1(Math.max(...durations)),
+    count: durations.length
+  }));
+};
+
+// Coûts estimés et réels par catégorie d'étape, avec les totaux
+const costsByCategory = (steps) => {
+  const byCategory = new Map();
+
+  steps.forEach(step => {
+    const estimated = (step.costs && step.costs.estimated) || 0;
+    const actual = (step.costs && step.costs.actual) || 0;
+    if (estimated <= 0 && actual <= 0) return;
+
+    const totals = byCategory.get(step.category) || { category: step.category, estimated: 0, actual: 0, count: 0 };
+    totals.estimated += estimated;
+    totals.actual += actual;
+    totals.count += 1;
+    byCategory.set(step.category, totals);
+  });
+
+  const categories = [...byCategory.values()]
+    .map(item => ({
+      category: item.category,
+      estimated: round2(item.estimated),
+      actual: round2(item.actual),
+      variance: round2(item.actual - item.estimated),
+      count: item.count
+    }))
+    .sort((a, b) => b.actual - a.actual || b.estimated - a.estimated);
+
+  return {
+    byCategory: categories,
+    totalEstimated: round2(categories.reduce((sum, item) => sum + item.estimated, 0)),
+    totalActual: round2(categories.reduce((sum, item) => sum + item.actual, 0))
+  };
+};
+
+module.exports = {
+  OPEN_STEP_STATUSES,
+  isOverdue,
+  isUpcoming,
+  summarizeSteps,
+  stepDurations,
+  costsByCategory
+};
\ No newline at end of file
@@ -0,0 +1,279 @@
+const fs = require('fs').promises;
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const JSZip = require('jszip');
+
+// Traitement des documents après upload : métadonnées du fichier et texte pour la recherche plein texte
+// (les aperçus sont générés à la première demande, cf. services/renditions)
+//
+// Le statut du document passe de 'uploaded' à 'processing', puis à 'processed' ou 'error'
+// (avec la raison de l'échec). Chaque étape est exécutée même si une précédente a échoué.
+// Un document archivé conserve son statut.
+
+// Au-delà, le texte est tronqué (limite de taille des documents MongoDB)
+const MAX_INDEXED_CHARACTERS = 200000;
+
+// Au-delà, un traitement resté « processing » est considéré comme interrompu et peut être relancé
+const PROCESSING_TIMEOUT_MS = (parseInt(process.env.DOCUMENT_PROCESSING_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const OFFICE_EXTENSIONS = ['.docx', '.xlsx', '.pptx'];
+
+// Champs de métadonnées renseignés à partir du fichier (la version est gérée par le document)
+const EXTRACTED_METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'createdDate', 'modifiedDate', 'pageCount', 'dimensions'];
+
+const extensionOf = (file) => path.extname(file.originalName || file.filename || '').toLowerCase();
+
+// Format du texte extractible d'un fichier, ou null s'il n'en contient pas
+const textFormat = (file) => {
+  const ext = extensionOf(file);
+
+  if (file.mimeType === 'application/pdf' || ext === '.pdf') return 'pdf';
+  if (file.mimeType === DOCX_MIME_TYPE || ext === '.docx') return 'docx';
+  if ((file.mimeType || '').startsWith('text/') || ext === '.txt') return 'text';
+  return null;
+};
+
+// Format des métadonnées lisibles d'un fichier, ou null
+const metadataFormat = (file) => {
+  const ext = extensionOf(file);
+
+  if (file.mimeType === 'application/pdf' || ext === '.pdf') return 'pdf';
+  if ((file.mimeType || '').startsWith('image/')) return 'image';
+  if ((file.mimeType || '').includes('openxmlformats') || OFFICE_EXTENSIONS.includes(ext)) return 'office';
+  return null;
+};
+
+// Le PDF n'est analysé qu'une fois pour toutes les étapes
+const readPdf = (file, context) => {
+  if (!context.pdf) {
+    context.pdf = fs.readFile(file.path).then(buffer => pdfParse(buffer));
+  }
+  return context.pdf;
+};
+
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v\u00a0]+/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const cleanString = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.replace(/\0/g, '').trim();
+  return trimmed || undefined;
+};
+
+const splitKeywords = (value) => {
+  const keywords = cleanString(value);
+  return keywords ? keywords.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean) : undefined;
+};
+
+const validDate = (value) => (value instanceof Date && !isNaN(value) ? value : undefined);
+
+// Date au format PDF : D:AAAAMMJJHHmmSS+HH'mm'
+const parsePdfDate = (value) => {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz]|[+-]\d{2}'?\d{2}'?)?/.exec(cleanString(value) || '');
+  if (!match) return undefined;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  let offset = 'Z';
+  if (zone && !/^[Zz]$/.test(zone)) {
+    const digits = zone.replace(/'/g, '');
+    offset = `${digits.slice(0, 3)}:${digits.slice(3, 5) || '00'}`;
+  }
+
+  return validDate(new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`));
+};
+
+// Dictionnaire d'informations et nombre de pages d'un PDF
+const pdfMetadata = async (file, context) => {
+  const { info = {}, numpages } = await readPdf(file, context);
+
+  return {
+    title: cleanString(info.Title),
+    author: cleanString(info.Author),
+    subject: cleanString(info.Subject),
+    keywords: splitKeywords(info.Keywords),
+    createdDate: parsePdfDate(info.CreationDate),
+    modifiedDate: parsePdfDate(info.ModDate),
+    pageCount: numpages
+  };
+};
+
+// Dimensions (orientation EXIF appliquée) et dates de prise de vue d'une image
+const imageMetadata = async (file) => {
+  const { width, height, orientation } = await sharp(file.path).metadata();
+  // Orientations 5 à 8 : l'image est affichée pivotée d'un quart de tour
+  const rotated = orientation >= 5;
+
+  let exif = null;
+  try {
+    exif = await exifr.parse(file.path, ['DateTimeOriginal', 'CreateDate', 'ModifyDate']);
+  } catch (error) {
+    // Formats sans EXIF (GIF, SVG...) : seules les dimensions sont connues
+    exif = null;
+  }
+
+  return {
+    dimensions: width && height ? { width: rotated ? height : width, height: rotated ? width : height } : undefined,
+    createdDate: exif ? validDate(exif.DateTimeOriginal) || validDate(exif.CreateDate) : undefined,
+    modifiedDate: exif ? validDate(exif.ModifyDate) : undefined
+  };
+};
+
+const xmlValue = (xml, tag) => {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(xml);
+  if (!match) return undefined;
+  return cleanString(match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&'));
+};
+
+// Propriétés principales (docProps/core.xml) et nombre de pages (docProps/app.xml) d'un fichier Office
+const officeMetadata = async (file) => {
+  const zip = await JSZip.loadAsync(await fs.readFile(file.path));
+  const core = zip.file('docProps/core.xml');
+  const app = zip.file('docProps/app.xml');
+
+  const metadata = {};
+  if (core) {
+    const xml = await core.async('string');
+    const created = xmlValue(xml, 'dcterms:created');
+    const modified = xmlValue(xml, 'dcterms:modified');
+    Object.assign(metadata, {
+      title: xmlValue(xml, 'dc:title'),
+      author: xmlValue(xml, 'dc:creator'),
+      subject: xmlValue(xml, 'dc:subject'),
+      keywords: splitKeywords(xmlValue(xml, 'cp:keywords')),
+      createdDate: created ? validDate(new Date(created)) : undefined,
+      modifiedDate: modified ? validDate(new Date(modified)) : undefined
+    });
+  }
+  if (app) {
+    // Pages (Word) ou diapositives (PowerPoint), tels qu'enregistrés par l'application
+    const xml = await app.async('string');
+    const pages = parseInt(xmlValue(xml, 'Pages') || xmlValue(xml, 'Slides'));
+    if (pages >= 0) metadata.pageCount = pages;
+  }
+
+  return metadata;
+};
+
+// Métadonnées d'un fichier selon son format (objet vide si le format n'en porte pas)
+const extractMetadata = async (file, context = {}) => {
+  switch (metadataFormat(file)) {
+    case 'pdf':
+      return pdfMetadata(file, context);
+    case 'image':
+      return imageMetadata(file);
+    case 'office':
+      return officeMetadata(file);
+    default:
+      return {};
+  }
+};
+
+// Texte brut d'un fichier (PDF, DOCX ou texte), null pour les autres formats
+const extractText = async (file, context = {}) => {
+  switch (textFormat(file)) {
+    case 'pdf': {
+      const result = await readPdf(file, context);
+      return normalizeText(result.text || '');
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ path: file.path });
+      return normalizeText(result.value || '');
+    }
+    case 'text':
+      return normalizeText(await fs.readFile(file.path, 'utf8'));
+    default:
+      return null;
+  }
+};
+
+// Étapes du traitement, appliquées dans l'ordre au document
+const STAGES = [
+  {
+    label: 'Extraction des métadonnées',
+    run: async (document, context) => {
+      // Les valeurs d'une version précédente ne doivent pas subsister
+      EXTRACTED_METADATA_FIELDS.forEach(field => document.set(`metadata.${field}`, undefined));
+
+      const metadata = await extractMetadata(document.file, context);
+      EXTRACTED_METADATA_FIELDS.forEach(field => {
+        if (metadata[field] !== undefined) document.set(`metadata.${field}`, metadata[field]);
+      });
+    }
+  },
+  {
+    label: 'Extraction du texte',
+    run: async (document, context) => {
+      document.content = undefined;
+
+      const text = await extractText(document.file, context);
+      document.content = text
+        ? {
+            text: text.slice(0, MAX_INDEXED_CHARACTERS),
+            characters: text.length,
+            truncated: text.length > MAX_INDEXED_CHARACTERS,
+            extractedAt: new Date()
+          }
+        : undefined;
+    }
+  }
+];
+
+// Un traitement est en cours tant qu'il n'a pas dépassé PROCESSING_TIMEOUT_MS
+// (un arrêt du serveur pendant le traitement laisse le document en « processing »)
+const isProcessingStale = (document, now = new Date()) => {
+  const startedAt = document.processing && document.processing.startedAt;
+  return !startedAt || now - new Date(startedAt) > PROCESSING_TIMEOUT_MS;
+};
+
+// Traiter le fichier courant d'un document ; les erreurs sont enregistrées sur le document
+const processDocument = async (document) => {
+  if (!document.isArchived) document.status = 'processing';
+  document.processing = { startedAt: new Date() };
+  await document.save({ validateBeforeSave: false });
+
+  const context = {};
+  const failures = [];
+
+  for (const stage of STAGES) {
+    try {
+      await stage.run(document, context);
+    } catch (error) {
+      console.error(`Erreur lors du traitement du document (${stage.label}):`, error);
+      failures.push(`${stage.label} impossible : ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    document.processing.error = failures.join(' ; ');
+  }
+  if (!document.isArchived) {
+    document.status = failures.length > 0 ? 'error' : 'processed';
+  }
+  document.processing.completedAt = new Date();
+  await document.save({ validateBeforeSave: false });
+
+  return document;
+};
+
+module.exports = {
+  MAX_INDEXED_CHARACTERS,
+  textFormat,
+  metadataFormat,
+  parsePdfDate,
+  extractMetadata,
+  extractText,
+  isProcessingStale,
+  processDocument
+};
\ No newline at end of file
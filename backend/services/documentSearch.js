@@ -0,0 +1,94 @@
+// Extraits surlignés pour la recherche plein texte dans les documents
+//
+// MongoDB recherche sur les racines des mots (analyse en français) ; le surlignage
+// retrouve donc les mots du texte qui commencent par la racine approchée de chaque terme.
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+// Minuscules sans accents, pour comparer les mots
+const fold = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Racines des termes recherchés (les termes exclus par « - » sont ignorés)
+const searchTerms = (query) => {
+  const stems = (query.match(/-?[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !term.startsWith('-'))
+    .map(term => fold(term))
+    .filter(term => term.length >= 2)
+    .map(term => (term.length > 5 ? term.slice(0, term.length - 2) : term));
+
+  return [...new Set(stems)];
+};
+
+// Positions des mots du texte correspondant aux termes
+const findMatches = (text, terms) => {
+  const matches = [];
+  for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const folded = fold(word[0]);
+    if (terms.some(term => folded.startsWith(term))) {
+      matches.push({ start: word.index, end: word.index + word[0].length });
+    }
+  }
+  return matches;
+};
+
+// Texte échappé avec les correspondances entourées de <mark>
+const markMatches = (text, matches, offset = 0) => {
+  let result = '';
+  let cursor = offset;
+  matches.forEach(match => {
+    result += escapeHtml(text.slice(cursor, match.start)) + '<mark>' + escapeHtml(text.slice(match.start, match.end)) + '</mark>';
+    cursor = match.end;
+  });
+  return { html: result, cursor };
+};
+
+// Surligner un texte court (nom, description) en entier
+const highlight = (text, query) => {
+  if (!text) return text;
+  const matches = findMatches(text, searchTerms(query));
+  const { html, cursor } = markMatches(text, matches);
+  return html + escapeHtml(text.slice(cursor));
+};
+
+// Extraits du texte autour des correspondances, les plus proches étant regroupées
+const buildSnippets = (text, query, { radius = SNIPPET_RADIUS, maxSnippets = MAX_SNIPPETS } = {}) => {
+  if (!text) return [];
+  const matches = findMatches(text, searchTerms(query));
+
+  const groups = [];
+  matches.forEach(match => {
+    const last = groups[groups.length - 1];
+    if (last && match.start - last.matches[last.matches.length - 1].end <= radius) {
+      last.matches.push(match);
+    } else {
+      groups.push({ matches: [match] });
+    }
+  });
+
+  return groups.slice(0, maxSnippets).map(group => {
+    let start = Math.max(group.matches[0].start - radius, 0);
+    let end = Math.min(group.matches[group.matches.length - 1].end + radius, text.length);
+
+    // Ne pas couper les mots en bordure d'extrait
+    while (start > 0 && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+
+    const { html, cursor } = markMatches(text, group.matches, start);
+    const body = (html + escapeHtml(text.slice(cursor, end))).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '… ' : ''}${body}${end < text.length ? ' …' : ''}`;
+  });
+};
+
+module.exports = {
+  searchTerms,
+  highlight,
+  buildSnippets
+};
\ No newline at end of file
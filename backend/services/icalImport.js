@@ -0,0 +1,276 @@
+const ical = require('node-ical');
+const { RRule } = require('rrule');
+
+// Lecture de fichiers iCalendar (.ics) reçus par email : confirmations de visite,
+// rendez-vous chez le notaire ou à la banque...
+
+const DAY = 24 * 60 * 60 * 1000;
+// Limites d'expansion des événements récurrents
+const MAX_OCCURRENCES = 100;
+const MAX_RECURRENCE_SPAN = 366 * DAY;
+
+// Mots-clés permettant de deviner le type d'un événement (dans l'ordre de priorité)
+const TYPE_KEYWORDS = [
+  ['rendez_vous_notaire', ['notaire', 'notarial', 'etude notariale']],
+  ['rendez_vous_banque', ['banque', 'bancaire', 'pret', 'credit', 'courtier', 'conseiller financier']],
+  ['remise_cles', ['remise des cles', 'remise de cles', 'cles']],
+  ['signature', ['signature', 'compromis', 'acte authentique', 'acte de vente']],
+  ['expertise', ['expertise', 'expert']],
+  ['diagnostic', ['diagnostic', 'dpe', 'amiante', 'plomb', 'carrez']],
+  ['visite', ['visite', 'viewing']],
+  ['appel', ['appel', 'telephone', 'call']],
+  ['reunion', ['reunion', 'meeting', 'assemblee']]
+];
+
+const EVENT_TYPES = [
+  'visite', 'rendez_vous_notaire', 'rendez_vous_banque', 'signature', 'remise_cles',
+  'expertise', 'diagnostic', 'reunion', 'appel', 'echeance', 'rappel', 'autre'
+];
+
+// Mettre un texte en minuscules, sans accents ni ponctuation
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Vérifier qu'un fuseau horaire est connu (les noms Windows ne le sont pas)
+const resolveTimeZone = (tz) => {
+  if (!tz) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch (error) {
+    return 'Europe/Paris';
+  }
+};
+
+// Décalage (ms) d'un fuseau horaire à une date donnée
+const tzOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Heure locale représentée en UTC (convention de rrule) et conversion inverse
+const toWallClock = (date, timeZone) => new Date(date.getTime() + tzOffset(date, timeZone));
+const fromWallClock = (wall, timeZone) => {
+  const guess = wall.getTime() - tzOffset(wall, timeZone);
+  return new Date(wall.getTime() - tzOffset(new Date(guess), timeZone));
+};
+
+// Date seule (VALUE=DATE) -> minuit UTC
+const toUtcDate = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+// Convertir un TRIGGER (-PT30M, -P1D, -PT1H30M) en minutes avant le début
+const triggerToMinutes = (trigger) => {
+  const value = typeof trigger === 'string' ? trigger : trigger && trigger.val;
+  const match = /^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(n => parseInt(n) || 0);
+  return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes;
+};
+
+// Texte d'une propriété iCalendar (node-ical renvoie parfois { val, params })
+const textOf = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && 'val' in value) return String(value.val);
+  return String(value);
+};
+
+// Construire un événement normalisé à partir d'un VEVENT
+const toEvent = (vevent, uid, start, end) => {
+  const allDay = vevent.datetype === 'date' || (vevent.start && vevent.start.dateOnly);
+  const startDate = allDay ? toUtcDate(start) : new Date(start);
+  let endDate = end ? (allDay ? toUtcDate(end) : new Date(end)) : null;
+
+  // DTEND absent ou incohérent : 1 jour pour un événement sur la journée, 1 heure sinon
+  if (!endDate || endDate <= startDate) {
+    endDate = new Date(startDate.getTime() + (allDay ? DAY : 60 * 60 * 1000));
+  }
+
+  const alarms = Object.values(vevent)
+    .filter(item => item && item.type === 'VALARM')
+    .map(alarm => triggerToMinutes(alarm.trigger))
+    .filter(minutes => minutes !== null);
+
+  const categories = [].concat(vevent.categories || []).map(textOf);
+  // Respecter les limites du modèle CalendarEvent (titre 3-200, description 1000)
+  const summary = textOf(vevent.summary).trim();
+
+  return {
+    uid,
+    title: summary.length >= 3 ? summary.slice(0, 200) : 'Événement importé',
+    description: textOf(vevent.description).trim().slice(0, 1000),
+    location: textOf(vevent.location).trim(),
+    categories,
+    status: textOf(vevent.status).toUpperCase(),
+    startDate,
+    endDate,
+    allDay: !!allDay,
+    alarms
+  };
+};
+
+// Développer un événement récurrent (RRULE, EXDATE, RECURRENCE-ID)
+const expandRecurring = (vevent) => {
+  const timeZone = resolveTimeZone(vevent.start.tz);
+  const allDay = vevent.datetype === 'date' || vevent.start.dateOnly;
+  const start = allDay ? toUtcDate(vevent.start) : vevent.start;
+  const duration = vevent.end ? vevent.end - vevent.start : null;
+  const zone = allDay ? 'UTC' : timeZone;
+
+  const options = vevent.rrule.origOptions;
+  const rule = new RRule({
+    ...options,
+    tzid: null,
+    dtstart: toWallClock(start, zone),
+    until: options.until ? toWallClock(options.until, zone) : null
+  });
+
+  const windowEnd = new Date(start.getTime() + MAX_RECURRENCE_SPAN);
+  const occurrences = rule
+    .between(toWallClock(start, zone), toWallClock(windowEnd, zone), true)
+    .slice(0, MAX_OCCURRENCES);
+
+  const exdates = Object.values(vevent.exdate || {}).map(date => new Date(date).getTime());
+  const overrides = vevent.recurrences || {};
+
+  return occurrences.reduce((events, wall) => {
+    const occurrence = fromWallClock(wall, zone);
+    const dateKey = wall.toISOString().slice(0, 10);
+    const uid = `${vevent.uid}/${wall.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`;
+
+    if (exdates.includes(occurrence.getTime()) || (vevent.exdate && vevent.exdate[dateKey] && allDay)) {
+      return events;
+    }
+
+    const override = overrides[dateKey];
+    if (override) {
+      events.push(toEvent({ ...vevent, ...override }, uid, override.start, override.end));
+    } else {
+      const end = duration !== null ? new Date(occurrence.getTime() + duration) : null;
+      events.push(toEvent(vevent, uid, occurrence, end));
+    }
+    return events;
+  }, []);
+};
+
+const VEVENT_BLOCK = /^BEGIN:VEVENT$[\s\S]*?^END:VEVENT$\n?/gm;
+
+// Découper un calendrier en calendriers d'un seul UID (les exceptions RECURRENCE-ID restent
+// avec leur série ; les VTIMEZONE sont conservés dans chacun)
+const splitByUid = (content) => {
+  // Lignes LF et dépliées, pour repérer les blocs et les propriétés
+  const unfolded = content.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '');
+  const blocks = unfolded.match(VEVENT_BLOCK) || [];
+  const shell = unfolded.replace(VEVENT_BLOCK, '');
+  const close = shell.lastIndexOf('END:VCALENDAR');
+  if (close === -1) return null;
+
+  const groups = new Map();
+  blocks.forEach(block => {
+    const uid = (/^UID:(.*)$/m.exec(block) || [])[1] || '';
+    groups.set(uid, (groups.get(uid) || '') + block);
+  });
+
+  return [...groups.entries()].map(([uid, group]) => ({
+    uid,
+    summary: (/^SUMMARY[^:]*:(.*)$/m.exec(group) || [])[1] || '',
+    content: shell.slice(0, close) + group + shell.slice(close)
+  }));
+};
+
+// Convertir les VEVENT lus par node-ical (récurrences développées)
+const toEvents = (data) => Object.values(data)
+  .filter(item => item && item.type === 'VEVENT' && item.start && item.uid)
+  .flatMap(vevent => {
+    const events = vevent.rrule
+      ? expandRecurring(vevent)
+      : [toEvent(vevent, vevent.uid, vevent.start, vevent.end)];
+    if (events.some(event => isNaN(event.startDate) || isNaN(event.endDate))) {
+      throw new Error('date invalide');
+    }
+    return events;
+  });
+
+// Lire un fichier .ics : événements (récurrences développées) et VEVENT illisibles
+//
+// Chaque UID est lu séparément : une date ou une règle de récurrence invalide n'empêche
+// pas la lecture des autres événements. Un fichier sans structure VCALENDAR lève une erreur.
+const parseCalendar = (content) => {
+  const groups = splitByUid(content);
+  if (!groups) {
+    return { events: toEvents(ical.sync.parseICS(content)), invalid: [] };
+  }
+
+  const events = [];
+  const invalid = [];
+
+  groups.forEach(group => {
+    try {
+      events.push(...toEvents(ical.sync.parseICS(group.content)));
+    } catch (error) {
+      invalid.push({
+        uid: group.uid,
+        title: group.summary.trim(),
+        message: `Événement illisible : ${error.message}`
+      });
+    }
+  });
+
+  return { events, invalid };
+};
+
+// Deviner le type d'événement à partir des catégories, du titre et de la description
+const guessEventType = (event) => {
+  const category = event.categories.map(c => c.trim().toLowerCase()).find(c => EVENT_TYPES.includes(c));
+  if (category) return category;
+
+  const text = ` ${normalize(`${event.title} ${event.description} ${event.categories.join(' ')}`)} `;
+  const match = TYPE_KEYWORDS.find(([, keywords]) => keywords.some(keyword => text.includes(` ${keyword} `)));
+  return match ? match[0] : 'autre';
+};
+
+// Statut iCalendar -> statut de l'événement
+const mapStatus = (status) => {
+  if (status === 'CANCELLED') return 'cancelled';
+  if (status === 'CONFIRMED') return 'confirmed';
+  return 'scheduled';
+};
+
+// Trouver le bien dont l'adresse correspond au lieu de l'événement (seulement si unique)
+const matchPropertyByAddress = (location, properties) => {
+  const place = ` ${normalize(location)} `;
+  if (!place.trim()) return null;
+
+  const matches = properties.filter(property => {
+    const street = normalize(property.address && property.address.street);
+    const postalCode = normalize(property.address && property.address.postalCode);
+    const city = normalize(property.address && property.address.city);
+
+    return street && place.includes(` ${street} `) &&
+      ((postalCode && place.includes(` ${postalCode} `)) || (city && place.includes(` ${city} `)));
+  });
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+module.exports = {
+  parseCalendar,
+  guessEventType,
+  mapStatus,
+  matchPropertyByAddress
+};
\ No newline at end of file
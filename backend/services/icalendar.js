@@ -0,0 +1,155 @@
+// Génération de calendriers iCalendar (RFC 5545) à partir des événements
+
+const PRODID = '-//AppartTracker//Calendrier//FR';
+const UID_DOMAIN = 'apparttracker';
+// Fuseau des événements saisis dans l'application (jours des événements « toute la journée »)
+const TIME_ZONE = 'Europe/Paris';
+
+// Statut de l'événement -> STATUS iCalendar
+const STATUS_MAP = {
+  scheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+// Priorité de l'événement -> PRIORITY iCalendar (1 = haute, 9 = basse)
+const PRIORITY_MAP = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+};
+
+// Échapper une valeur TEXT
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Replier une ligne à 75 octets (les lignes suivantes commencent par un espace)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // l'espace de continuation compte dans les 75 octets
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Date-heure UTC : 20240131T143000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Date seule : 20240131, jour de la date dans le fuseau donné (minuit à Paris est encore la veille en UTC)
+const formatDate = (date, timeZone = TIME_ZONE) => {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date(date)).replace(/-/g, '');
+};
+
+// UID stable d'un événement (l'UID d'origine est conservé pour les événements importés)
+const eventUid = (event) => event.uid || `${event._id}@${UID_DOMAIN}`;
+
+// Construire les lignes d'un VEVENT
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event)}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `SEQUENCE:${event.sequence || 0}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.endDate)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.startDate)}`);
+    lines.push(`DTEND:${formatDateTime(event.endDate)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  const description = [
+    event.description,
+    event.property && event.property.title ? `Bien : ${event.property.title}` : null,
+    event.outcome ? `Compte rendu : ${event.outcome}` : null
+  ].filter(Boolean).join('\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (event.location && event.location.address) {
+    lines.push(`LOCATION:${escapeText(event.location.address)}`);
+  }
+
+  lines.push(`STATUS:${STATUS_MAP[event.status] || 'TENTATIVE'}`);
+  lines.push(`PRIORITY:${PRIORITY_MAP[event.priority] || 5}`);
+  lines.push(`CATEGORIES:${escapeText(event.type)}`);
+
+  if (event.createdAt) {
+    lines.push(`CREATED:${formatDateTime(event.createdAt)}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  }
+
+  // Un rappel par VALARM (pas d'alarme pour un événement annulé)
+  if (event.status !== 'cancelled') {
+    (event.reminders || []).forEach(reminder => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.title)}`,
+        `TRIGGER:-PT${reminder.minutesBefore}M`,
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Construire un calendrier complet
+const buildCalendar = (events, { name = 'AppartTracker' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  eventUid,
+  buildCalendar
+};
\ No newline at end of file
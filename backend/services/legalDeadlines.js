@@ -0,0 +1,243 @@
+const Step = require('../models/Step');
+const CalendarEvent = require('../models/Calendar');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+
+// Délais légaux d'un achat immobilier en France, calculés à partir de la date du compromis
+//
+// Chaque délai est écrit dans la date limite de la dernière étape ouverte de la catégorie
+// concernée et dans un événement « échéance » du calendrier. Les valeurs par défaut
+// peuvent être ajustées ou désactivées par modèle de parcours (WorkflowTemplate.legalDeadlines).
+
+const DAY = 24 * 60 * 60 * 1000;
+const UID_DOMAIN = 'apparttracker';
+const TIME_ZONE = 'Europe/Paris';
+// Rappel deux jours avant chaque échéance
+const REMINDER_MINUTES = 2 * 24 * 60;
+
+const DEFAULT_RULES = [
+  {
+    key: 'sru',
+    label: 'Fin du délai de rétractation SRU',
+    description: 'L\'acquéreur peut se rétracter pendant 10 jours à compter du lendemain de la notification du compromis.',
+    days: 10
+  },
+  {
+    key: 'dia',
+    label: 'Fin du délai de préemption (DIA)',
+    description: 'La commune dispose de 2 mois après la déclaration d\'intention d\'aliéner pour exercer son droit de préemption.',
+    months: 2
+  },
+  {
+    key: 'loan',
+    label: 'Fin de la condition suspensive de prêt',
+    description: 'Date limite d\'obtention de l\'offre de prêt prévue au compromis (45 à 60 jours en général).',
+    days: 45,
+    stepCategory: 'financement'
+  },
+  {
+    key: 'acte',
+    label: 'Signature de l\'acte authentique (prévisionnelle)',
+    description: 'La signature chez le notaire intervient en général environ 3 mois après le compromis.',
+    months: 3,
+    stepCategory: 'signature'
+  }
+];
+
+const RULE_KEYS = DEFAULT_RULES.map(rule => rule.key);
+
+// Date seule (minuit UTC) correspondant au jour de la date donnée à Paris
+const toLocalDay = (date) => {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE })
+    .format(date)
+    .split('-')
+    .map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+// Ajouter des mois en restant sur le dernier jour du mois si besoin (31 janvier + 1 mois = 28/29 février)
+const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Dimanche de Pâques (algorithme de Meeus / Jones / Butcher)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Jours fériés d'une année ; l'Alsace-Moselle a deux jours supplémentaires
+const publicHolidays = (year, { alsaceMoselle = false } = {}) => {
+  const easter = easterSunday(year);
+  const fixed = ['01-01', '05-01', '05-08', '07-14', '08-15', '11-01', '11-11', '12-25'];
+
+  const holidays = [
+    ...fixed.map(md => new Date(`${year}-${md}T00:00:00Z`)),
+    addDays(easter, 1), // Lundi de Pâques
+    addDays(easter, 39), // Ascension
+    addDays(easter, 50) // Lundi de Pentecôte
+  ];
+
+  if (alsaceMoselle) {
+    holidays.push(addDays(easter, -2), new Date(`${year}-12-26T00:00:00Z`)); // Vendredi saint, Saint-Étienne
+  }
+
+  return new Set(holidays.map(dayKey));
+};
+
+// Départements 57, 67 et 68
+const isAlsaceMoselle = (postalCode) => /^(57|67|68)/.test(String(postalCode || ''));
+
+const isWorkingDay = (date, options) => {
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !publicHolidays(date.getUTCFullYear(), options).has(dayKey(date));
+};
+
+// Un délai qui expire un samedi, un dimanche ou un jour férié est prorogé au premier jour ouvrable suivant
+const nextWorkingDay = (date, options) => {
+  let current = date;
+  while (!isWorkingDay(current, options)) {
+    current = addDays(current, 1);
+  }
+  return current;
+};
+
+// Règles effectives : valeurs par défaut surchargées par celles du modèle
+const resolveRules = (overrides = []) => DEFAULT_RULES
+  .map(rule => {
+    const override = overrides.find(item => item.key === rule.key) || {};
+    const merged = { ...rule, enabled: true };
+
+    if (override.enabled === false) merged.enabled = false;
+    if (Number.isInteger(override.days)) {
+      merged.days = override.days;
+      delete merged.months;
+    } else if (Number.isInteger(override.months)) {
+      merged.months = override.months;
+      delete merged.days;
+    }
+    return merged;
+  })
+  .filter(rule => rule.enabled);
+
+// Calculer les échéances à partir de la date du compromis
+const computeDeadlines = (compromisDate, { rules = DEFAULT_RULES, postalCode } = {}) => {
+  const start = toLocalDay(new Date(compromisDate));
+  const options = { alsaceMoselle: isAlsaceMoselle(postalCode) };
+
+  return rules.map(rule => {
+    const nominal = rule.months ? addMonths(start, rule.months) : addDays(start, rule.days);
+    const date = nextWorkingDay(nominal, options);
+
+    return {
+      key: rule.key,
+      label: rule.label,
+      description: rule.description,
+      days: rule.days,
+      months: rule.months,
+      stepCategory: rule.stepCategory,
+      nominalDate: nominal,
+      date,
+      postponed: date.getTime() !== nominal.getTime()
+    };
+  });
+};
+
+// Règles applicables à une propriété (selon son modèle de parcours)
+const rulesForProperty = async (property) => {
+  if (!property.workflowTemplate) return resolveRules();
+
+  const template = await WorkflowTemplate.findById(property.workflowTemplate).select('legalDeadlines');
+  return resolveRules(template ? template.legalDeadlines : []);
+};
+
+// Écrire les échéances dans les étapes et le calendrier de la propriété
+const applyLegalDeadlines = async (property) => {
+  const compromisDate = property.importantDates && property.importantDates.compromisDate;
+  if (!compromisDate) return [];
+
+  const deadlines = computeDeadlines(compromisDate, {
+    rules: await rulesForProperty(property),
+    postalCode: property.address && property.address.postalCode
+  });
+
+  for (const deadline of deadlines) {
+    // Date limite de la dernière étape encore ouverte de la catégorie
+    if (deadline.stepCategory) {
+      const step = await Step.findOne({
+        property: property._id,
+        category: deadline.stepCategory,
+        isActive: true,
+        status: { $nin: ['completed', 'cancelled'] }
+      }).sort({ order: -1 });
+
+      if (step) {
+        step.dates.deadline = deadline.date;
+        await step.save();
+        deadline.step = step._id;
+      }
+    }
+
+    // Événement « échéance » (un par règle et par propriété, mis à jour à chaque recalcul)
+    const uid = `legal-${deadline.key}-${property._id}@${UID_DOMAIN}`;
+    let event = await CalendarEvent.findOne({ owner: property.owner, uid });
+
+    if (!event) {
+      event = new CalendarEvent({
+        owner: property.owner,
+        createdBy: property.owner,
+        uid,
+        source: 'legal',
+        property: property._id,
+        type: 'echeance',
+        priority: 'high',
+        allDay: true,
+        reminders: [{ minutesBefore: REMINDER_MINUTES }]
+      });
+    } else if (!event.isActive) {
+      // Échéance supprimée par l'utilisateur : ne pas la recréer
+      continue;
+    }
+
+    event.title = `${deadline.label} — ${property.title}`.slice(0, 200);
+    event.description = deadline.description;
+    event.startDate = deadline.date;
+    event.endDate = addDays(deadline.date, 1);
+    event.step = deadline.step;
+    await event.save();
+    deadline.event = event._id;
+  }
+
+  return deadlines;
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_KEYS,
+  publicHolidays,
+  isWorkingDay,
+  resolveRules,
+  computeDeadlines,
+  rulesForProperty,
+  applyLegalDeadlines
+};
\ No newline at end of file
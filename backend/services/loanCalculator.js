@@ -0,0 +1,198 @@
+// Calculs de crédit immobilier : mensualités, tableau d'amortissement, TAEG, endettement
+
+// Règles du Haut Conseil de stabilité financière (HCSF)
+const MAX_DEBT_RATIO = 0.35;
+const MAX_DURATION_MONTHS = 25 * 12;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Mensualité hors assurance d'un prêt amortissable à taux fixe
+const monthlyPayment = (principal, annualRate, months) => {
+  const r = annualRate / 100 / 12;
+  if (r === 0) return principal / months;
+  return principal * r / (1 - Math.pow(1 + r, -months));
+};
+
+// Assurance mensuelle (calculée sur le capital initial)
+const monthlyInsurance = (principal, insuranceRate) => principal * (insuranceRate || 0) / 100 / 12;
+
+// Frais payés au déblocage du prêt (dossier, courtier, garantie...)
+const upfrontCosts = (offer) => {
+  const fees = offer.fees || {};
+  return (fees.application || 0) + (fees.broker || 0) + (fees.other || 0) +
+    ((offer.guarantee && offer.guarantee.cost) || 0);
+};
+
+// Tableau d'amortissement mois par mois
+const amortizationSchedule = ({ amount, rate, durationMonths, insuranceRate }) => {
+  const payment = monthlyPayment(amount, rate, durationMonths);
+  const insurance = monthlyInsurance(amount, insuranceRate);
+  const r = rate / 100 / 12;
+
+  const rows = [];
+  let remaining = amount;
+
+  for (let month = 1; month <= durationMonths; month++) {
+    const interest = remaining * r;
+    // Dernière échéance : solder le capital restant (arrondis)
+    const principal = month === durationMonths ? remaining : payment - interest;
+    remaining = Math.max(remaining - principal, 0);
+
+    rows.push({
+      month,
+      payment: round(principal + interest),
+      principal: round(principal),
+      interest: round(interest),
+      insurance: round(insurance),
+      remaining: round(remaining)
+    });
+  }
+
+  return rows;
+};
+
+// Regrouper le tableau d'amortissement par année
+const yearlySummary = (schedule) => {
+  const years = [];
+
+  schedule.forEach(row => {
+    const index = Math.ceil(row.month / 12) - 1;
+    if (!years[index]) {
+      years[index] = { year: index + 1, principal: 0, interest: 0, insurance: 0, remaining: 0 };
+    }
+    years[index].principal = round(years[index].principal + row.principal);
+    years[index].interest = round(years[index].interest + row.interest);
+    years[index].insurance = round(years[index].insurance + row.insurance);
+    years[index].remaining = row.remaining;
+  });
+
+  return years;
+};
+
+// TAEG : taux actuariel égalisant le capital net reçu et les échéances (assurance comprise)
+const computeTaeg = ({ amount, rate, durationMonths, insuranceRate, upfront }) => {
+  const installment = monthlyPayment(amount, rate, durationMonths) + monthlyInsurance(amount, insuranceRate);
+  const netAmount = amount - upfront;
+  if (netAmount <= 0) return null;
+
+  // Valeur actuelle des échéances pour un taux mensuel donné
+  const presentValue = (i) => (i === 0
+    ? installment * durationMonths
+    : installment * (1 - Math.pow(1 + i, -durationMonths)) / i);
+
+  // Recherche par dichotomie (la valeur actuelle décroît avec le taux)
+  let low = 0;
+  let high = 1;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > netAmount) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const monthlyRate = (low + high) / 2;
+  return round((Math.pow(1 + monthlyRate, 12) - 1) * 100);
+};
+
+// Synthèse d'une offre : mensualité, coût total, TAEG
+const summarizeOffer = (offer, loanAmount) => {
+  const amount = offer.amount || loanAmount;
+  const payment = monthlyPayment(amount, offer.rate, offer.durationMonths);
+  const insurance = monthlyInsurance(amount, offer.insuranceRate);
+  const upfront = upfrontCosts(offer);
+
+  const totalInterest = payment * offer.durationMonths - amount;
+  const totalInsurance = insurance * offer.durationMonths;
+
+  return {
+    amount,
+    rate: offer.rate,
+    durationMonths: offer.durationMonths,
+    insuranceRate: offer.insuranceRate || 0,
+    monthlyPayment: round(payment),
+    monthlyInsurance: round(insurance),
+    monthlyTotal: round(payment + insurance),
+    totalInterest: round(totalInterest),
+    totalInsurance: round(totalInsurance),
+    upfrontCosts: round(upfront),
+    totalCost: round(totalInterest + totalInsurance + upfront),
+    taeg: computeTaeg({
+      amount,
+      rate: offer.rate,
+      durationMonths: offer.durationMonths,
+      insuranceRate: offer.insuranceRate,
+      upfront
+    })
+  };
+};
+
+// Taux d'endettement (mensualité assurance comprise + charges existantes) / revenus
+const debtRatioCheck = (monthlyTotal, { monthlyIncome, monthlyCharges = 0 } = {}, durationMonths) => {
+  const warnings = [];
+
+  if (durationMonths > MAX_DURATION_MONTHS) {
+    warnings.push('La durée dépasse 25 ans (limite HCSF hors différé)');
+  }
+
+  if (!monthlyIncome) {
+    return { debtRatio: null, maxDebtRatio: MAX_DEBT_RATIO * 100, compliant: null, warnings };
+  }
+
+  const ratio = (monthlyTotal + monthlyCharges) / monthlyIncome;
+  if (ratio > MAX_DEBT_RATIO) {
+    warnings.push('Le taux d\'endettement dépasse 35 % (limite HCSF)');
+  }
+
+  return {
+    debtRatio: round(ratio * 100),
+    maxDebtRatio: MAX_DEBT_RATIO * 100,
+    maxMonthlyPayment: round(Math.max(monthlyIncome * MAX_DEBT_RATIO - monthlyCharges, 0)),
+    compliant: warnings.length === 0,
+    warnings
+  };
+};
+
+// Comparer les offres d'un prêt et repérer les meilleures sur chaque critère
+const compareOffers = (offers, loanAmount, household) => {
+  const rows = offers.map(offer => {
+    const summary = summarizeOffer(offer, loanAmount);
+    return {
+      offerId: offer._id,
+      bank: offer.bank,
+      status: offer.status,
+      guarantee: offer.guarantee && offer.guarantee.type,
+      ...summary,
+      ...debtRatioCheck(summary.monthlyTotal, household, offer.durationMonths)
+    };
+  });
+
+  const bestBy = (field) => {
+    const candidates = rows.filter(row => row[field] !== null && row[field] !== undefined);
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, row) => (row[field] < best[field] ? row : best)).offerId;
+  };
+
+  return {
+    offers: rows.sort((a, b) => a.totalCost - b.totalCost),
+    best: {
+      totalCost: bestBy('totalCost'),
+      monthlyTotal: bestBy('monthlyTotal'),
+      taeg: bestBy('taeg')
+    }
+  };
+};
+
+module.exports = {
+  MAX_DEBT_RATIO,
+  MAX_DURATION_MONTHS,
+  monthlyPayment,
+  monthlyInsurance,
+  amortizationSchedule,
+  yearlySummary,
+  computeTaeg,
+  summarizeOffer,
+  debtRatioCheck,
+  compareOffers
+};
\ No newline at end of file
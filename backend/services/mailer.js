@@ -0,0 +1,117 @@
+const nodemailer = require('nodemailer');
+
+// Service d'envoi d'emails
+//
+// Le transport est choisi via EMAIL_TRANSPORT :
+//   - smtp (défaut) : EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS
+//                     (un serveur SMTP local de test convient aussi)
+//   - json          : aucun envoi, le message est rendu en JSON (tests, dev)
+// Un transport personnalisé peut être injecté avec setTransport().
+
+let transport = null;
+
+// Créer le transport à partir de la configuration
+const createTransport = () => {
+  const type = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+
+  if (type === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'localhost',
+    port,
+    secure: process.env.EMAIL_SECURE === 'true' || port === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+};
+
+// Obtenir le transport courant (créé à la première utilisation)
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Remplacer le transport (objet exposant sendMail), ou null pour revenir à la configuration
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Envoyer un email
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@appli-appart.com',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Échapper les valeurs saisies par les utilisateurs dans le HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Construire une URL vers le frontend
+const frontendUrl = (pathname) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}${pathname}`;
+};
+
+// Email de vérification de l'adresse
+const sendVerificationEmail = (user, token) => {
+  const url = frontendUrl(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirmez votre adresse email',
+    text: `Bonjour ${user.firstName},\n\nConfirmez votre adresse email en ouvrant ce lien :\n${url}\n\nCe lien expire dans 24 heures.`,
+    html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>Confirmez votre adresse email en cliquant sur <a href="${url}">ce lien</a>.</p><p>Ce lien expire dans 24 heures.</p>`
+  });
+};
+
+// Email de réinitialisation du mot de passe
+const sendPasswordResetEmail = (user, token) => {
+  const url = frontendUrl(`/reset-password?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Réinitialisation de votre mot de passe',
+    text: `Bonjour ${user.firstName},\n\nPour choisir un nouveau mot de passe, ouvrez ce lien :\n${url}\n\nCe lien expire dans 1 heure. Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+    html: `<p>Bonjour ${escapeHtml(user.firstName)},</p><p>Pour choisir un nouveau mot de passe, cliquez sur <a href="${url}">ce lien</a>.</p><p>Ce lien expire dans 1 heure. Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`
+  });
+};
+
+// Email d'invitation à rejoindre une propriété partagée
+const sendInvitationEmail = (invitation, inviter, property, token) => {
+  const url = frontendUrl(`/register?invitation=${token}`);
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviterName} vous invite à suivre « ${property.title} »`,
+    text: `Bonjour,\n\n${inviterName} vous invite à suivre l'achat de « ${property.title} » sur AppartTracker.\nCréez votre compte avec ce lien :\n${url}`,
+    html: `<p>Bonjour,</p><p>${escapeHtml(inviterName)} vous invite à suivre l'achat de « ${escapeHtml(property.title)} » sur AppartTracker.</p><p><a href="${url}">Créer mon compte</a></p>`
+  });
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  escapeHtml,
+  frontendUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
\ No newline at end of file
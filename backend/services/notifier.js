@@ -0,0 +1,127 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail, escapeHtml } = require('./mailer');
+
+// Envoi des notifications en attente à travers des adaptateurs de canal
+//
+// Chaque adaptateur expose send(user, notification) et rejette en cas d'échec.
+// Les canaux push et SMS n'ont pas de fournisseur par défaut (configured: false) :
+// leurs notifications sont ignorées (statut « skipped » avec la raison) au lieu d'être
+// marquées envoyées. registerChannel() permet de brancher un vrai fournisseur.
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+const channels = {
+  email: {
+    send: (user, notification) => sendMail({
+      to: user.email,
+      subject: notification.subject,
+      text: notification.message,
+      html: `<p>${escapeHtml(notification.message).replace(/\n/g, '<br>')}</p>`
+    })
+  },
+  push: { configured: false },
+  sms: { configured: false }
+};
+
+// Remplacer l'adaptateur d'un canal
+const registerChannel = (name, adapter) => {
+  channels[name] = adapter;
+};
+
+// Vérifier qu'un canal est autorisé par les préférences de l'utilisateur
+const isChannelAllowed = (user, channel) => {
+  const prefs = (user.preferences && user.preferences.notifications) || {};
+
+  if (prefs.reminders === false) return false;
+  if (channel === 'email') return prefs.email !== false;
+  if (channel === 'push') return prefs.push !== false;
+  if (channel === 'sms') return !!user.phone;
+  return false;
+};
+
+// Délai avant la prochaine tentative (backoff exponentiel : 1, 2, 4, 8... minutes)
+const retryDelay = (attempts) => Math.pow(2, attempts - 1) * 60 * 1000;
+
+// Créer une notification si elle n'existe pas encore (idempotent grâce à dedupeKey)
+const enqueue = async (data) => {
+  const result = await Notification.updateOne(
+    { dedupeKey: data.dedupeKey },
+    { $setOnInsert: { ...data, status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+// Envoyer une notification et enregistrer le résultat
+const deliver = async (notification, user) => {
+  const adapter = channels[notification.channel];
+
+  if (!user || !user.isActive || !isChannelAllowed(user, notification.channel)) {
+    notification.status = 'skipped';
+    notification.skipReason = 'Utilisateur inactif ou canal désactivé';
+    return notification.save();
+  }
+
+  if (adapter && adapter.configured === false) {
+    notification.status = 'skipped';
+    notification.skipReason = `Aucun fournisseur configuré pour le canal ${notification.channel}`;
+    return notification.save();
+  }
+
+  notification.attempts += 1;
+
+  try {
+    if (!adapter) {
+      throw new Error(`Canal inconnu: ${notification.channel}`);
+    }
+    await adapter.send(user, notification);
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+    if (notification.attempts >= MAX_ATTEMPTS) {
+      notification.status = 'failed';
+    } else {
+      notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+    }
+  }
+
+  return notification.save();
+};
+
+// Envoyer les notifications en attente dont l'heure est venue
+const dispatchPending = async (now = new Date(), batchSize = 100) => {
+  const pending = await Notification.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now }
+  })
+  .sort({ nextAttemptAt: 1 })
+  .limit(batchSize);
+
+  if (pending.length === 0) {
+    return { sent: 0, failed: 0, skipped: 0 };
+  }
+
+  const users = await User.find({ _id: { $in: pending.map(n => n.user) } });
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  const stats = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const notification of pending) {
+    await deliver(notification, usersById.get(notification.user.toString()));
+    if (notification.status === 'sent') stats.sent += 1;
+    else if (notification.status === 'skipped') stats.skipped += 1;
+    else stats.failed += 1;
+  }
+
+  return stats;
+};
+
+module.exports = {
+  registerChannel,
+  isChannelAllowed,
+  enqueue,
+  dispatchPending
+};
\ No newline at end of file
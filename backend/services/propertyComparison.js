@@ -0,0 +1,197 @@
+const { breakdownsFor } = require('./acquisitionCosts');
+
+// Comparaison côte à côte de propriétés présélectionnées
+//
+// Chaque critère est ramené sur une échelle de 0 (le moins bon des biens comparés) à 1
+// (le meilleur). Le score est la moyenne pondérée des critères renseignés, sur 100 ;
+// un critère sans valeur pour un bien est ignoré dans son score.
+
+// Classe énergie : A vaut 7, G vaut 1
+const ENERGY_CLASSES = ['G', 'F', 'E', 'D', 'C', 'B', 'A'];
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const priceOf = (property) => property.price.finalPrice || property.price.amount;
+
+const averageCommute = (property) => {
+  const commutes = property.commutes || [];
+  if (commutes.length === 0) return null;
+  return round(commutes.reduce((sum, commute) => sum + commute.minutes, 0) / commutes.length, 1);
+};
+
+// better : 'low' si une valeur basse est préférable, 'high' sinon
+const CRITERIA = [
+  { key: 'price', label: 'Prix', unit: '€', better: 'low', value: (p) => priceOf(p) },
+  {
+    key: 'pricePerSquareMeter',
+    label: 'Prix au m²',
+    unit: '€/m²',
+    better: 'low',
+    value: (p) => Math.round(priceOf(p) / p.details.surface)
+  },
+  { key: 'surface', label: 'Surface', unit: 'm²', better: 'high', value: (p) => p.details.surface },
+  { key: 'rooms', label: 'Pièces', better: 'high', value: (p) => p.details.rooms },
+  { key: 'floor', label: 'Étage', better: 'high', value: (p) => p.details.floor },
+  {
+    key: 'elevator',
+    label: 'Ascenseur',
+    better: 'high',
+    value: (p) => (p.details.elevator ? 1 : 0),
+    display: (p) => (p.details.elevator ? 'oui' : 'non')
+  },
+  {
+    key: 'energyClass',
+    label: 'Classe énergie',
+    better: 'high',
+    value: (p) => ENERGY_CLASSES.indexOf(p.details.energyClass) + 1 || null,
+    display: (p) => p.details.energyClass || null
+  },
+  {
+    key: 'charges',
+    label: 'Charges annuelles',
+    unit: '€',
+    better: 'low',
+    value: (p) => (p.copropriete && p.copropriete.annualCharges)
+  },
+  { key: 'totalCost', label: 'Coût total estimé', unit: '€', better: 'low', value: (p, ctx) => ctx.breakdown.total },
+  {
+    key: 'visitScore',
+    label: 'Note de visite',
+    unit: '/5',
+    better: 'high',
+    value: (p) => (p.visitScores && p.visitScores.overall)
+  },
+  { key: 'commute', label: 'Trajet moyen', unit: 'min', better: 'low', value: (p) => averageCommute(p) }
+];
+
+const CRITERIA_KEYS = CRITERIA.map(criterion => criterion.key);
+
+// Lire les pondérations « price:3,surface:2 » (1 par défaut, 0 pour ignorer un critère)
+const parseWeights = (input) => {
+  const weights = Object.fromEntries(CRITERIA_KEYS.map(key => [key, 1]));
+  if (!input) return weights;
+
+  String(input).split(',').forEach(pair => {
+    const [key, raw] = pair.split(':').map(part => part.trim());
+    const weight = parseFloat(raw);
+    if (CRITERIA_KEYS.includes(key) && Number.isFinite(weight) && weight >= 0) {
+      weights[key] = weight;
+    }
+  });
+
+  return weights;
+};
+
+const isValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Construire la matrice de comparaison et le classement
+const compareProperties = async (properties, weights = parseWeights()) => {
+  const breakdowns = await breakdownsFor(properties);
+
+  // Valeurs brutes
+  const rows = properties.map(property => {
+    const ctx = { breakdown: breakdowns.get(property._id.toString()) };
+    const values = {};
+    const display = {};
+    CRITERIA.forEach(criterion => {
+      const value = criterion.value(property, ctx);
+      values[criterion.key] = isValue(value) ? value : null;
+      display[criterion.key] = criterion.display ? criterion.display(property) : values[criterion.key];
+    });
+
+    return {
+      id: property._id,
+      title: property.title,
+      city: property.address.city,
+      values,
+      display,
+      commutes: (property.commutes || []).map(({ label, minutes, mode }) => ({ label, minutes, mode }))
+    };
+  });
+
+  // Valeurs normalisées entre 0 et 1
+  CRITERIA.forEach(criterion => {
+    const values = rows.map(row => row.values[criterion.key]).filter(isValue);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    rows.forEach(row => {
+      row.normalized = row.normalized || {};
+      const value = row.values[criterion.key];
+      if (!isValue(value)) {
+        row.normalized[criterion.key] = null;
+      } else if (max === min) {
+        row.normalized[criterion.key] = 1;
+      } else {
+        const ratio = (value - min) / (max - min);
+        row.normalized[criterion.key] = round(criterion.better === 'low' ? 1 - ratio : ratio, 3);
+      }
+    });
+  });
+
+  // Score pondéré sur 100
+  rows.forEach(row => {
+    let total = 0;
+    let weightSum = 0;
+    CRITERIA.forEach(criterion => {
+      const normalized = row.normalized[criterion.key];
+      const weight = weights[criterion.key] || 0;
+      if (normalized !== null && weight > 0) {
+        total += normalized * weight;
+        weightSum += weight;
+      }
+    });
+    row.score = weightSum > 0 ? round(total / weightSum * 100, 1) : null;
+  });
+
+  const ranked = [...rows].sort((a, b) => (b.score || 0) - (a.score || 0));
+  ranked.forEach((row, index) => { row.rank = index + 1; });
+
+  return {
+    criteria: CRITERIA.map(({ key, label, unit, better }) => ({ key, label, unit, better, weight: weights[key] })),
+    properties: ranked
+  };
+};
+
+// Export CSV (séparateur « ; » pour les tableurs en français)
+const toCsv = (comparison) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    // Un texte commençant par =, +, - ou @ serait interprété comme une formule par le tableur
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const commuteLabels = [...new Set(comparison.properties.flatMap(row => row.commutes.map(c => c.label)))];
+
+  const header = [
+    'Rang', 'Propriété', 'Ville',
+    ...comparison.criteria.map(c => (c.unit ? `${c.label} (${c.unit})` : c.label)),
+    ...commuteLabels.map(label => `Trajet ${label} (min)`),
+    'Score'
+  ];
+
+  const lines = comparison.properties.map(row => [
+    row.rank,
+    row.title,
+    row.city,
+    ...comparison.criteria.map(c => row.display[c.key]),
+    ...commuteLabels.map(label => {
+      const commute = row.commutes.find(c => c.label === label);
+      return commute ? commute.minutes : null;
+    }),
+    row.score
+  ]);
+
+  return [header, ...lines].map(line => line.map(escape).join(';')).join('\r\n');
+};
+
+module.exports = {
+  CRITERIA_KEYS,
+  parseWeights,
+  compareProperties,
+  toCsv
+};
\ No newline at end of file
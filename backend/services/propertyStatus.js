@@ -0,0 +1,155 @@
+const Property = require('../models/Property');
+const Step = require('../models/Step');
+const { applyLegalDeadlines } = require('./legalDeadlines');
+
+// Statut d'une propriété déduit de l'avancement de ses étapes
+//
+// Les règles sont évaluées de la plus avancée à la moins avancée ; la première
+// vérifiée donne le statut. Un statut forcé à la main (statusSource = 'manual')
+// n'est jamais écrasé, mais l'étape courante et les dates clés restent à jour.
+// Une nouvelle date de compromis déclenche le calcul des délais légaux.
+
+const CLOSED_STEP_STATUSES = ['completed', 'cancelled'];
+
+const isCompleted = (step) => step.status === 'completed';
+const isStarted = (step) => ['in_progress', 'completed'].includes(step.status);
+
+const STATUS_RULES = [
+  {
+    status: 'keys_received',
+    reason: 'Une étape « remise des clés » est terminée',
+    match: (byCategory) => byCategory('remise_cles').filter(isCompleted)
+  },
+  {
+    status: 'final_signature',
+    reason: 'L\'acte de vente est signé ou toutes les étapes de financement sont closes',
+    match: (byCategory) => {
+      const signatures = byCategory('signature').filter(isCompleted);
+      if (signatures.length > 0) return signatures;
+
+      // Tant qu'une étape de financement reste ouverte, c'est « loan_pending » qui s'applique
+      const loans = byCategory('financement');
+      const allClosed = loans.every(step => CLOSED_STEP_STATUSES.includes(step.status));
+      return allClosed ? loans.filter(isCompleted) : [];
+    }
+  },
+  {
+    status: 'loan_pending',
+    reason: 'Le compromis est signé et le financement est en cours',
+    match: (byCategory) => {
+      const compromis = byCategory('compromis').filter(isCompleted);
+      const loans = byCategory('financement').filter(step => !CLOSED_STEP_STATUSES.includes(step.status));
+      return compromis.length > 0 && loans.length > 0 ? [...compromis, ...loans] : [];
+    }
+  },
+  {
+    status: 'compromis_signed',
+    reason: 'Une étape « compromis » est terminée',
+    match: (byCategory) => byCategory('compromis').filter(isCompleted)
+  },
+  {
+    status: 'offer_made',
+    reason: 'Une étape « offre » est terminée',
+    match: (byCategory) => byCategory('offre').filter(isCompleted)
+  },
+  {
+    status: 'visiting',
+    reason: 'Une étape « visite » est commencée',
+    match: (byCategory) => byCategory('visite').filter(isStarted)
+  }
+];
+
+const DEFAULT_REASON = 'Aucune étape clé n\'est encore commencée';
+
+// Catégorie d'étape -> date clé de la propriété (date de fin réelle de l'étape)
+const IMPORTANT_DATES = {
+  offre: 'offerDate',
+  compromis: 'compromisDate',
+  signature: 'finalSignatureDate',
+  remise_cles: 'keyHandoverDate'
+};
+
+// L'offre est faite à la fin de la première étape « offre » (les suivantes relèvent de la négociation)
+const EARLIEST_DATE_CATEGORIES = ['offre'];
+
+const summarize = (step) => ({
+  id: step._id,
+  name: step.name,
+  category: step.category,
+  status: step.status,
+  completedAt: step.dates && step.dates.actualEnd
+});
+
+// Calculer le statut, l'étape courante et les dates clés à partir des étapes
+const derive = (steps) => {
+  const byCategory = (category) => steps.filter(step => step.category === category);
+
+  const rules = STATUS_RULES.map(rule => {
+    const matched = rule.match(byCategory);
+    return {
+      status: rule.status,
+      reason: rule.reason,
+      matched: matched.length > 0,
+      steps: matched.map(summarize)
+    };
+  });
+
+  const applied = rules.find(rule => rule.matched) ||
+    { status: 'searching', reason: DEFAULT_REASON, matched: true, steps: [] };
+
+  // Étape courante : la première en cours, sinon la première à faire
+  const sorted = [...steps].sort((a, b) => a.order - b.order);
+  const currentStep = sorted.find(step => step.status === 'in_progress') ||
+    sorted.find(step => !CLOSED_STEP_STATUSES.includes(step.status)) ||
+    null;
+
+  // Dates clés : fin de la dernière étape terminée de la catégorie (la première pour l'offre)
+  const importantDates = {};
+  Object.entries(IMPORTANT_DATES).forEach(([category, field]) => {
+    const ends = byCategory(category)
+      .filter(step => isCompleted(step) && step.dates && step.dates.actualEnd)
+      .map(step => step.dates.actualEnd);
+    if (ends.length > 0) {
+      const pick = EARLIEST_DATE_CATEGORIES.includes(category) ? Math.min : Math.max;
+      importantDates[field] = new Date(pick(...ends));
+    }
+  });
+
+  return { status: applied.status, rule: applied, rules, currentStep, importantDates };
+};
+
+// Mettre à jour le statut, l'étape courante et les dates clés d'une propriété
+const syncPropertyStatus = async (propertyOrId) => {
+  const property = propertyOrId instanceof Property
+    ? propertyOrId
+    : await Property.findById(propertyOrId);
+
+  if (!property) return null;
+
+  const steps = await Step.find({ property: property._id, isActive: true })
+    .select('name category status order dates');
+  const derivation = derive(steps);
+
+  if (property.statusSource !== 'manual' && property.status !== 'cancelled') {
+    property.status = derivation.status;
+  }
+  property.currentStep = derivation.currentStep ? derivation.currentStep._id : undefined;
+  Object.entries(derivation.importantDates).forEach(([field, date]) => {
+    property.set(`importantDates.${field}`, date);
+  });
+
+  const compromisChanged = property.isModified('importantDates.compromisDate');
+  if (property.isModified()) {
+    await property.save();
+  }
+  if (compromisChanged) {
+    await applyLegalDeadlines(property);
+  }
+
+  return { property, derivation };
+};
+
+module.exports = {
+  derive,
+  syncPropertyStatus
+};
\ No newline at end of file
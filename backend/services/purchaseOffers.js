@@ -0,0 +1,69 @@
+const Offer = require('../models/Offer');
+const Step = require('../models/Step');
+const { startTriggeredSteps } = require('./stepDependencies');
+const { syncPropertyStatus } = require('./propertyStatus');
+
+// Acceptation d'une offre d'achat et répercussions sur la propriété et ses étapes
+
+// Terminer les étapes « offre » encore ouvertes (Faire une offre, Négociation...)
+//
+// La première se termine à la date de l'offre, qui devient la date d'offre de la propriété ;
+// les suivantes (négociation) à la date d'acceptation.
+const completeOfferSteps = async (property, offeredAt) => {
+  const steps = await Step.find({
+    property: property._id,
+    category: 'offre',
+    isActive: true,
+    status: { $nin: ['completed', 'cancelled'] }
+  }).sort({ order: 1 });
+
+  const alreadyCompleted = await Step.exists({
+    property: property._id,
+    category: 'offre',
+    isActive: true,
+    status: 'completed'
+  });
+
+  const triggered = [];
+  for (const [index, step] of steps.entries()) {
+    step.status = 'completed';
+    step.dates.actualEnd = index === 0 && !alreadyCompleted ? offeredAt : new Date();
+    if (!step.dates.actualStart) step.dates.actualStart = step.dates.actualEnd;
+    await step.save();
+    triggered.push(...await startTriggeredSteps(step));
+  }
+
+  return { completed: steps, triggered };
+};
+
+// Accepter une offre : montant retenu (dernière contre-proposition par défaut),
+// prix final de la propriété, autres offres en attente retirées, étapes terminées
+const acceptOffer = async (offer, property, { amount } = {}) => {
+  const latest = offer.latestCounterOffer;
+  const acceptedAmount = amount || (latest ? latest.amount : offer.amount);
+
+  offer.status = 'accepted';
+  offer.acceptedAmount = acceptedAmount;
+  offer.respondedAt = new Date();
+  await offer.save();
+
+  await Offer.updateMany(
+    { property: property._id, _id: { $ne: offer._id }, status: 'pending', isActive: true },
+    { $set: { status: 'withdrawn', respondedAt: new Date() } }
+  );
+
+  property.price.finalPrice = acceptedAmount;
+  property.price.negotiated = acceptedAmount !== property.price.amount;
+  property.set('importantDates.offerDate', offer.offeredAt);
+  await property.save();
+
+  const steps = await completeOfferSteps(property, offer.offeredAt);
+  await syncPropertyStatus(property);
+
+  return { offer, property, steps };
+};
+
+module.exports = {
+  completeOfferSteps,
+  acceptOffer
+};
\ No newline at end of file
@@ -0,0 +1,278 @@
+const Step = require('../models/Step');
+const CalendarEvent = require('../models/Calendar');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const { enqueue, isChannelAllowed, dispatchPending } = require('./notifier');
+
+// Planificateur des rappels, exécuté à intervalle régulier dans le backend
+//
+// À chaque passage il :
+//   1. repère les rappels d'étapes et d'événements arrivés à échéance,
+//      les étapes dont la date limite approche et les documents qui vont expirer ;
+//   2. crée une notification par destinataire et par canal (idempotent) ;
+//   3. envoie les notifications en attente, avec nouvelles tentatives en cas d'échec.
+
+const DAY = 24 * 60 * 60 * 1000;
+const OPEN_STEP_STATUSES = ['todo', 'in_progress', 'on_hold'];
+const DEFAULT_CHANNELS = ['email', 'push'];
+// Délai maximal entre un rappel d'événement et l'événement lui-même
+const MAX_EVENT_REMINDER_LEAD = 30 * DAY;
+
+let timer = null;
+let running = false;
+
+// Formater une date dans la langue et le fuseau horaire de l'utilisateur
+const formatDate = (date, user) => {
+  const prefs = user.preferences || {};
+  const locale = prefs.language === 'en' ? 'en-GB' : 'fr-FR';
+  const options = { dateStyle: 'full', timeStyle: 'short' };
+
+  try {
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: prefs.timezone || 'Europe/Paris' }).format(date);
+  } catch (error) {
+    // Fuseau horaire invalide dans les préférences
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'Europe/Paris' }).format(date);
+  }
+};
+
+// Propriétaire et utilisateurs avec qui le bien est partagé
+const participantsOf = (property) => {
+  if (!property) return [];
+  return [property.owner, ...(property.sharedWith || []).map(share => share.user)];
+};
+
+// Charger les utilisateurs actifs à partir d'une liste d'identifiants
+const loadUsers = async (ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+  const users = await User.find({ _id: { $in: unique }, isActive: true });
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+// Créer les notifications d'un élément pour chaque destinataire et canal autorisé
+const enqueueFor = async (recipients, channels, build) => {
+  let created = 0;
+
+  for (const user of recipients) {
+    for (const channel of channels) {
+      if (!isChannelAllowed(user, channel)) continue;
+
+      const data = build(user, channel);
+      if (await enqueue({ ...data, user: user._id, channel })) {
+        created += 1;
+      }
+    }
+  }
+
+  return created;
+};
+
+// Rappels d'étapes arrivés à échéance (Step.reminders)
+const collectStepReminders = async (now) => {
+  const steps = await Step.find({
+    isActive: true,
+    reminders: { $elemMatch: { sent: false, date: { $lte: now } } }
+  }).populate('property', 'title owner sharedWith isActive');
+
+  const activeSteps = steps.filter(step => step.property && step.property.isActive);
+  const users = await loadUsers(activeSteps.flatMap(step => participantsOf(step.property)));
+  let created = 0;
+
+  for (const step of activeSteps) {
+    const recipients = participantsOf(step.property)
+      .map(id => users.get(id.toString()))
+      .filter(Boolean);
+
+    for (const reminder of step.reminders.filter(r => !r.sent && r.date <= now)) {
+      created += await enqueueFor(recipients, [reminder.type], (user, channel) => ({
+        kind: 'step_reminder',
+        dedupeKey: `step_reminder:${reminder._id}:${user._id}:${channel}`,
+        subject: `Rappel : ${step.name}`,
+        message: `${reminder.message}\n\nBien : ${step.property.title}\nÉtape : ${step.name}`,
+        property: step.property._id,
+        step: step._id
+      }));
+
+      await Step.updateOne(
+        { _id: step._id, 'reminders._id': reminder._id },
+        { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': now } }
+      );
+    }
+  }
+
+  return created;
+};
+
+// Rappels d'événements du calendrier (minutesBefore avant le début)
+const collectEventReminders = async (now) => {
+  const events = await CalendarEvent.find({
+    isActive: true,
+    status: { $in: ['scheduled', 'confirmed'] },
+    'reminders.sent': false,
+    startDate: { $gt: now, $lte: new Date(now.getTime() + MAX_EVENT_REMINDER_LEAD) }
+  }).populate('property', 'title');
+
+  const users = await loadUsers(events.flatMap(event => [
+    event.owner,
+    ...event.sharedWith.map(share => share.user)
+  ]));
+  let created = 0;
+
+  for (const event of events) {
+    const recipients = [event.owner, ...event.sharedWith.map(share => share.user)]
+      .map(id => users.get(id.toString()))
+      .filter(Boolean);
+
+    const dueReminders = event.reminders.filter(reminder =>
+      !reminder.sent &&
+      event.startDate.getTime() - reminder.minutesBefore * 60 * 1000 <= now.getTime()
+    );
+
+    for (const reminder of dueReminders) {
+      created += await enqueueFor(recipients, [reminder.type], (user, channel) => ({
+        kind: 'event_reminder',
+        // La date de début fait partie de la clé : un événement reporté est rappelé à nouveau
+        dedupeKey: `event_reminder:${reminder._id}:${event.startDate.toISOString()}:${user._id}:${channel}`,
+        subject: `Rappel : ${event.title}`,
+        message: [
+          `${event.title} — ${formatDate(event.startDate, user)}`,
+          event.location && event.location.address ? `Lieu : ${event.location.address}` : null,
+          event.property ? `Bien : ${event.property.title}` : null
+        ].filter(Boolean).join('\n'),
+        property: event.property && event.property._id,
+        event: event._id
+      }));
+
+      await CalendarEvent.updateOne(
+        { _id: event._id, 'reminders._id': reminder._id },
+        { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': now } }
+      );
+    }
+  }
+
+  return created;
+};
+
+// Étapes dont la date limite approche
+const collectStepDeadlines = async (now) => {
+  const warningDays = parseInt(process.env.STEP_DEADLINE_WARNING_DAYS) || 3;
+
+  const steps = await Step.find({
+    isActive: true,
+    status: { $in: OPEN_STEP_STATUSES },
+    'dates.deadline': { $gte: now, $lte: new Date(now.getTime() + warningDays * DAY) }
+  }).populate('property', 'title owner sharedWith isActive');
+
+  const activeSteps = steps.filter(step => step.property && step.property.isActive);
+  const users = await loadUsers(activeSteps.flatMap(step => participantsOf(step.property)));
+  let created = 0;
+
+  for (const step of activeSteps) {
+    const recipients = participantsOf(step.property)
+      .map(id => users.get(id.toString()))
+      .filter(Boolean);
+
+    created += await enqueueFor(recipients, DEFAULT_CHANNELS, (user, channel) => ({
+      kind: 'step_deadline',
+      dedupeKey: `step_deadline:${step._id}:${step.dates.deadline.toISOString()}:${user._id}:${channel}`,
+      subject: `Échéance proche : ${step.name}`,
+      message: `L'étape « ${step.name} » du bien « ${step.property.title} » arrive à échéance le ${formatDate(step.dates.deadline, user)}.`,
+      property: step.property._id,
+      step: step._id
+    }));
+  }
+
+  return created;
+};
+
+// Documents qui vont expirer
+const collectDocumentExpirations = async (now) => {
+  const warningDays = parseInt(process.env.DOCUMENT_EXPIRATION_WARNING_DAYS) || 15;
+
+  const documents = await Document.find({
+    isActive: true,
+    isArchived: false,
+    expirationDate: { $gte: now, $lte: new Date(now.getTime() + warningDays * DAY) }
+  }).populate('property', 'title owner sharedWith isActive');
+
+  const activeDocuments = documents.filter(doc => doc.property && doc.property.isActive);
+  const users = await loadUsers(activeDocuments.flatMap(doc => participantsOf(doc.property)));
+  let created = 0;
+
+  for (const doc of activeDocuments) {
+    const recipients = participantsOf(doc.property)
+      .map(id => users.get(id.toString()))
+      .filter(Boolean);
+
+    created += await enqueueFor(recipients, DEFAULT_CHANNELS, (user, channel) => ({
+      kind: 'document_expiration',
+      dedupeKey: `document_expiration:${doc._id}:${doc.expirationDate.toISOString()}:${user._id}:${channel}`,
+      subject: `Document bientôt expiré : ${doc.name}`,
+      message: `Le document « ${doc.name} » du bien « ${doc.property.title} » expire le ${formatDate(doc.expirationDate, user)}.`,
+      property: doc.property._id,
+      document: doc._id
+    }));
+  }
+
+  return created;
+};
+
+// Exécuter un passage complet du planificateur
+const runOnce = async (now = new Date()) => {
+  const collectors = {
+    stepReminders: collectStepReminders,
+    eventReminders: collectEventReminders,
+    stepDeadlines: collectStepDeadlines,
+    documentExpirations: collectDocumentExpirations
+  };
+
+  const queued = {};
+  for (const [name, collect] of Object.entries(collectors)) {
+    try {
+      queued[name] = await collect(now);
+    } catch (error) {
+      // Un collecteur en échec ne doit pas bloquer les autres
+      console.error(`Erreur du planificateur de rappels (${name}):`, error);
+      queued[name] = 0;
+    }
+  }
+
+  const delivered = await dispatchPending(now);
+
+  return { queued, delivered };
+};
+
+// Démarrer le planificateur
+const start = (intervalMs = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000) => {
+  if (timer) return;
+
+  const tick = async () => {
+    // Éviter deux passages simultanés si l'un dure plus que l'intervalle
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('Erreur du planificateur de rappels:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  setImmediate(tick);
+};
+
+// Arrêter le planificateur
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { createCanvas, DOMMatrix, ImageData, Path2D } = require('@napi-rs/canvas');
+
+// Miniatures (WebP) des images et aperçus de la première page des PDF (PNG)
+//
+// Les rendus sont générés à la demande puis conservés dans un cache disque à côté du
+// dossier d'upload ; un rendu plus ancien que son fichier source est régénéré.
+
+// Côté le plus long de chaque taille, en pixels
+const RENDITION_SIZES = {
+  small: 160,
+  medium: 480,
+  large: 1024
+};
+
+const WEBP_QUALITY = 80;
+
+// Chemin absolu : res.sendFile refuse les chemins relatifs
+const renditionRoot = () => (process.env.RENDITION_PATH
+  ? path.resolve(process.env.RENDITION_PATH)
+  : path.join(path.dirname(path.resolve(process.env.UPLOAD_PATH || './uploads')), 'renditions'));
+
+const isImage = (mimeType) => (mimeType || '').startsWith('image/');
+const isPdf = (mimeType) => mimeType === 'application/pdf';
+
+// Un rendu est possible pour les images et les PDF
+const canRender = (mimeType) => isImage(mimeType) || isPdf(mimeType);
+
+// pdf.js s'appuie sur les API Canvas du navigateur : elles sont fournies par @napi-rs/canvas
+let pdfjs = null;
+const loadPdfjs = () => {
+  if (!pdfjs) {
+    Object.assign(globalThis, {
+      DOMMatrix: globalThis.DOMMatrix || DOMMatrix,
+      ImageData: globalThis.ImageData || ImageData,
+      Path2D: globalThis.Path2D || Path2D
+    });
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjs;
+};
+
+// Canvas utilisés par pdf.js pour ses rendus intermédiaires
+class CanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// Première page d'un PDF en PNG, le côté le plus long mesurant `size` pixels
+const renderPdfPage = async (sourcePath, size) => {
+  const { getDocument } = loadPdfjs();
+  const data = new Uint8Array(await fs.readFile(sourcePath));
+  const pdf = await getDocument({
+    data,
+    canvasFactory: new CanvasFactory(),
+    standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/'),
+    disableFontFace: true,
+    isEvalSupported: false
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: size / Math.max(width, height) });
+
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    // Fond blanc : les PDF n'en définissent généralement pas
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.encode('png');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Miniature WebP d'une image, orientée selon l'EXIF et jamais agrandie
+const renderImage = (sourcePath, size) => sharp(sourcePath)
+  .rotate()
+  .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: WEBP_QUALITY })
+  .toBuffer();
+
+const isFresh = async (renditionPath, sourceStat) => {
+  try {
+    const stat = await fs.stat(renditionPath);
+    return stat.mtimeMs >= sourceStat.mtimeMs;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Chemin et type du rendu d'un fichier (généré si absent ou périmé)
+//
+// `namespace` sépare les rendus par origine (documents, properties...) dans le cache.
+const getRendition = async ({ sourcePath, mimeType, namespace }, sizeName) => {
+  const size = RENDITION_SIZES[sizeName];
+  if (!size) {
+    throw new Error(`Taille de rendu inconnue : ${sizeName}`);
+  }
+  if (!canRender(mimeType)) {
+    throw new Error(`Aucun rendu possible pour le type ${mimeType}`);
+  }
+
+  const pdf = isPdf(mimeType);
+  const extension = pdf ? 'png' : 'webp';
+  const directory = path.join(renditionRoot(), namespace, sizeName);
+  const renditionPath = path.join(directory, `${path.basename(sourcePath, path.extname(sourcePath))}.${extension}`);
+
+  const sourceStat = await fs.stat(sourcePath);
+  if (!(await isFresh(renditionPath, sourceStat))) {
+    const buffer = pdf ? await renderPdfPage(sourcePath, size) : await renderImage(sourcePath, size);
+
+    // Écriture atomique : une requête concurrente ne lit jamais un fichier incomplet
+    await fs.mkdir(directory, { recursive: true });
+    const temporaryPath = `${renditionPath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.writeFile(temporaryPath, buffer);
+    await fs.rename(temporaryPath, renditionPath);
+  }
+
+  return {
+    path: renditionPath,
+    mimeType: pdf ? 'image/png' : 'image/webp'
+  };
+};
+
+module.exports = {
+  RENDITION_SIZES,
+  canRender,
+  getRendition
+};
\ No newline at end of file
@@ -0,0 +1,287 @@
+const Document = require('../models/Document');
+const Step = require('../models/Step');
+
+// Documents requis à chaque phase de l'achat
+//
+// Chaque exigence est rattachée à une catégorie de document et aux étapes qui en ont besoin
+// (`gates` : catégorie d'étape et, si besoin, motif du nom de l'étape). Un document y répond
+// s'il porte explicitement la clé de l'exigence (document.requirement) ou, à défaut, s'il est
+// de la bonne catégorie et que son nom, sa description ou ses tags contiennent l'un des mots-clés.
+//
+// Statuts : present, expired (seuls des documents expirés), missing (une étape concernée a
+// commencé sans le document) ou pending (aucune étape concernée n'a commencé).
+
+// Années de construction en deçà desquelles un diagnostic est requis (année inconnue : requis)
+const PLOMB_YEAR = 1949;
+// Permis de construire antérieur au 1er juillet 1997 (l'année 1997 est incluse par prudence)
+const AMIANTE_YEAR = 1997;
+// Installations intérieures d'électricité et de gaz de plus de 15 ans
+const INSTALLATION_AGE = 15;
+
+// Les diagnostics de l'existant (amiante, plomb, installations) ne concernent pas le neuf
+const isNewBuild = (property) => !!(property.acquisition && property.acquisition.isNewBuild);
+
+const builtBefore = (year) => (property) => !isNewBuild(property) &&
+  (!property.details || !property.details.yearBuilt || property.details.yearBuilt < year);
+const oldInstallations = (property) => builtBefore(new Date().getFullYear() - INSTALLATION_AGE)(property);
+
+// Étapes diagnostics et compromis (ou contrat de réservation en VEFA)
+const DIAGNOSTIC_GATES = [{ category: 'diagnostics' }, { category: 'compromis' }];
+// L'offre de prêt est le résultat de la demande : seule l'étape d'accord (ou une étape
+// « Financement » unique) l'exige
+const LOAN_APPROVAL_GATE = { category: 'financement', name: /\baccord\b|\boffre\b|^financement$/ };
+
+const REQUIRED_DOCUMENTS = [
+  {
+    key: 'dpe',
+    label: 'Diagnostic de performance énergétique (DPE)',
+    category: 'diagnostic',
+    keywords: ['dpe', 'performance energetique'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: true,
+    validityMonths: 120
+  },
+  {
+    key: 'amiante',
+    label: 'Diagnostic amiante',
+    category: 'diagnostic',
+    keywords: ['amiante'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: true,
+    appliesTo: builtBefore(AMIANTE_YEAR + 1)
+  },
+  {
+    key: 'plomb',
+    label: 'Constat de risque d\'exposition au plomb (CREP)',
+    category: 'diagnostic',
+    keywords: ['plomb', 'crep'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: true,
+    appliesTo: builtBefore(PLOMB_YEAR)
+  },
+  {
+    key: 'erp',
+    label: 'État des risques et pollutions (ERP)',
+    category: 'diagnostic',
+    keywords: ['erp', 'etat des risques'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: true,
+    validityMonths: 6
+  },
+  {
+    key: 'carrez',
+    label: 'Mesurage de la surface (loi Carrez)',
+    category: 'diagnostic',
+    keywords: ['carrez', 'mesurage'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: true
+  },
+  {
+    key: 'electricite',
+    label: 'Diagnostic électricité',
+    category: 'diagnostic',
+    keywords: ['electricite', 'electrique'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: false,
+    validityMonths: 36,
+    appliesTo: oldInstallations
+  },
+  {
+    key: 'gaz',
+    label: 'Diagnostic gaz',
+    category: 'diagnostic',
+    keywords: ['gaz'],
+    gates: DIAGNOSTIC_GATES,
+    mandatory: false,
+    validityMonths: 36,
+    appliesTo: oldInstallations
+  },
+  {
+    key: 'compromis',
+    label: 'Compromis de vente signé',
+    category: 'compromis',
+    gates: [{ category: 'compromis' }, { category: 'financement' }],
+    mandatory: true
+  },
+  {
+    key: 'justificatif_apport',
+    label: 'Justificatif d\'apport personnel',
+    category: 'pret',
+    keywords: ['apport'],
+    gates: [LOAN_APPROVAL_GATE],
+    mandatory: true
+  },
+  {
+    key: 'offre_pret',
+    label: 'Offre de prêt',
+    category: 'pret',
+    keywords: ['offre'],
+    gates: [LOAN_APPROVAL_GATE, { category: 'signature' }],
+    mandatory: true
+  },
+  {
+    key: 'assurance_emprunteur',
+    label: 'Assurance emprunteur',
+    category: 'assurance',
+    keywords: ['emprunteur', 'deces', 'pret'],
+    gates: [LOAN_APPROVAL_GATE],
+    mandatory: true
+  },
+  {
+    key: 'assurance_habitation',
+    label: 'Attestation d\'assurance habitation',
+    category: 'assurance',
+    keywords: ['habitation', 'multirisque', 'mrh'],
+    gates: [{ category: 'signature' }],
+    mandatory: true
+  },
+  {
+    key: 'acte_vente',
+    label: 'Acte de vente',
+    category: 'acte_vente',
+    gates: [{ category: 'signature' }, { category: 'remise_cles' }],
+    mandatory: false
+  }
+];
+
+const REQUIREMENT_KEYS = REQUIRED_DOCUMENTS.map(requirement => requirement.key);
+
+const STARTED_STEP_STATUSES = ['in_progress', 'completed'];
+const CLOSED_STEP_STATUSES = ['completed', 'cancelled'];
+
+// Minuscules sans accents, pour comparer les mots-clés
+const fold = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// L'étape fait-elle partie de celles qui exigent le document ?
+const gatesStep = (requirement, step) => requirement.gates.some(gate => gate.category === step.category &&
+  (!gate.name || gate.name.test(fold(step.name || ''))));
+
+// Catégories d'étapes concernées, pour l'affichage
+const phasesOf = (requirement) => [...new Set(requirement.gates.map(gate => gate.category))];
+
+// Exigences applicables à une propriété (neuf, année de construction...)
+const applicableRequirements = (property) => REQUIRED_DOCUMENTS
+  .filter(requirement => !requirement.appliesTo || requirement.appliesTo(property));
+
+const matchesRequirement = (document, requirement) => {
+  if (document.requirement) return document.requirement === requirement.key;
+  if (document.category !== requirement.category) return false;
+  if (!requirement.keywords) return true;
+
+  const haystack = fold([document.name, document.description, ...(document.tags || [])].filter(Boolean).join(' '));
+  return requirement.keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(haystack));
+};
+
+// Fin de validité : date saisie sur le document, sinon durée de validité du diagnostic
+const expiresAt = (document, requirement) => {
+  if (document.expirationDate) return new Date(document.expirationDate);
+  if (!requirement.validityMonths) return null;
+
+  const issuedAt = new Date((document.metadata && document.metadata.createdDate) || document.createdAt);
+  issuedAt.setMonth(issuedAt.getMonth() + requirement.validityMonths);
+  return issuedAt;
+};
+
+// Statut d'une exigence à partir des documents et des étapes de la propriété
+const evaluateRequirement = (requirement, documents, steps, now = new Date()) => {
+  const matching = documents
+    .filter(document => matchesRequirement(document, requirement))
+    .map(document => {
+      const expiration = expiresAt(document, requirement);
+      return {
+        _id: document._id,
+        name: document.name,
+        status: document.status,
+        expiresAt: expiration,
+        isExpired: !!expiration && expiration < now
+      };
+    });
+
+  const phaseStarted = steps.some(step => gatesStep(requirement, step) && STARTED_STEP_STATUSES.includes(step.status));
+
+  let status;
+  if (matching.some(document => !document.isExpired)) {
+    status = 'present';
+  } else if (matching.length > 0) {
+    status = 'expired';
+  } else {
+    status = phaseStarted ? 'missing' : 'pending';
+  }
+
+  return {
+    key: requirement.key,
+    label: requirement.label,
+    category: requirement.category,
+    phases: phasesOf(requirement),
+    mandatory: requirement.mandatory,
+    status,
+    documents: matching
+  };
+};
+
+// Checklist complète d'une propriété
+const buildChecklist = (property, documents, steps, now = new Date()) => {
+  const requirements = applicableRequirements(property);
+  const items = requirements.map(requirement => evaluateRequirement(requirement, documents, steps, now));
+
+  const summary = { total: items.length, present: 0, missing: 0, expired: 0, pending: 0 };
+  items.forEach(item => { summary[item.status] += 1; });
+
+  // Étapes encore ouvertes qui ne pourront pas être terminées sans les documents obligatoires
+  const unsatisfied = requirements
+    .filter((requirement, index) => requirement.mandatory && items[index].status !== 'present');
+  const blockedSteps = steps
+    .filter(step => !CLOSED_STEP_STATUSES.includes(step.status))
+    .map(step => ({
+      _id: step._id,
+      name: step.name,
+      category: step.category,
+      missing: unsatisfied.filter(requirement => gatesStep(requirement, step)).map(requirement => requirement.key)
+    }))
+    .filter(step => step.missing.length > 0);
+
+  return {
+    items,
+    summary,
+    blockedSteps,
+    complete: unsatisfied.length === 0
+  };
+};
+
+const activeDocuments = (propertyId) => Document.find({ property: propertyId, isActive: true, isArchived: false })
+  .select('name description tags category requirement status expirationDate metadata.createdDate createdAt')
+  .lean();
+
+// Checklist d'une propriété (chargement des documents et étapes)
+const checklistFor = async (property) => {
+  const [documents, steps] = await Promise.all([
+    activeDocuments(property._id),
+    Step.find({ property: property._id, isActive: true }).select('name category status').sort({ order: 1 }).lean()
+  ]);
+
+  return buildChecklist(property, documents, steps);
+};
+
+// Documents obligatoires manquants ou expirés qui empêchent de terminer une étape
+const findMissingDocuments = async (step, property) => {
+  const requirements = applicableRequirements(property)
+    .filter(requirement => requirement.mandatory && gatesStep(requirement, step));
+
+  if (requirements.length === 0) return [];
+
+  const documents = await activeDocuments(property._id);
+
+  return requirements
+    .map(requirement => evaluateRequirement(requirement, documents, []))
+    .filter(item => item.status !== 'present')
+    .map(({ key, label, category, status }) => ({ key, label, category, status: status === 'expired' ? 'expired' : 'missing' }));
+};
+
+module.exports = {
+  REQUIRED_DOCUMENTS,
+  REQUIREMENT_KEYS,
+  applicableRequirements,
+  buildChecklist,
+  checklistFor,
+  findMissingDocuments
+};
\ No newline at end of file
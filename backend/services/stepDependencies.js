@@ -0,0 +1,187 @@
+const Step = require('../models/Step');
+
+// Dépendances entre étapes d'un même bien
+//
+// Une entrée { step: X, type } dans step.dependencies se lit « X → step » :
+//   - blocks   : l'étape ne peut pas commencer (ni se terminer) tant que X n'est pas terminée ;
+//   - triggers : quand X est terminée, l'étape démarre automatiquement.
+
+// Statuts pour lesquels une étape ne bloque plus les suivantes
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Étapes bloquantes encore ouvertes
+const findOpenBlockers = async (step) => {
+  const blockerIds = (step.dependencies || [])
+    .filter(dep => dep.step && dep.type === 'blocks')
+    .map(dep => idOf(dep.step));
+
+  if (blockerIds.length === 0) return [];
+
+  return Step.find({
+    _id: { $in: blockerIds },
+    isActive: true,
+    status: { $nin: RESOLVED_STATUSES }
+  }).select('name status order');
+};
+
+// Démarrer les étapes déclenchées par une étape terminée (si plus rien ne les bloque)
+const startTriggeredSteps = async (step) => {
+  const dependents = await Step.find({
+    property: idOf(step.property),
+    isActive: true,
+    status: 'todo',
+    dependencies: { $elemMatch: { step: step._id, type: 'triggers' } }
+  });
+
+  const started = [];
+  for (const dependent of dependents) {
+    const blockers = await findOpenBlockers(dependent);
+    if (blockers.length === 0) {
+      await dependent.start();
+      started.push(dependent);
+    }
+  }
+
+  return started;
+};
+
+// Rechercher un cycle ; renvoie le chemin (liste d'identifiants) ou null
+const findCycle = (edges) => {
+  const state = new Map(); // 1 = en cours de visite, 2 = visité
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    stack.push(node);
+
+    for (const next of edges.get(node) || []) {
+      if (state.get(next) === 1) {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(node, 2);
+    return null;
+  };
+
+  for (const node of edges.keys()) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+// Arêtes X → étape à partir des dépendances de chaque étape
+const buildEdges = (steps) => {
+  const edges = new Map(steps.map(step => [idOf(step._id), []]));
+
+  steps.forEach(step => {
+    (step.dependencies || []).forEach(dep => {
+      const from = dep.step && idOf(dep.step);
+      if (from && edges.has(from)) {
+        edges.get(from).push(idOf(step._id));
+      }
+    });
+  });
+
+  return edges;
+};
+
+// Valider les dépendances d'une étape avant enregistrement ; renvoie un message d'erreur ou null
+const validateDependencies = async (propertyId, stepId, dependencies) => {
+  const ids = dependencies.map(dep => idOf(dep.step));
+
+  if (stepId && ids.includes(idOf(stepId))) {
+    return 'Une étape ne peut pas dépendre d\'elle-même';
+  }
+  if (new Set(ids).size !== ids.length) {
+    return 'Une étape ne peut figurer qu\'une fois dans les dépendances';
+  }
+
+  const steps = await Step.find({ property: propertyId, isActive: true }).select('dependencies');
+  const known = new Set(steps.map(step => idOf(step._id)));
+
+  if (ids.some(id => !known.has(id))) {
+    return 'Les dépendances doivent être des étapes de la même propriété';
+  }
+
+  // Nouvelle étape : aucune autre étape ne peut encore dépendre d'elle
+  if (!stepId) return null;
+
+  const candidate = steps.map(step =>
+    idOf(step._id) === idOf(stepId) ? { _id: step._id, dependencies } : step
+  );
+  const cycle = findCycle(buildEdges(candidate));
+
+  return cycle ? 'Ces dépendances créeraient un cycle entre les étapes' : null;
+};
+
+// Graphe des dépendances d'une propriété
+const buildGraph = async (propertyId) => {
+  const steps = await Step.find({ property: propertyId, isActive: true })
+    .sort({ order: 1 })
+    .select('name category status order dependencies');
+
+  const byId = new Map(steps.map(step => [idOf(step._id), step]));
+
+  const edges = steps.flatMap(step => (step.dependencies || [])
+    .filter(dep => dep.step && byId.has(idOf(dep.step)))
+    .map(dep => ({ from: idOf(dep.step), to: idOf(step._id), type: dep.type })));
+
+  const nodes = steps.map(step => {
+    const blockedBy = edges
+      .filter(edge => edge.to === idOf(step._id) && edge.type === 'blocks')
+      .map(edge => edge.from)
+      .filter(id => !RESOLVED_STATUSES.includes(byId.get(id).status));
+
+    return {
+      id: idOf(step._id),
+      name: step.name,
+      category: step.category,
+      status: step.status,
+      order: step.order,
+      blocked: blockedBy.length > 0,
+      blockedBy
+    };
+  });
+
+  // Ordre topologique (algorithme de Kahn)
+  const inDegree = new Map(nodes.map(node => [node.id, 0]));
+  edges.forEach(edge => inDegree.set(edge.to, inDegree.get(edge.to) + 1));
+
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  const sorted = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    sorted.push(id);
+    edges.filter(edge => edge.from === id).forEach(edge => {
+      inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+      if (inDegree.get(edge.to) === 0) queue.push(edge.to);
+    });
+  }
+
+  return {
+    nodes,
+    edges,
+    order: sorted,
+    hasCycle: sorted.length !== nodes.length
+  };
+};
+
+module.exports = {
+  findOpenBlockers,
+  startTriggeredSteps,
+  findCycle,
+  buildEdges,
+  validateDependencies,
+  buildGraph
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+const Property = require('../models/Property');
+const VisitReport = require('../models/VisitReport');
+
+const { SCORE_CRITERIA } = VisitReport;
+
+// Notes agrégées des comptes rendus de visite d'une propriété
+//
+// Chaque participant note chaque critère de 1 à 5 ; la moyenne d'un critère porte sur
+// toutes les notes de toutes les visites, et la note globale est la moyenne des critères notés.
+
+const average = (values) => (values.length === 0
+  ? null
+  : Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10);
+
+const aggregateScores = (reports) => {
+  const ratings = reports.flatMap(report => report.ratings || []);
+
+  const criteria = {};
+  SCORE_CRITERIA.forEach(criterion => {
+    criteria[criterion] = average(ratings
+      .map(rating => rating.scores && rating.scores[criterion])
+      .filter(value => typeof value === 'number'));
+  });
+
+  // Moyenne par participant, pour comparer les avis des co-acquéreurs
+  const participants = new Map();
+  ratings.forEach(rating => {
+    const values = SCORE_CRITERIA
+      .map(criterion => rating.scores && rating.scores[criterion])
+      .filter(value => typeof value === 'number');
+    const id = (rating.user._id || rating.user).toString();
+    participants.set(id, [...(participants.get(id) || []), ...values]);
+  });
+
+  return {
+    criteria,
+    overall: average(Object.values(criteria).filter(value => value !== null)),
+    reportsCount: reports.length,
+    ratingsCount: ratings.length,
+    byParticipant: [...participants.entries()].map(([user, values]) => ({ user, overall: average(values) }))
+  };
+};
+
+// Recalculer les notes agrégées stockées sur la propriété (utilisées pour le tri)
+const syncVisitScores = async (propertyId) => {
+  const reports = await VisitReport.find({ property: propertyId, isActive: true }).select('ratings');
+  const aggregate = aggregateScores(reports);
+
+  await Property.updateOne({ _id: propertyId }, {
+    $set: {
+      visitScores: {
+        ...aggregate.criteria,
+        overall: aggregate.overall,
+        ratingsCount: aggregate.ratingsCount,
+        updatedAt: new Date()
+      }
+    }
+  });
+
+  return aggregate;
+};
+
+module.exports = {
+  aggregateScores,
+  syncVisitScores
+};
\ No newline at end of file
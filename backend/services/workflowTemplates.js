@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const Step = require('../models/Step');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+
+// Modèles de parcours d'achat : définitions intégrées, validation et instanciation
+//
+// Dans les définitions, une dépendance désigne une étape du même modèle par son ordre :
+// { order: 3, type: 'blocks' }. Elle doit viser une étape précédente, ce qui exclut les cycles.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DIAGNOSTICS_CHECKLIST = [
+  'DPE (diagnostic de performance énergétique)',
+  'Amiante',
+  'Plomb (CREP)',
+  'Électricité et gaz',
+  'Mesurage loi Carrez',
+  'État des risques et pollutions (ERP)'
+];
+
+const BUILT_IN_TEMPLATES = [
+  {
+    key: 'achat_ancien',
+    templateCategory: 'achat_ancien',
+    name: 'Achat dans l\'ancien',
+    description: 'Parcours classique : visites, offre, compromis, financement et acte authentique',
+    steps: [
+      {
+        name: 'Recherche active',
+        category: 'recherche',
+        checklist: ['Définir le budget', 'Définir les critères (quartier, surface, pièces)', 'Obtenir une simulation de prêt']
+      },
+      { name: 'Première visite', category: 'visite', dependencies: [{ order: 1, type: 'triggers' }] },
+      {
+        name: 'Deuxième visite',
+        category: 'visite',
+        dependencies: [{ order: 2, type: 'blocks' }],
+        checklist: ['Consulter les PV des trois dernières AG', 'Vérifier le montant des charges', 'Vérifier les parties communes et la toiture']
+      },
+      {
+        name: 'Faire une offre',
+        category: 'offre',
+        priority: 'high',
+        dependencies: [{ order: 3, type: 'blocks' }],
+        checklist: ['Rédiger l\'offre d\'achat écrite', 'Joindre une attestation de financement']
+      },
+      { name: 'Négociation', category: 'offre', dependencies: [{ order: 4, type: 'triggers' }] },
+      {
+        name: 'Signature du compromis',
+        category: 'compromis',
+        priority: 'high',
+        deadlineOffsetDays: 60,
+        dependencies: [{ order: 5, type: 'blocks' }],
+        checklist: ['Recevoir le dossier de diagnostics', 'Vérifier la condition suspensive de prêt', 'Verser le dépôt de garantie']
+      },
+      {
+        name: 'Demande de prêt',
+        category: 'financement',
+        priority: 'high',
+        deadlineOffsetDays: 75,
+        dependencies: [{ order: 6, type: 'triggers' }],
+        checklist: ['Comparer les offres de prêt', 'Déposer les dossiers de financement', 'Souscrire l\'assurance emprunteur']
+      },
+      {
+        name: 'Diagnostics immobiliers',
+        category: 'diagnostics',
+        deadlineOffsetDays: 55,
+        checklist: DIAGNOSTICS_CHECKLIST
+      },
+      {
+        name: 'Accord de prêt',
+        category: 'financement',
+        priority: 'urgent',
+        deadlineOffsetDays: 105,
+        dependencies: [{ order: 7, type: 'blocks' }]
+      },
+      {
+        name: 'Signature définitive',
+        category: 'signature',
+        priority: 'high',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 6, type: 'blocks' }, { order: 9, type: 'blocks' }],
+        checklist: ['Relire le projet d\'acte', 'Virer les fonds au notaire', 'Effectuer la visite finale']
+      },
+      {
+        name: 'Remise des clés',
+        category: 'remise_cles',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 10, type: 'triggers' }],
+        checklist: ['Relever les compteurs', 'Récupérer les badges et télécommandes', 'Souscrire l\'assurance habitation']
+      }
+    ]
+  },
+  {
+    key: 'achat_neuf',
+    templateCategory: 'achat_neuf',
+    name: 'Achat dans le neuf (VEFA)',
+    description: 'Vente en l\'état futur d\'achèvement : réservation, acte, appels de fonds et livraison',
+    // Pas de droit de préemption sur un logement vendu en l'état futur d'achèvement
+    legalDeadlines: [{ key: 'dia', enabled: false }, { key: 'loan', days: 60 }],
+    steps: [
+      { name: 'Choix du programme', category: 'recherche' },
+      { name: 'Visite du bureau de vente', category: 'visite', dependencies: [{ order: 1, type: 'triggers' }] },
+      {
+        name: 'Contrat de réservation',
+        category: 'compromis',
+        priority: 'high',
+        deadlineOffsetDays: 30,
+        dependencies: [{ order: 2, type: 'blocks' }],
+        checklist: [
+          'Vérifier la notice descriptive et les plans',
+          'Vérifier le prix et la date prévisionnelle de livraison',
+          'Verser le dépôt de garantie (5 % maximum)',
+          'Noter la fin du délai de rétractation (10 jours)'
+        ]
+      },
+      {
+        name: 'Demande de prêt',
+        category: 'financement',
+        priority: 'high',
+        deadlineOffsetDays: 60,
+        dependencies: [{ order: 3, type: 'triggers' }],
+        checklist: ['Comparer les offres de prêt', 'Prévoir le déblocage progressif des fonds', 'Souscrire l\'assurance emprunteur']
+      },
+      {
+        name: 'Accord de prêt',
+        category: 'financement',
+        priority: 'urgent',
+        deadlineOffsetDays: 90,
+        dependencies: [{ order: 4, type: 'blocks' }]
+      },
+      {
+        name: 'Signature de l\'acte VEFA',
+        category: 'signature',
+        priority: 'high',
+        deadlineOffsetDays: 120,
+        dependencies: [{ order: 3, type: 'blocks' }, { order: 5, type: 'blocks' }],
+        checklist: ['Recevoir le projet d\'acte un mois avant', 'Vérifier la garantie financière d\'achèvement']
+      },
+      {
+        name: 'Appel de fonds : fondations (35 %)',
+        category: 'autre',
+        dependencies: [{ order: 6, type: 'blocks' }]
+      },
+      {
+        name: 'Appel de fonds : mise hors d\'eau (70 %)',
+        category: 'autre',
+        dependencies: [{ order: 7, type: 'blocks' }]
+      },
+      {
+        name: 'Appel de fonds : achèvement (95 %)',
+        category: 'autre',
+        dependencies: [{ order: 8, type: 'blocks' }]
+      },
+      {
+        name: 'Livraison et remise des clés',
+        category: 'remise_cles',
+        priority: 'high',
+        dependencies: [{ order: 9, type: 'blocks' }],
+        checklist: [
+          'Effectuer la visite de livraison',
+          'Consigner les réserves au procès-verbal',
+          'Consigner le solde (5 %) en cas de réserves',
+          'Suivre la levée des réserves (garantie de parfait achèvement)'
+        ]
+      }
+    ]
+  },
+  {
+    key: 'investissement',
+    templateCategory: 'investissement',
+    name: 'Investissement locatif',
+    description: 'Achat dans l\'ancien en vue de la mise en location',
+    steps: [
+      {
+        name: 'Étude du marché locatif',
+        category: 'recherche',
+        checklist: ['Estimer le loyer de marché', 'Calculer la rentabilité nette', 'Vérifier l\'encadrement des loyers']
+      },
+      { name: 'Visites', category: 'visite', dependencies: [{ order: 1, type: 'blocks' }] },
+      { name: 'Offre d\'achat', category: 'offre', priority: 'high', dependencies: [{ order: 2, type: 'blocks' }] },
+      {
+        name: 'Signature du compromis',
+        category: 'compromis',
+        priority: 'high',
+        deadlineOffsetDays: 60,
+        dependencies: [{ order: 3, type: 'blocks' }]
+      },
+      {
+        name: 'Financement',
+        category: 'financement',
+        priority: 'high',
+        deadlineOffsetDays: 100,
+        dependencies: [{ order: 4, type: 'triggers' }]
+      },
+      { name: 'Diagnostics immobiliers', category: 'diagnostics', deadlineOffsetDays: 55, checklist: DIAGNOSTICS_CHECKLIST },
+      {
+        name: 'Signature définitive',
+        category: 'signature',
+        priority: 'high',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 4, type: 'blocks' }, { order: 5, type: 'blocks' }]
+      },
+      {
+        name: 'Remise des clés',
+        category: 'remise_cles',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 7, type: 'triggers' }]
+      },
+      {
+        name: 'Mise en location',
+        category: 'autre',
+        deadlineOffsetDays: 180,
+        dependencies: [{ order: 8, type: 'blocks' }],
+        checklist: ['Choisir le régime fiscal', 'Souscrire l\'assurance propriétaire non occupant', 'Rédiger le bail', 'Réaliser l\'état des lieux d\'entrée']
+      }
+    ]
+  },
+  {
+    key: 'premier_achat',
+    templateCategory: 'premier_achat',
+    name: 'Premier achat',
+    description: 'Achat de la résidence principale avec les aides aux primo-accédants',
+    steps: [
+      {
+        name: 'Budget et aides',
+        category: 'recherche',
+        checklist: [
+          'Simuler la capacité d\'emprunt',
+          'Vérifier l\'éligibilité au prêt à taux zéro (PTZ)',
+          'Vérifier les prêts Action Logement',
+          'Rencontrer un courtier'
+        ]
+      },
+      { name: 'Visites', category: 'visite', dependencies: [{ order: 1, type: 'triggers' }] },
+      { name: 'Contre-visite', category: 'visite', dependencies: [{ order: 2, type: 'blocks' }] },
+      { name: 'Offre d\'achat', category: 'offre', priority: 'high', dependencies: [{ order: 3, type: 'blocks' }] },
+      {
+        name: 'Signature du compromis',
+        category: 'compromis',
+        priority: 'high',
+        deadlineOffsetDays: 60,
+        dependencies: [{ order: 4, type: 'blocks' }]
+      },
+      {
+        name: 'Demande de prêt et de PTZ',
+        category: 'financement',
+        priority: 'high',
+        deadlineOffsetDays: 75,
+        dependencies: [{ order: 5, type: 'triggers' }],
+        checklist: ['Déposer le dossier de prêt principal', 'Déposer le dossier PTZ', 'Comparer les assurances emprunteur']
+      },
+      { name: 'Diagnostics immobiliers', category: 'diagnostics', deadlineOffsetDays: 55, checklist: DIAGNOSTICS_CHECKLIST },
+      {
+        name: 'Accord de prêt',
+        category: 'financement',
+        priority: 'urgent',
+        deadlineOffsetDays: 105,
+        dependencies: [{ order: 6, type: 'blocks' }]
+      },
+      {
+        name: 'Signature définitive',
+        category: 'signature',
+        priority: 'high',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 5, type: 'blocks' }, { order: 8, type: 'blocks' }]
+      },
+      {
+        name: 'Remise des clés',
+        category: 'remise_cles',
+        deadlineOffsetDays: 150,
+        dependencies: [{ order: 9, type: 'triggers' }]
+      }
+    ]
+  }
+];
+
+// Vérifier les étapes d'un modèle ; renvoie un message d'erreur ou null
+const validateTemplateSteps = (steps) => {
+  const orders = steps.map(step => step.order);
+
+  if (new Set(orders).size !== orders.length) {
+    return 'Deux étapes du modèle ont le même ordre';
+  }
+
+  for (const step of steps) {
+    for (const dep of step.dependencies || []) {
+      if (!orders.includes(dep.order)) {
+        return `L'étape « ${step.name} » dépend d'une étape inexistante (ordre ${dep.order})`;
+      }
+      // Une dépendance vise toujours une étape précédente : pas de cycle possible
+      if (dep.order >= step.order) {
+        return `L'étape « ${step.name} » ne peut dépendre que d'une étape précédente`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Enregistrer les étapes d'un modèle (les dépendances par ordre deviennent des références)
+const saveTemplateSteps = async (template, steps) => {
+  const ids = new Map(steps.map(step => [step.order, new mongoose.Types.ObjectId()]));
+
+  const docs = steps.map(step => ({
+    _id: ids.get(step.order),
+    isTemplate: true,
+    template: template._id,
+    templateCategory: template.templateCategory,
+    name: step.name,
+    description: step.description,
+    category: step.category,
+    priority: step.priority || 'medium',
+    order: step.order,
+    deadlineOffsetDays: step.deadlineOffsetDays,
+    costs: step.costs,
+    checklist: (step.checklist || []).map(item => ({ item: typeof item === 'string' ? item : item.item })),
+    dependencies: (step.dependencies || []).map(dep => ({
+      step: ids.get(dep.order),
+      type: dep.type || 'blocks'
+    }))
+  }));
+
+  return Step.insertMany(docs);
+};
+
+// Convertir les étapes enregistrées d'un modèle en définition (dépendances par ordre)
+const toDefinition = (templateSteps) => {
+  const orders = new Map(templateSteps.map(step => [step._id.toString(), step.order]));
+
+  return templateSteps.map(step => ({
+    name: step.name,
+    description: step.description,
+    category: step.category,
+    priority: step.priority,
+    order: step.order,
+    deadlineOffsetDays: step.deadlineOffsetDays,
+    costs: step.costs,
+    checklist: step.checklist.map(item => item.item),
+    dependencies: step.dependencies
+      .filter(dep => dep.step && orders.has(dep.step.toString()))
+      .map(dep => ({ order: orders.get(dep.step.toString()), type: dep.type }))
+  }));
+};
+
+// Créer les modèles intégrés absents de la base
+const ensureBuiltInTemplates = async () => {
+  for (const definition of BUILT_IN_TEMPLATES) {
+    const header = {
+      name: definition.name,
+      description: definition.description,
+      templateCategory: definition.templateCategory,
+      legalDeadlines: definition.legalDeadlines || []
+    };
+
+    // Modèle déjà créé : seul l'en-tête est resynchronisé, les étapes restent inchangées
+    const existing = await WorkflowTemplate.findOne({ builtInKey: definition.key });
+    if (existing) {
+      existing.set(header);
+      if (existing.isModified()) await existing.save();
+      continue;
+    }
+
+    const template = await WorkflowTemplate.create({
+      ...header,
+      isBuiltIn: true,
+      builtInKey: definition.key
+    });
+
+    await saveTemplateSteps(template, definition.steps.map((step, index) => ({ ...step, order: index + 1 })));
+  }
+};
+
+// Filtre des modèles visibles par un utilisateur (intégrés + personnels)
+const visibleTemplateFilter = (userId) => ({
+  isActive: true,
+  $or: [{ isBuiltIn: true }, { owner: userId }]
+});
+
+// Retrouver un modèle à partir de son identifiant ou d'une catégorie (modèle intégré)
+const findTemplate = async (userId, ref = 'achat_ancien') => {
+  // Une clé de modèle intégré peut être un ObjectId valide ('achat_ancien' fait 12 caractères)
+  const isBuiltInKey = BUILT_IN_TEMPLATES.some(definition => definition.key === ref);
+  const filter = !isBuiltInKey && mongoose.Types.ObjectId.isValid(ref)
+    ? { _id: ref, ...visibleTemplateFilter(userId) }
+    : { builtInKey: ref, isBuiltIn: true, isActive: true };
+
+  let template = await WorkflowTemplate.findOne(filter);
+
+  // Base neuve : les modèles intégrés n'ont pas encore été créés
+  if (!template && filter.builtInKey) {
+    await ensureBuiltInTemplates();
+    template = await WorkflowTemplate.findOne(filter);
+  }
+
+  return template;
+};
+
+// Créer les étapes d'une propriété à partir d'un modèle
+const instantiateTemplate = async (template, propertyId, baseDate = new Date()) => {
+  const templateSteps = await Step.find({ template: template._id, isTemplate: true, isActive: true })
+    .sort({ order: 1 });
+
+  const ids = new Map(templateSteps.map(step => [step._id.toString(), new mongoose.Types.ObjectId()]));
+
+  const steps = templateSteps.map((step, index) => {
+    const deadline = step.deadlineOffsetDays !== undefined && step.deadlineOffsetDays !== null
+      ? new Date(baseDate.getTime() + step.deadlineOffsetDays * DAY)
+      : undefined;
+
+    return {
+      _id: ids.get(step._id.toString()),
+      property: propertyId,
+      name: step.name,
+      description: step.description,
+      category: step.category,
+      priority: step.priority,
+      order: step.order,
+      status: index === 0 ? 'in_progress' : 'todo',
+      dates: {
+        actualStart: index === 0 ? baseDate : undefined,
+        deadline
+      },
+      costs: step.costs,
+      checklist: step.checklist.map(item => ({ item: item.item })),
+      dependencies: step.dependencies
+        .filter(dep => dep.step && ids.has(dep.step.toString()))
+        .map(dep => ({ step: ids.get(dep.step.toString()), type: dep.type }))
+    };
+  });
+
+  return Step.insertMany(steps);
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  validateTemplateSteps,
+  saveTemplateSteps,
+  toDefinition,
+  ensureBuiltInTemplates,
+  visibleTemplateFilter,
+  findTemplate,
+  instantiateTemplate
+};
\ No newline at end of file
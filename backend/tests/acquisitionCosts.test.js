@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { notaryFees, buildBreakdown } = require('../services/acquisitionCosts');
+
+describe('notaryFees', () => {
+  it('calcule les frais dans l\'ancien pour 250 000 €', () => {
+    expect(notaryFees(250000)).toEqual({
+      basis: 250000,
+      transferTaxRate: 5.807,
+      transferTaxes: 14516.63,
+      // 251,55 + 167,58 + 457,52 + 1 518,10 € HT, TVA 20 %
+      emoluments: 2873.7,
+      securityContribution: 250,
+      disbursements: 1200,
+      total: 18840.33
+    });
+  });
+
+  it('applique la taxe de publicité foncière dans le neuf', () => {
+    const fees = notaryFees(250000, { isNewBuild: true });
+
+    expect(fees.transferTaxRate).toBe(0.717);
+    expect(fees.transferTaxes).toBe(1791.48);
+    expect(fees.emoluments).toBe(2873.7);
+    expect(fees.total).toBe(6115.17);
+  });
+
+  it('accepte un taux de droits de mutation personnalisé', () => {
+    expect(notaryFees(100000, { transferTaxRate: 5 }).transferTaxes).toBe(5000);
+  });
+
+  it('applique le minimum de contribution de sécurité immobilière', () => {
+    expect(notaryFees(1000).securityContribution).toBe(15);
+  });
+});
+
+describe('buildBreakdown', () => {
+  const property = (acquisition = {}, price = { amount: 260000 }) => ({ price, acquisition });
+
+  it('calcule les droits sur le prix net vendeur quand les frais d\'agence sont inclus', () => {
+    const breakdown = buildBreakdown(property({ agencyFees: { amount: 10000 } }));
+
+    expect(breakdown.agencyFeesIncluded).toBe(true);
+    expect(breakdown.items.price).toBe(250000);
+    expect(breakdown.items.agencyFees).toBe(10000);
+    expect(breakdown.details.notary.basis).toBe(250000);
+    expect(breakdown.items.notaryFees).toBe(18840.33);
+    expect(breakdown.total).toBe(260000 + 18840.33);
+  });
+
+  it('ajoute les frais d\'agence au prix quand ils ne sont pas inclus', () => {
+    const breakdown = buildBreakdown(property({ agencyFees: { amount: 10000, included: false } }, { amount: 250000 }));
+
+    expect(breakdown.agencyFeesIncluded).toBe(false);
+    expect(breakdown.items.price).toBe(250000);
+    expect(breakdown.details.notary.basis).toBe(250000);
+    expect(breakdown.total).toBe(260000 + 18840.33);
+  });
+
+  it('retient le prix final négocié plutôt que le prix affiché', () => {
+    const breakdown = buildBreakdown(property({}, { amount: 270000, finalPrice: 250000 }));
+
+    expect(breakdown.items.price).toBe(250000);
+  });
+
+  it('remplace l\'estimation d\'une étape par son coût réel, même nul', () => {
+    const steps = [
+      { costs: { estimated: 500, actual: 0 } },
+      { costs: { estimated: 300 } },
+      { costs: { estimated: 200, actual: 250 } }
+    ];
+
+    const breakdown = buildBreakdown(property({}, { amount: 250000 }), { steps });
+
+    expect(breakdown.details.steps).toEqual({ estimated: 1000, actual: 250, retained: 550 });
+    expect(breakdown.items.steps).toBe(550);
+  });
+
+  it('ajoute les frais de l\'offre de prêt acceptée uniquement', () => {
+    const accepted = new mongoose.Types.ObjectId();
+    const loans = [{
+      acceptedOffer: accepted,
+      offers: [
+        { _id: new mongoose.Types.ObjectId(), guarantee: { cost: 9000 }, fees: { application: 900 } },
+        { _id: accepted, guarantee: { cost: 2500 }, fees: { application: 500, broker: 1500 } }
+      ]
+    }];
+
+    const breakdown = buildBreakdown(property({}, { amount: 250000 }), { loans });
+
+    expect(breakdown.items.loanGuarantee).toBe(2500);
+    expect(breakdown.items.loanFees).toBe(2000);
+  });
+
+  it('compare le total au budget', () => {
+    const breakdown = buildBreakdown(property({ budget: 280000, diagnostics: 600 }, { amount: 250000 }));
+
+    expect(breakdown.total).toBe(250000 + 18840.33 + 600);
+    expect(breakdown.budget).toEqual({
+      amount: 280000,
+      variance: 10559.67,
+      variancePercentage: 3.77,
+      overBudget: false
+    });
+  });
+});
\ No newline at end of file
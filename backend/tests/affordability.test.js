@@ -0,0 +1,129 @@
+const { householdBudget, ptzEligibility, assessProperty } = require('../services/affordability');
+
+const salary = (monthlyAmount) => ({ type: 'salaire', monthlyAmount });
+
+describe('householdBudget', () => {
+  it('ne retient que 70 % des revenus locatifs', () => {
+    const budget = householdBudget({ incomes: [salary(3000), { type: 'locatif', monthlyAmount: 1000 }] });
+
+    expect(budget.monthlyIncome).toBe(3700);
+    expect(budget.maxMonthlyPayment).toBe(1295);
+  });
+
+  it('ignore les crédits déjà soldés', () => {
+    const budget = householdBudget({
+      incomes: [salary(4000)],
+      monthlyCharges: 100,
+      existingLoans: [
+        { monthlyPayment: 300, endDate: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+        { monthlyPayment: 200, endDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) },
+        { monthlyPayment: 150 }
+      ]
+    });
+
+    expect(budget.monthlyCharges).toBe(450);
+    expect(budget.maxMonthlyPayment).toBe(950);
+  });
+});
+
+describe('ptzEligibility', () => {
+  const profile = (overrides = {}) => ({
+    householdSize: 1,
+    ...overrides,
+    ptz: { firstTimeBuyer: true, zone: 'A', taxableIncome: 30000, ...overrides.ptz }
+  });
+  const newBuild = { price: { amount: 250000 }, acquisition: { isNewBuild: true } };
+
+  it('accepte un primo-accédant sous le plafond pour un logement neuf', () => {
+    expect(ptzEligibility(profile(), newBuild)).toEqual({ eligible: true, reasons: [] });
+  });
+
+  it('refuse un foyer qui n\'est pas primo-accédant', () => {
+    const result = ptzEligibility(profile({ ptz: { firstTimeBuyer: false } }), newBuild);
+
+    expect(result.eligible).toBe(false);
+    expect(result.reasons).toEqual(['Le foyer doit être primo-accédant (non propriétaire depuis deux ans)']);
+  });
+
+  it('exige la zone et le revenu fiscal de référence', () => {
+    const result = ptzEligibility({ ptz: { firstTimeBuyer: true } }, newBuild);
+
+    expect(result.reasons).toEqual(['Zone et revenu fiscal de référence requis']);
+  });
+
+  it.each([
+    // Zone B1 : 34 500 € pour une personne, x1,4 pour deux, x1,7 pour trois
+    [1, 34500, true],
+    [1, 34501, false],
+    [2, 48300, true],
+    [3, 58650, true],
+    [3, 58651, false],
+    // Au-delà de huit personnes, le coefficient reste celui de huit
+    [10, 34500 * 3.2, true]
+  ])('applique le plafond d\'un foyer de %i personne(s) (revenu %i €)', (householdSize, taxableIncome, eligible) => {
+    const result = ptzEligibility(profile({ householdSize, ptz: { zone: 'B1', taxableIncome } }), newBuild);
+
+    expect(result.eligible).toBe(eligible);
+  });
+
+  it.each([
+    ['B2', 100000, true],
+    ['C', 100000, true],
+    ['C', 70000, false],
+    ['B1', 100000, false]
+  ])('dans l\'ancien, zone %s avec %i € de travaux', (zone, works, eligible) => {
+    // 300 000 € de prix : 100 000 € de travaux représentent 25 % du coût total
+    const property = { price: { amount: 300000 }, acquisition: { works: [{ amount: works }] } };
+
+    const result = ptzEligibility(profile({ ptz: { zone, taxableIncome: 20000 } }), property);
+
+    expect(result.eligible).toBe(eligible);
+  });
+});
+
+describe('assessProperty', () => {
+  const breakdown = {
+    items: { notaryFees: 18000, loanGuarantee: 2000, loanFees: 1000, diagnostics: 0, steps: 0 },
+    total: 271000
+  };
+  const property = { price: { amount: 250000 }, acquisition: {} };
+  const profile = (monthlyIncome, personalContribution) => ({
+    incomes: monthlyIncome ? [salary(monthlyIncome)] : [],
+    personalContribution,
+    loanAssumptions: { rate: 3.5, durationMonths: 300, insuranceRate: 0.3 }
+  });
+
+  it('juge accessible une propriété dont l\'apport couvre les frais', () => {
+    const result = assessProperty(property, profile(5000, 40000), breakdown);
+
+    expect(result.verdict).toBe('affordable');
+    expect(result.fees).toBe(21000);
+    expect(result.remainingContribution).toBe(19000);
+    expect(result.loanNeeded).toBe(231000);
+    expect(result.debtRatio).toBeLessThanOrEqual(35);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('juge tendue une propriété dont l\'apport ne couvre pas les frais', () => {
+    const result = assessProperty(property, profile(5000, 15000), breakdown);
+
+    expect(result.verdict).toBe('tight');
+    expect(result.remainingContribution).toBe(-6000);
+    expect(result.warnings).toEqual(['L\'apport ne couvre pas les frais d\'acquisition']);
+  });
+
+  it('juge inaccessible une propriété qui dépasse 35 % d\'endettement', () => {
+    const result = assessProperty(property, profile(3000, 40000), breakdown);
+
+    expect(result.verdict).toBe('unaffordable');
+    expect(result.debtRatio).toBeGreaterThan(35);
+    expect(result.warnings).toEqual(['Le taux d\'endettement dépasse 35 % (limite HCSF)']);
+  });
+
+  it('ne conclut pas sans revenus renseignés', () => {
+    const result = assessProperty(property, profile(0, 40000), breakdown);
+
+    expect(result.verdict).toBe('unknown');
+    expect(result.debtRatio).toBeNull();
+  });
+});
\ No newline at end of file
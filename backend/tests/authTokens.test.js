@@ -0,0 +1,145 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+// Vérification d'email et réinitialisation du mot de passe, emails capturés via le transport JSON
+describe('tokens de vérification et de réinitialisation', () => {
+  let app;
+  let User;
+  let RefreshToken;
+  let user;
+  let emails;
+
+  // Token en clair du dernier email envoyé
+  const lastToken = () => /token=([a-f0-9]+)/.exec(emails[emails.length - 1].text)[1];
+
+  // Recherche par token haché et date d'expiration, comme en base
+  const matches = (query) => Object.entries(query).every(([field, value]) => (value && value.$gt
+    ? user[field] > value.$gt
+    : user[field] === value));
+
+  beforeEach(() => {
+    // Limiteurs de débit neufs pour chaque test
+    jest.resetModules();
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.EMAIL_TRANSPORT = 'json';
+
+    User = require('../models/User');
+    RefreshToken = require('../models/RefreshToken');
+    const mailer = require('../services/mailer');
+
+    emails = [];
+    const jsonTransport = mailer.getTransport();
+    mailer.setTransport({
+      sendMail: async (message) => {
+        const info = await jsonTransport.sendMail(message);
+        emails.push(JSON.parse(info.message));
+        return info;
+      }
+    });
+
+    user = new User({ email: 'marie@example.com', password: 'Secret123', firstName: 'Marie', lastName: 'Martin' });
+    jest.spyOn(User, 'findOne').mockImplementation(async (query) => (matches(query) ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EMAIL_TRANSPORT;
+  });
+
+  const resend = () => request(app)
+    .post('/api/auth/resend-verification')
+    .set('Authorization', `Bearer ${jwt.sign({ userId: user._id, sid: 'session' }, process.env.JWT_SECRET)}`);
+
+  const verify = (token) => request(app).post('/api/auth/verify-email').send({ token });
+
+  describe('vérification de l\'email', () => {
+    it('ne stocke que le haché du token envoyé', async () => {
+      expect((await resend()).status).toBe(200);
+
+      const token = lastToken();
+      expect(token).toHaveLength(64);
+      expect(user.emailVerificationToken).not.toBe(token);
+      expect(user.emailVerificationToken).toBe(User.hashToken(token));
+    });
+
+    it('vérifie l\'adresse une seule fois par token', async () => {
+      await resend();
+      const token = lastToken();
+
+      expect((await verify(token)).status).toBe(200);
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+
+      user.emailVerified = false;
+      expect((await verify(token)).status).toBe(400);
+    });
+
+    it('refuse un token expiré', async () => {
+      await resend();
+      user.emailVerificationExpires = new Date(Date.now() - 1000);
+
+      expect((await verify(lastToken())).status).toBe(400);
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('invalide le token précédent lors d\'un renvoi', async () => {
+      await resend();
+      const first = lastToken();
+      await resend();
+
+      expect((await verify(first)).status).toBe(400);
+      expect((await verify(lastToken())).status).toBe(200);
+    });
+
+    it('limite les renvois à 3 par heure', async () => {
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await resend()).status);
+      }
+
+      expect(statuses).toEqual([200, 200, 200, 429]);
+      expect(emails).toHaveLength(3);
+    });
+  });
+
+  describe('réinitialisation du mot de passe', () => {
+    const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+    const reset = (token) => request(app).post('/api/auth/reset-password').send({ token, password: 'Nouveau123' });
+
+    it('répond de la même façon pour un email inconnu, sans envoi', async () => {
+      const response = await forgot('inconnu@example.com');
+
+      expect(response.status).toBe(200);
+      expect(emails).toHaveLength(0);
+    });
+
+    it('réinitialise le mot de passe une seule fois et déconnecte les sessions', async () => {
+      await forgot('marie@example.com');
+      const token = lastToken();
+      expect(user.passwordResetToken).toBe(User.hashToken(token));
+
+      expect((await reset(token)).status).toBe(200);
+      expect(user.password).toBe('Nouveau123');
+      expect(user.passwordResetToken).toBeUndefined();
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user._id, 'password_changed');
+
+      expect((await reset(token)).status).toBe(400);
+    });
+
+    it('refuse un lien expiré', async () => {
+      await forgot('marie@example.com');
+      user.passwordResetExpires = new Date(Date.now() - 1000);
+
+      expect((await reset(lastToken())).status).toBe(400);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const CalendarEvent = require('../models/Calendar');
+const calendarRoutes = require('../routes/calendar');
+
+describe('PUT /api/calendar/events/:id', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/calendar', calendarRoutes);
+
+  const userId = new mongoose.Types.ObjectId();
+  let event;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    event = CalendarEvent.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Visite importée',
+      type: 'visite',
+      startDate: new Date('2026-03-15T09:00:00Z'),
+      endDate: new Date('2026-03-15T10:00:00Z'),
+      owner: userId,
+      createdBy: userId,
+      uid: 'visite-42@agence.example',
+      source: 'import',
+      sequence: 2
+    });
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+    jest.spyOn(CalendarEvent, 'findById').mockResolvedValue(event);
+    jest.spyOn(event, 'save').mockResolvedValue(event);
+    jest.spyOn(event, 'populate').mockResolvedValue(event);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ignore l\'identité iCalendar envoyée par le client', async () => {
+    const response = await request(app)
+      .put(`/api/calendar/events/${event._id}`)
+      .set('Authorization', `Bearer ${jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET)}`)
+      .send({
+        title: 'Visite du T3',
+        type: 'visite',
+        startDate: '2026-03-15T09:00:00Z',
+        endDate: '2026-03-15T10:00:00Z',
+        uid: 'autre@exemple.fr',
+        source: 'manual',
+        sequence: 0
+      });
+
+    expect(response.status).toBe(200);
+    expect(event.title).toBe('Visite du T3');
+    expect(event.uid).toBe('visite-42@agence.example');
+    expect(event.source).toBe('import');
+    expect(event.sequence).toBe(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Property = require('../models/Property');
+const CalendarEvent = require('../models/Calendar');
+const calendarRoutes = require('../routes/calendar');
+const { parseCalendar } = require('../services/icalImport');
+
+const vevent = (uid, summary, extra = []) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  'DTSTAMP:20240301T100000Z',
+  'DTSTART:20240315T090000Z',
+  'DTEND:20240315T100000Z',
+  `SUMMARY:${summary}`,
+  ...extra,
+  'END:VEVENT'
+];
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//FR',
+  ...events.flat(),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('POST /api/calendar/import', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/calendar', calendarRoutes);
+
+  const userId = new mongoose.Types.ObjectId();
+  let saved;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    saved = [];
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+    jest.spyOn(Property, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(CalendarEvent, 'find').mockResolvedValue([]);
+    // Validation du schéma comme lors d'un enregistrement réel
+    jest.spyOn(CalendarEvent.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      saved.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const importCalendar = (ics) => request(app)
+    .post('/api/calendar/import')
+    .set('Authorization', `Bearer ${jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET)}`)
+    .attach('file', Buffer.from(ics), 'agenda.ics');
+
+  it('importe les événements valides et signale les autres', async () => {
+    const response = await importCalendar(calendar(
+      vevent('valide-1', 'Visite appartement'),
+      vevent('invalide', 'Rendez-vous banque', ['RRULE:FREQ=PARFOIS']),
+      vevent('valide-2', 'Signature compromis')
+    ));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ created: 2, updated: 0, skipped: 0, failed: 1 });
+    expect(response.body.data.errors).toEqual([{
+      uid: 'invalide',
+      title: 'Rendez-vous banque',
+      message: expect.stringContaining('Événement illisible')
+    }]);
+    expect(saved.map(event => event.uid)).toEqual(['valide-1', 'valide-2']);
+  });
+
+  it('signale les événements refusés par le modèle', async () => {
+    CalendarEvent.prototype.save.mockImplementationOnce(async function () {
+      this.title = 'ab';
+      await this.validate();
+    });
+
+    const response = await importCalendar(calendar(
+      vevent('premier', 'Visite appartement'),
+      vevent('second', 'Signature compromis')
+    ));
+
+    expect(response.body.data).toMatchObject({ created: 1, failed: 1 });
+    expect(response.body.data.errors).toEqual([
+      { uid: 'premier', title: 'Visite appartement', message: 'Le titre doit contenir au moins 3 caractères' }
+    ]);
+  });
+
+  it('signale un échec d\'enregistrement sans interrompre l\'import', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CalendarEvent.prototype.save
+      .mockRejectedValueOnce(new Error('connexion perdue'));
+
+    const response = await importCalendar(calendar(
+      vevent('premier', 'Visite appartement'),
+      vevent('second', 'Signature compromis')
+    ));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ created: 1, failed: 1 });
+    expect(response.body.data.errors).toEqual([
+      { uid: 'premier', title: 'Visite appartement', message: 'Enregistrement impossible' }
+    ]);
+  });
+});
+
+describe('parseCalendar', () => {
+  it('lit les exceptions d\'une série avec leur événement récurrent', () => {
+    const { events, invalid } = parseCalendar(calendar(
+      vevent('serie', 'Point courtier', ['RRULE:FREQ=WEEKLY;COUNT=3']),
+      [
+        'BEGIN:VEVENT',
+        'UID:serie',
+        'RECURRENCE-ID:20240322T090000Z',
+        'DTSTART:20240322T140000Z',
+        'DTEND:20240322T150000Z',
+        'SUMMARY:Point courtier (décalé)',
+        'END:VEVENT'
+      ],
+      vevent('invalide', 'Visite', ['RRULE:FREQ=PARFOIS'])
+    ));
+
+    expect(events.map(event => [event.title, event.startDate.toISOString()])).toEqual([
+      ['Point courtier', '2024-03-15T09:00:00.000Z'],
+      ['Point courtier (décalé)', '2024-03-22T14:00:00.000Z'],
+      ['Point courtier', '2024-03-29T09:00:00.000Z']
+    ]);
+    expect(invalid).toEqual([{ uid: 'invalide', title: 'Visite', message: expect.stringContaining('Événement illisible') }]);
+  });
+
+  it('ne trouve aucun événement dans un fichier sans calendrier', () => {
+    expect(parseCalendar('pas un calendrier')).toEqual({ events: [], invalid: [] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+const { isOverdue, summarizeSteps, stepDurations, costsByCategory } = require('../services/dashboardStats');
+
+const now = new Date('2026-06-15T12:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+const step = (overrides = {}) => ({
+  category: 'recherche',
+  status: 'todo',
+  dates: {},
+  costs: {},
+  ...overrides
+});
+
+describe('summarizeSteps', () => {
+  const steps = [
+    step({ status: 'todo', dates: { deadline: daysFromNow(-3) } }),
+    step({ status: 'in_progress', dates: { deadline: daysFromNow(-1) } }),
+    step({ status: 'on_hold', dates: { deadline: daysFromNow(2) } }),
+    step({ status: 'todo', dates: { deadline: daysFromNow(10) } }),
+    step({ status: 'todo' }),
+    step({ status: 'completed', dates: { deadline: daysFromNow(-5) } }),
+    step({ status: 'cancelled', dates: { deadline: daysFromNow(-5) } }),
+    step({ status: 'completed' })
+  ];
+
+  it('compte les étapes ouvertes en retard d\'après dates.deadline', () => {
+    expect(summarizeSteps(steps, now).overdue).toBe(2);
+    expect(isOverdue(steps[5], now)).toBe(false);
+    expect(isOverdue(steps[6], now)).toBe(false);
+  });
+
+  it('compte les échéances des 7 prochains jours', () => {
+    expect(summarizeSteps(steps, now).upcoming).toBe(1);
+  });
+
+  it('donne les comptes par statut et la progression', () => {
+    expect(summarizeSteps(steps, now)).toMatchObject({
+      total: 8,
+      completed: 2,
+      progress: 25,
+      byStatus: { todo: 3, in_progress: 1, on_hold: 1, completed: 2, cancelled: 1 }
+    });
+  });
+
+  it('renvoie une progression nulle sans étape', () => {
+    expect(summarizeSteps([], now)).toEqual({ total: 0, completed: 0, overdue: 0, upcoming: 0, progress: 0, byStatus: {} });
+  });
+});
+
+describe('stepDurations', () => {
+  it('calcule les durées en jours entre dates.actualStart et dates.actualEnd', () => {
+    const steps = [
+      step({ category: 'visite', status: 'completed', dates: { actualStart: daysFromNow(-10), actualEnd: daysFromNow(-6) } }),
+      step({ category: 'visite', status: 'completed', dates: { actualStart: daysFromNow(-5), actualEnd: daysFromNow(-3) } }),
+      step({ category: 'financement', status: 'completed', dates: { actualStart: daysFromNow(-30), actualEnd: daysFromNow(-0.5) } }),
+      // Ignorées : non terminée, sans date de début, terminée avant la période
+      step({ category: 'visite', status: 'in_progress', dates: { actualStart: daysFromNow(-20) } }),
+      step({ category: 'visite', status: 'completed', dates: { actualEnd: daysFromNow(-1) } }),
+      step({ category: 'visite', status: 'completed', dates: { actualStart: daysFromNow(-400), actualEnd: daysFromNow(-200) } })
+    ];
+
+    expect(stepDurations(steps, daysFromNow(-180))).toEqual([
+      { category: 'visite', avgDays: 3, minDays: 2, maxDays: 4, count: 2 },
+      { category: 'financement', avgDays: 29.5, minDays: 29.5, maxDays: 29.5, count: 1 }
+    ]);
+  });
+});
+
+describe('costsByCategory', () => {
+  it('additionne costs.estimated et costs.actual par catégorie', () => {
+    const steps = [
+      step({ category: 'diagnostics', costs: { estimated: 500, actual: 620.5 } }),
+      step({ category: 'diagnostics', costs: { estimated: 300 } }),
+      step({ category: 'financement', costs: { estimated: 1200, actual: 1000 } }),
+      step({ category: 'visite', costs: { estimated: 0, actual: 0 } }),
+      step({ category: 'offre' })
+    ];
+
+    expect(costsByCategory(steps)).toEqual({
+      byCategory: [
+        { category: 'financement', estimated: 1200, actual: 1000, variance: -200, count: 1 },
+        { category: 'diagnostics', estimated: 800, actual: 620.5, variance: -179.5, count: 2 }
+      ],
+      totalEstimated: 2000,
+      totalActual: 1620.5
+    });
+  });
+
+  it('renvoie des totaux nuls sans coût saisi', () => {
+    expect(costsByCategory([step()])).toEqual({ byCategory: [], totalEstimated: 0, totalActual: 0 });
+  });
+});
\ No newline at end of file
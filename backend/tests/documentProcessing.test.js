@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const { processDocument, parsePdfDate, isProcessingStale } = require('../services/documentProcessing');
+
+const buildDocument = (file, overrides = {}) => new Document({
+  property: new mongoose.Types.ObjectId(),
+  uploadedBy: new mongoose.Types.ObjectId(),
+  name: 'Document',
+  category: 'autre',
+  file: {
+    originalName: path.basename(file.path),
+    filename: path.basename(file.path),
+    size: 1,
+    ...file
+  },
+  ...overrides
+});
+
+describe('processDocument', () => {
+  let directory;
+  let statuses;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+    statuses = [];
+    jest.spyOn(Document.prototype, 'save').mockImplementation(function() {
+      statuses.push(this.status);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // pdf.js signale les PDF invalides sur la sortie standard
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('extrait le texte et passe par processing puis processed', async () => {
+    const filePath = path.join(directory, 'notes.txt');
+    await fs.writeFile(filePath, 'Diagnostic   amiante\r\n\r\n\r\n\r\nnégatif');
+    const document = buildDocument({ path: filePath, mimeType: 'text/plain' });
+
+    await processDocument(document);
+
+    expect(statuses).toEqual(['processing', 'processed']);
+    expect(document.content.text).toBe('Diagnostic amiante\n\nnégatif');
+    expect(document.processing.completedAt).toBeInstanceOf(Date);
+  });
+
+  it('passe en erreur avec la raison de l\'échec', async () => {
+    const filePath = path.join(directory, 'invalide.pdf');
+    await fs.writeFile(filePath, 'pas un PDF');
+    const document = buildDocument({ path: filePath, mimeType: 'application/pdf' });
+
+    await processDocument(document);
+
+    expect(document.status).toBe('error');
+    expect(document.processing.error).toMatch(/^Extraction des métadonnées impossible/);
+  });
+
+  it('ne modifie jamais le statut d\'un document archivé', async () => {
+    const filePath = path.join(directory, 'archive.txt');
+    await fs.writeFile(filePath, 'Ancienne version');
+    const document = buildDocument({ path: filePath, mimeType: 'text/plain' }, { isArchived: true, status: 'archived' });
+
+    await processDocument(document);
+
+    expect(statuses).toEqual(['archived', 'archived']);
+    expect(document.content.text).toBe('Ancienne version');
+  });
+});
+
+describe('isProcessingStale', () => {
+  const now = new Date('2026-04-01T12:00:00Z');
+  const startedAgo = (minutes) => ({ processing: { startedAt: new Date(now.getTime() - minutes * 60 * 1000) } });
+
+  it('considère un traitement récent comme en cours', () => {
+    expect(isProcessingStale(startedAgo(2), now)).toBe(false);
+  });
+
+  it('considère un traitement commencé depuis plus de 10 minutes comme interrompu', () => {
+    expect(isProcessingStale(startedAgo(11), now)).toBe(true);
+  });
+
+  it('considère un traitement sans date de début comme interrompu', () => {
+    expect(isProcessingStale({ processing: {} }, now)).toBe(true);
+    expect(isProcessingStale({}, now)).toBe(true);
+  });
+});
+
+describe('parsePdfDate', () => {
+  it('convertit les dates PDF avec fuseau horaire', () => {
+    expect(parsePdfDate('D:20200131123045+01\'00\'').toISOString()).toBe('2020-01-31T11:30:45.000Z');
+    expect(parsePdfDate('D:2019').toISOString()).toBe('2019-01-01T00:00:00.000Z');
+    expect(parsePdfDate('invalide')).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { searchTerms, highlight, buildSnippets } = require('../services/documentSearch');
+
+describe('searchTerms', () => {
+  it('tronque de deux lettres les termes de plus de 5 caractères', () => {
+    expect(searchTerms('diagnostics plomb toiture')).toEqual(['diagnosti', 'plomb', 'toitu']);
+  });
+
+  it('compare les termes en minuscules sans accents', () => {
+    expect(searchTerms('Électricité ÉTAT')).toEqual(['electrici', 'etat']);
+  });
+
+  it('ignore les termes exclus, trop courts et en double', () => {
+    expect(searchTerms('plomb -amiante a Plomb')).toEqual(['plomb']);
+  });
+});
+
+describe('highlight', () => {
+  it('surligne les mots qui commencent par la racine d\'un terme', () => {
+    expect(highlight('Diagnostic et diagnostics gaz', 'diagnostics'))
+      .toBe('<mark>Diagnostic</mark> et <mark>diagnostics</mark> gaz');
+  });
+
+  it('retrouve un mot accentué à partir d\'un terme sans accent, et inversement', () => {
+    expect(highlight('Rapport électricité', 'electricite')).toBe('Rapport <mark>électricité</mark>');
+    expect(highlight('Etat des lieux', 'état')).toBe('<mark>Etat</mark> des lieux');
+  });
+
+  it('échappe le HTML du texte', () => {
+    expect(highlight('<script>alert("x")</script> Diagnostic', 'diagnostic'))
+      .toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; <mark>Diagnostic</mark>');
+  });
+
+  it('échappe le HTML autour d\'un mot recherché dans une balise', () => {
+    expect(highlight('<script>alert(1)</script>', 'script'))
+      .toBe('&lt;<mark>script</mark>&gt;alert(1)&lt;/<mark>script</mark>&gt;');
+  });
+
+  it('échappe le texte autour d\'un terme accentué', () => {
+    expect(highlight('Électricité & gaz <b>', 'électricité'))
+      .toBe('<mark>Électricité</mark> &amp; gaz &lt;b&gt;');
+  });
+
+  it('renvoie un texte vide tel quel', () => {
+    expect(highlight('', 'plomb')).toBe('');
+    expect(highlight(undefined, 'plomb')).toBeUndefined();
+  });
+});
+
+describe('buildSnippets', () => {
+  const filler = (word, count) => Array(count).fill(word).join(' ');
+
+  it('extrait le texte autour d\'une correspondance sans couper les mots', () => {
+    const text = `${filler('avant', 10)} présence d'amiante constatée ${filler('après', 10)}`;
+
+    expect(buildSnippets(text, 'amiante', { radius: 12 }))
+      .toEqual(['… avant présence d\'<mark>amiante</mark> constatée après …']);
+  });
+
+  it('regroupe les correspondances proches dans un même extrait', () => {
+    const text = `${filler('x', 50)} plomb et amiante ${filler('y', 50)}`;
+
+    const snippets = buildSnippets(text, 'plomb amiante', { radius: 10 });
+
+    expect(snippets).toHaveLength(1);
+    expect(snippets[0]).toContain('<mark>plomb</mark> et <mark>amiante</mark>');
+  });
+
+  it('limite le nombre d\'extraits', () => {
+    const text = Array(5).fill(`plomb ${filler('x', 60)}`).join(' ');
+
+    expect(buildSnippets(text, 'plomb', { radius: 10, maxSnippets: 3 })).toHaveLength(3);
+  });
+
+  it('échappe le HTML des extraits', () => {
+    expect(buildSnippets('<script>alert("amiante")</script>', 'amiante'))
+      .toEqual(['&lt;script&gt;alert(&quot;<mark>amiante</mark>&quot;)&lt;/script&gt;']);
+  });
+
+  it('ne renvoie rien sans correspondance', () => {
+    expect(buildSnippets('Rapport de diagnostic', 'amiante')).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+jest.mock('../services/documentProcessing', () => ({
+  ...jest.requireActual('../services/documentProcessing'),
+  processDocument: jest.fn()
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Property = require('../models/Property');
+const Document = require('../models/Document');
+const { processDocument } = require('../services/documentProcessing');
+const documentRoutes = require('../routes/documents');
+
+describe('routes des documents', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/documents', documentRoutes);
+
+  const userId = new mongoose.Types.ObjectId();
+  const property = { _id: new mongoose.Types.ObjectId(), owner: userId, sharedWith: [] };
+  let uploadPath;
+  let token;
+
+  const uploadedFiles = () => {
+    const directory = path.join(uploadPath, 'documents');
+    return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+  };
+
+  // Document du bien de l'utilisateur connecté, tel que renvoyé par findOne().populate('property')
+  const mockDocument = (overrides = {}) => {
+    const document = new Document({
+      property: property._id,
+      uploadedBy: userId,
+      name: 'Compromis',
+      category: 'compromis',
+      file: { originalName: 'compromis.pdf', filename: 'doc-1.pdf', path: '/tmp/doc-1.pdf', size: 1, checksum: 'abc' },
+      ...overrides
+    });
+    Object.defineProperty(document, 'property', { value: property });
+    jest.spyOn(Document, 'findOne').mockReturnValue({ populate: () => Promise.resolve(document) });
+    return document;
+  };
+
+  beforeEach(() => {
+    uploadPath = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+    process.env.UPLOAD_PATH = uploadPath;
+    process.env.JWT_SECRET = 'test-secret';
+    token = jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET);
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    processDocument.mockReset().mockImplementation(async (document) => document);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(uploadPath, { recursive: true, force: true });
+  });
+
+  describe('POST /api/documents', () => {
+    const upload = () => request(app)
+      .post('/api/documents')
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'Compromis')
+      .field('category', 'compromis')
+      .field('property', property._id.toString())
+      .attach('file', Buffer.from('Compromis de vente'), 'compromis.pdf');
+
+    beforeEach(() => {
+      jest.spyOn(Property, 'findOne').mockResolvedValue(property);
+    });
+
+    it('supprime le fichier si le document n\'a pas pu être enregistré', async () => {
+      jest.spyOn(Document.prototype, 'save').mockRejectedValue(new Error('Base indisponible'));
+
+      const response = await upload();
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Erreur interne du serveur');
+      expect(uploadedFiles()).toEqual([]);
+    });
+
+    it('conserve le fichier d\'un document enregistré malgré une erreur ultérieure', async () => {
+      jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      processDocument.mockRejectedValue(new Error('Base indisponible'));
+
+      const response = await upload();
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Erreur interne du serveur');
+      expect(uploadedFiles()).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/documents/:id/process', () => {
+    const reprocess = (document) => request(app)
+      .post(`/api/documents/${document._id}/process`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('refuse de relancer un traitement en cours', async () => {
+      const document = mockDocument({ status: 'processing', processing: { startedAt: new Date() } });
+
+      const response = await reprocess(document);
+
+      expect(response.status).toBe(409);
+      expect(processDocument).not.toHaveBeenCalled();
+    });
+
+    it('relance un traitement interrompu depuis plus que le délai', async () => {
+      const document = mockDocument({
+        status: 'processing',
+        processing: { startedAt: new Date(Date.now() - 60 * 60 * 1000) }
+      });
+
+      const response = await reprocess(document);
+
+      expect(response.status).toBe(200);
+      expect(processDocument).toHaveBeenCalledWith(document);
+    });
+  });
+
+  describe('POST /api/documents/:id/versions', () => {
+    const uploadVersion = (document) => request(app)
+      .post(`/api/documents/${document._id}/versions`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from('Compromis signé'), 'compromis-v2.pdf');
+
+    it('supprime le fichier si la version n\'a pas pu être ajoutée', async () => {
+      const document = mockDocument();
+      jest.spyOn(document, 'addVersion').mockRejectedValue(new Error('Base indisponible'));
+
+      const response = await uploadVersion(document);
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Erreur interne du serveur');
+      expect(uploadedFiles()).toEqual([]);
+    });
+
+    it('conserve le fichier d\'une version ajoutée malgré une erreur de traitement', async () => {
+      const document = mockDocument();
+      jest.spyOn(document, 'save').mockResolvedValue(document);
+      processDocument.mockRejectedValue(new Error('Base indisponible'));
+
+      const response = await uploadVersion(document);
+
+      expect(response.status).toBe(500);
+      expect(document.metadata.version).toBe('1.1');
+      expect(uploadedFiles()).toEqual([path.basename(document.file.path)]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { formatDate, formatDateTime, buildCalendar } = require('../services/icalendar');
+
+describe('formatDate', () => {
+  it('donne le jour à Paris, même quand minuit local est encore la veille en UTC', () => {
+    expect(formatDate(new Date('2024-01-30T23:00:00Z'))).toBe('20240131');
+    expect(formatDate(new Date('2024-07-30T22:00:00Z'))).toBe('20240731');
+  });
+
+  it('conserve le jour des dates enregistrées à minuit UTC (import, délais légaux)', () => {
+    expect(formatDate(new Date('2024-01-31T00:00:00Z'))).toBe('20240131');
+  });
+
+  it('accepte un autre fuseau', () => {
+    expect(formatDate(new Date('2024-01-31T03:00:00Z'), 'America/New_York')).toBe('20240130');
+  });
+});
+
+describe('buildCalendar', () => {
+  it('exporte les événements « toute la journée » avec les jours locaux', () => {
+    const calendar = buildCalendar([{
+      _id: 'abc',
+      title: 'Signature chez le notaire',
+      type: 'signature',
+      status: 'confirmed',
+      allDay: true,
+      startDate: new Date('2024-03-14T23:00:00Z'),
+      endDate: new Date('2024-03-15T23:00:00Z'),
+      updatedAt: new Date('2024-03-01T10:00:00Z')
+    }]);
+
+    expect(calendar).toContain('DTSTART;VALUE=DATE:20240315\r\n');
+    expect(calendar).toContain('DTEND;VALUE=DATE:20240316\r\n');
+    expect(calendar).toContain('X-WR-TIMEZONE:Europe/Paris\r\n');
+  });
+
+  it('exporte les autres événements en UTC', () => {
+    expect(formatDateTime(new Date('2024-03-14T23:30:00Z'))).toBe('20240314T233000Z');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { publicHolidays, isWorkingDay, resolveRules, computeDeadlines } = require('../services/legalDeadlines');
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+const datesOf = (deadlines) => Object.fromEntries(deadlines.map(deadline => [
+  deadline.key,
+  [deadline.nominalDate.toISOString().slice(0, 10), deadline.date.toISOString().slice(0, 10)]
+]));
+
+describe('publicHolidays', () => {
+  it('calcule les jours fériés fixes et mobiles (Pâques 2024 : 31 mars)', () => {
+    expect([...publicHolidays(2024)].sort()).toEqual([
+      '2024-01-01', '2024-04-01', '2024-05-01', '2024-05-08', '2024-05-09', '2024-05-20',
+      '2024-07-14', '2024-08-15', '2024-11-01', '2024-11-11', '2024-12-25'
+    ]);
+  });
+
+  it('ajoute le Vendredi saint et la Saint-Étienne en Alsace-Moselle', () => {
+    const holidays = publicHolidays(2024, { alsaceMoselle: true });
+
+    expect(holidays.has('2024-03-29')).toBe(true);
+    expect(holidays.has('2024-12-26')).toBe(true);
+    expect(publicHolidays(2024).has('2024-12-26')).toBe(false);
+  });
+});
+
+describe('isWorkingDay', () => {
+  it('exclut les week-ends et les jours fériés', () => {
+    expect(isWorkingDay(day('2024-05-03'))).toBe(true);
+    expect(isWorkingDay(day('2024-05-04'))).toBe(false);
+    expect(isWorkingDay(day('2024-05-05'))).toBe(false);
+    expect(isWorkingDay(day('2024-05-08'))).toBe(false);
+  });
+});
+
+describe('computeDeadlines', () => {
+  it('proroge au premier jour ouvrable un délai qui expire un week-end', () => {
+    const deadlines = computeDeadlines(new Date('2024-04-22T10:00:00Z'));
+
+    expect(datesOf(deadlines)).toEqual({
+      sru: ['2024-05-02', '2024-05-02'],
+      dia: ['2024-06-22', '2024-06-24'],
+      loan: ['2024-06-06', '2024-06-06'],
+      acte: ['2024-07-22', '2024-07-22']
+    });
+    expect(deadlines.find(deadline => deadline.key === 'dia').postponed).toBe(true);
+  });
+
+  it('proroge un délai qui expire un jour férié (Ascension puis lundi de Pâques)', () => {
+    expect(datesOf(computeDeadlines(new Date('2024-04-29T10:00:00Z'))).sru).toEqual(['2024-05-09', '2024-05-10']);
+    // Dimanche de Pâques puis lundi de Pâques férié
+    expect(datesOf(computeDeadlines(new Date('2023-12-31T10:00:00Z'))).acte).toEqual(['2024-03-31', '2024-04-02']);
+  });
+
+  it('reste sur le dernier jour du mois pour les délais en mois', () => {
+    expect(datesOf(computeDeadlines(new Date('2023-12-31T10:00:00Z'))).dia).toEqual(['2024-02-29', '2024-02-29']);
+  });
+
+  it('part du jour du compromis à Paris', () => {
+    // 22 avril 2024 à 0 h 30 à Paris
+    expect(datesOf(computeDeadlines(new Date('2024-04-21T22:30:00Z'))).sru).toEqual(['2024-05-02', '2024-05-02']);
+  });
+
+  it('applique les jours fériés d\'Alsace-Moselle selon le code postal', () => {
+    const compromis = new Date('2024-12-16T10:00:00Z');
+
+    expect(datesOf(computeDeadlines(compromis, { postalCode: '67000' })).sru).toEqual(['2024-12-26', '2024-12-27']);
+    expect(datesOf(computeDeadlines(compromis, { postalCode: '75011' })).sru).toEqual(['2024-12-26', '2024-12-26']);
+  });
+
+  it('utilise les règles surchargées par le modèle', () => {
+    const rules = resolveRules([{ key: 'loan', days: 60 }, { key: 'dia', enabled: false }]);
+    const deadlines = computeDeadlines(new Date('2024-04-22T10:00:00Z'), { rules });
+
+    expect(deadlines.map(deadline => deadline.key)).toEqual(['sru', 'loan', 'acte']);
+    expect(datesOf(deadlines).loan).toEqual(['2024-06-21', '2024-06-21']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,155 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const loanRoutes = require('../routes/loans');
+const {
+  monthlyPayment,
+  amortizationSchedule,
+  yearlySummary,
+  computeTaeg,
+  summarizeOffer,
+  debtRatioCheck
+} = require('../services/loanCalculator');
+
+describe('monthlyPayment', () => {
+  it('calcule la mensualité d\'un prêt amortissable à taux fixe', () => {
+    expect(monthlyPayment(200000, 3, 240)).toBeCloseTo(1109.20, 2);
+  });
+
+  it('divise le capital par la durée à taux nul', () => {
+    expect(monthlyPayment(120000, 0, 240)).toBe(500);
+  });
+});
+
+describe('amortizationSchedule', () => {
+  const schedule = amortizationSchedule({ amount: 200000, rate: 3, durationMonths: 240, insuranceRate: 0.3 });
+
+  it('répartit chaque échéance entre intérêts et capital', () => {
+    expect(schedule).toHaveLength(240);
+    expect(schedule[0]).toEqual({
+      month: 1,
+      payment: 1109.2,
+      principal: 609.2,
+      interest: 500,
+      insurance: 50,
+      remaining: 199390.8
+    });
+  });
+
+  it('solde le capital à la dernière échéance', () => {
+    expect(schedule[239].remaining).toBe(0);
+    expect(schedule.reduce((sum, row) => sum + row.principal, 0)).toBeCloseTo(200000, 1);
+  });
+
+  it('regroupe les échéances par année', () => {
+    const years = yearlySummary(schedule);
+    expect(years).toHaveLength(20);
+    expect(years[0].insurance).toBe(600);
+    expect(years[19].remaining).toBe(0);
+  });
+});
+
+describe('computeTaeg', () => {
+  it('correspond au taux actuariel du taux nominal sans frais ni assurance', () => {
+    expect(computeTaeg({ amount: 200000, rate: 3, durationMonths: 240, upfront: 0 })).toBe(3.04);
+  });
+
+  it('augmente avec les frais et l\'assurance', () => {
+    expect(computeTaeg({ amount: 200000, rate: 3, durationMonths: 240, insuranceRate: 0.3, upfront: 5000 })).toBe(3.85);
+  });
+
+  it('n\'est pas défini si les frais absorbent le capital', () => {
+    expect(computeTaeg({ amount: 1000, rate: 3, durationMonths: 12, upfront: 1000 })).toBeNull();
+  });
+});
+
+describe('summarizeOffer', () => {
+  it('inclut les frais et la garantie dans le coût total et le TAEG', () => {
+    const summary = summarizeOffer({
+      rate: 3,
+      durationMonths: 240,
+      insuranceRate: 0.3,
+      fees: { application: 1000, broker: 1500 },
+      guarantee: { cost: 2500 }
+    }, 200000);
+
+    expect(summary).toMatchObject({
+      amount: 200000,
+      monthlyPayment: 1109.2,
+      monthlyInsurance: 50,
+      monthlyTotal: 1159.2,
+      totalInterest: 66206.85,
+      totalInsurance: 12000,
+      upfrontCosts: 5000,
+      totalCost: 83206.85,
+      taeg: 3.85
+    });
+  });
+});
+
+describe('debtRatioCheck', () => {
+  it('signale un endettement supérieur à 35 % et une durée supérieure à 25 ans', () => {
+    const check = debtRatioCheck(1200, { monthlyIncome: 3000, monthlyCharges: 0 }, 324);
+    expect(check).toMatchObject({ debtRatio: 40, maxDebtRatio: 35, maxMonthlyPayment: 1050, compliant: false });
+    expect(check.warnings).toHaveLength(2);
+  });
+
+  it('ne calcule pas de taux sans revenus', () => {
+    expect(debtRatioCheck(1200, {}, 240)).toMatchObject({ debtRatio: null, compliant: null });
+  });
+});
+
+describe('POST /api/loans/simulate', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/loans', loanRoutes);
+
+  let token;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    const userId = new mongoose.Types.ObjectId();
+    token = jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET);
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const simulate = (body) => request(app)
+    .post('/api/loans/simulate')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('prend en compte les frais et la garantie transmis en chaîne', async () => {
+    const response = await simulate({
+      amount: 200000,
+      rate: 3,
+      durationMonths: 240,
+      insuranceRate: 0.3,
+      fees: { application: '1000', broker: '1500' },
+      guarantee: { cost: '2500' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ upfrontCosts: 5000, totalCost: 83206.85, taeg: 3.85 });
+  });
+
+  it('refuse des frais ou un coût de garantie invalides', async () => {
+    const response = await simulate({
+      amount: 200000,
+      rate: 3,
+      durationMonths: 240,
+      fees: { application: 'abc' },
+      guarantee: { cost: -10 }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.path)).toEqual(['fees.application', 'guarantee.cost']);
+  });
+});
\ No newline at end of file
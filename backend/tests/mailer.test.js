@@ -0,0 +1,41 @@
+const mailer = require('../services/mailer');
+
+describe('mailer (transport JSON)', () => {
+  beforeEach(() => {
+    process.env.EMAIL_TRANSPORT = 'json';
+    process.env.FRONTEND_URL = 'https://appart.test';
+    mailer.setTransport(null);
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.FRONTEND_URL;
+    mailer.setTransport(null);
+  });
+
+  const sent = (info) => JSON.parse(info.message);
+
+  it('envoie le lien de vérification avec le token en clair', async () => {
+    const message = sent(await mailer.sendVerificationEmail({ email: 'marie@example.com', firstName: 'Marie' }, 'abc123'));
+
+    expect(message.to).toEqual([{ address: 'marie@example.com', name: '' }]);
+    expect(message.subject).toBe('Confirmez votre adresse email');
+    expect(message.text).toContain('https://appart.test/verify-email?token=abc123');
+  });
+
+  it('échappe les valeurs saisies dans le HTML', async () => {
+    const message = sent(await mailer.sendPasswordResetEmail({ email: 'marie@example.com', firstName: '<b>Marie</b>' }, 'abc123'));
+
+    expect(message.html).toContain('&lt;b&gt;Marie&lt;/b&gt;');
+    expect(message.html).toContain('https://appart.test/reset-password?token=abc123');
+  });
+
+  it('utilise le transport injecté', async () => {
+    const sendMail = jest.fn().mockResolvedValue({ messageId: 'id' });
+    mailer.setTransport({ sendMail });
+
+    await mailer.sendMail({ to: 'marie@example.com', subject: 'Test', text: 'Bonjour' });
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'marie@example.com', subject: 'Test' }));
+  });
+});
\ No newline at end of file
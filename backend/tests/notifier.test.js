@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { dispatchPending, registerChannel } = require('../services/notifier');
+
+describe('dispatchPending (canaux push et SMS)', () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'marie@example.com',
+    phone: '+33612345678',
+    isActive: true,
+    preferences: { notifications: {} }
+  };
+
+  const notification = (channel) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    channel,
+    subject: 'Visite du T3 rue Victor Hugo',
+    message: 'Rappel',
+    status: 'pending',
+    attempts: 0,
+    save: jest.fn(async function () { return this; })
+  });
+
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'find').mockResolvedValue([user]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const dispatch = (pending) => {
+    jest.spyOn(Notification, 'find').mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve(pending) })
+    });
+    return dispatchPending();
+  };
+
+  it('ignore les notifications push et SMS sans les marquer envoyées', async () => {
+    const pending = [notification('push'), notification('sms')];
+
+    await expect(dispatch(pending)).resolves.toEqual({ sent: 0, failed: 0, skipped: 2 });
+
+    expect(pending.map(n => n.status)).toEqual(['skipped', 'skipped']);
+    expect(pending[0].skipReason).toBe('Aucun fournisseur configuré pour le canal push');
+    expect(pending[1].skipReason).toBe('Aucun fournisseur configuré pour le canal sms');
+    expect(pending.every(n => n.attempts === 0 && !n.sentAt)).toBe(true);
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('ignore le SMS d\'un utilisateur sans numéro', async () => {
+    User.find.mockResolvedValue([{ ...user, phone: undefined }]);
+    const pending = [notification('sms')];
+
+    await expect(dispatch(pending)).resolves.toEqual({ sent: 0, failed: 0, skipped: 1 });
+    expect(pending[0].skipReason).toBe('Utilisateur inactif ou canal désactivé');
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('envoie par le fournisseur enregistré pour le canal', async () => {
+    const send = jest.fn().mockResolvedValue();
+    registerChannel('push', { send });
+    const pending = [notification('push')];
+
+    try {
+      await expect(dispatch(pending)).resolves.toEqual({ sent: 1, failed: 0, skipped: 0 });
+    } finally {
+      registerChannel('push', { configured: false });
+    }
+
+    expect(send).toHaveBeenCalledWith(user, pending[0]);
+    expect(pending[0].status).toBe('sent');
+  });
+});
\ No newline at end of file
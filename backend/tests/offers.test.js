@@ -0,0 +1,101 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Property = require('../models/Property');
+const Offer = require('../models/Offer');
+const offerRoutes = require('../routes/offers');
+
+describe('DELETE /api/properties/:id/offers/:offerId', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/properties/:id/offers', offerRoutes);
+
+  const ownerId = new mongoose.Types.ObjectId();
+  const editorId = new mongoose.Types.ObjectId();
+  const property = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: ownerId,
+    sharedWith: [{ user: editorId, role: 'editor' }]
+  };
+  let offer;
+
+  const deleteAs = (userId) => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+    return request(app)
+      .delete(`/api/properties/${property._id}/offers/${offer._id}`)
+      .set('Authorization', `Bearer ${jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET)}`);
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    offer = { _id: new mongoose.Types.ObjectId(), isActive: true, save: jest.fn().mockResolvedValue() };
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(Property, 'findOne').mockResolvedValue(property);
+    jest.spyOn(Offer, 'findOne').mockResolvedValue(offer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('est réservé au propriétaire du bien', async () => {
+    const response = await deleteAs(editorId);
+
+    expect(response.status).toBe(403);
+    expect(offer.save).not.toHaveBeenCalled();
+  });
+
+  it('archive l\'offre pour le propriétaire', async () => {
+    const response = await deleteAs(ownerId);
+
+    expect(response.status).toBe(200);
+    expect(offer.isActive).toBe(false);
+    expect(offer.save).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/properties/:id/offers/:offerId/accept', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/properties/:id/offers', offerRoutes);
+
+  const ownerId = new mongoose.Types.ObjectId();
+  const property = { _id: new mongoose.Types.ObjectId(), owner: ownerId, sharedWith: [] };
+  let offer;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    offer = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      expiresAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: ownerId, isActive: true, role: 'user' });
+    jest.spyOn(Property, 'findOne').mockResolvedValue(property);
+    jest.spyOn(Offer, 'findOne').mockResolvedValue(offer);
+    // Même effet que la requête updateMany sur l'offre mockée
+    jest.spyOn(Offer, 'expireOverdue').mockImplementation(async () => {
+      if (offer.status === 'pending' && offer.expiresAt < new Date()) offer.status = 'expired';
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuse une offre en attente dont l\'échéance est dépassée', async () => {
+    const response = await request(app)
+      .post(`/api/properties/${property._id}/offers/${offer._id}/accept`)
+      .set('Authorization', `Bearer ${jwt.sign({ userId: ownerId, sid: 'session' }, process.env.JWT_SECRET)}`);
+
+    expect(Offer.expireOverdue).toHaveBeenCalledWith({ _id: String(offer._id) });
+    expect(response.status).toBe(400);
+    expect(offer.status).toBe('expired');
+    expect(offer.save).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
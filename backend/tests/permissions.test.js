@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const {
+  getRole,
+  canRead,
+  canEdit,
+  canManage,
+  getReadablePropertyIds,
+  readableEventFilter
+} = require('../middleware/permissions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ownerId = id();
+const editorId = id();
+const viewerId = id();
+const strangerId = id();
+
+const property = {
+  _id: id(),
+  owner: ownerId,
+  sharedWith: [
+    { user: editorId, role: 'editor' },
+    { user: viewerId, role: 'viewer' }
+  ]
+};
+
+describe('getRole sur un bien', () => {
+  it.each([
+    ['propriétaire', ownerId, 'owner', [true, true, true]],
+    ['éditeur', editorId, 'editor', [true, true, false]],
+    ['lecteur', viewerId, 'viewer', [true, false, false]],
+    ['inconnu', strangerId, null, [false, false, false]]
+  ])('%s', (label, userId, role, [read, edit, manage]) => {
+    expect(getRole('property', property, userId)).toBe(role);
+    expect(canRead('property', property, userId)).toBe(read);
+    expect(canEdit('property', property, userId)).toBe(edit);
+    expect(canManage('property', property, userId)).toBe(manage);
+  });
+
+  it('compare les identifiants en chaîne ou en ObjectId', () => {
+    expect(getRole('property', property, ownerId.toString())).toBe('owner');
+    expect(getRole('property', { ...property, owner: ownerId.toString() }, ownerId)).toBe('owner');
+    expect(getRole('property', property, editorId.toString())).toBe('editor');
+  });
+
+  it('accepte un propriétaire ou des utilisateurs peuplés', () => {
+    const populated = {
+      owner: { _id: ownerId, firstName: 'Marie' },
+      sharedWith: [{ user: { _id: editorId }, role: 'editor' }]
+    };
+
+    expect(getRole('property', populated, ownerId)).toBe('owner');
+    expect(getRole('property', populated, editorId)).toBe('editor');
+  });
+
+  it('considère un partage sans rôle comme une lecture seule', () => {
+    expect(getRole('property', { owner: ownerId, sharedWith: [{ user: viewerId }] }, viewerId)).toBe('viewer');
+  });
+
+  it('passe par le bien peuplé pour les étapes, prêts et visites', () => {
+    ['step', 'loan', 'visit'].forEach(kind => {
+      expect(getRole(kind, { property }, editorId)).toBe('editor');
+      expect(getRole(kind, { property: property._id }, ownerId)).toBeNull();
+    });
+  });
+});
+
+describe('getRole sur un document', () => {
+  const document = (permissions) => ({
+    property,
+    sharedWith: [{ user: strangerId, permissions }, { user: viewerId, permissions }]
+  });
+
+  it('donne l\'édition pour un partage « edit » et la lecture pour un partage « view »', () => {
+    expect(getRole('document', document('edit'), strangerId)).toBe('editor');
+    expect(getRole('document', document('view'), strangerId)).toBe('viewer');
+  });
+
+  it('retient le rôle le plus élevé entre le bien et le partage du document', () => {
+    expect(getRole('document', document('edit'), viewerId)).toBe('editor');
+    expect(getRole('document', document('view'), editorId)).toBe('editor');
+    expect(getRole('document', document('view'), ownerId)).toBe('owner');
+  });
+
+  it('refuse un utilisateur ni partagé ni membre du bien', () => {
+    expect(getRole('document', document('edit'), id())).toBeNull();
+  });
+});
+
+describe('getRole sur un événement', () => {
+  const eventOwnerId = id();
+  const sharedId = id();
+  const event = { owner: eventOwnerId, sharedWith: [{ user: sharedId }], property: property._id };
+
+  it('donne tous les droits au propriétaire de l\'événement', () => {
+    expect(getRole('event', event, eventOwnerId.toString())).toBe('owner');
+    expect(canManage('event', event, eventOwnerId)).toBe(true);
+  });
+
+  it('donne la lecture seule à un utilisateur avec qui l\'événement est partagé', () => {
+    expect(getRole('event', event, sharedId)).toBe('viewer');
+    expect(canEdit('event', event, sharedId)).toBe(false);
+  });
+
+  it('donne le rôle sur le bien rattaché, fourni en option ou peuplé', () => {
+    expect(getRole('event', event, editorId)).toBeNull();
+    expect(getRole('event', event, editorId, { property })).toBe('editor');
+    expect(getRole('event', { ...event, property }, viewerId)).toBe('viewer');
+    expect(getRole('event', { ...event, property }, ownerId)).toBe('owner');
+  });
+
+  it('refuse un inconnu', () => {
+    expect(canRead('event', { ...event, property }, strangerId)).toBe(false);
+  });
+});
+
+describe('getRole (cas limites)', () => {
+  it('rejette un type de ressource inconnu', () => {
+    expect(() => getRole('invoice', {}, ownerId)).toThrow('Type de ressource inconnu: invoice');
+  });
+
+  it('ne donne aucun rôle sans ressource', () => {
+    expect(getRole('property', null, ownerId)).toBeNull();
+    expect(canRead('document', undefined, ownerId)).toBe(false);
+  });
+});
+
+describe('filtres Mongo', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('readableEventFilter couvre les événements possédés, partagés ou rattachés à un bien lisible', () => {
+    const propertyIds = [id(), id()];
+
+    expect(readableEventFilter(ownerId, propertyIds)).toEqual({
+      $or: [
+        { owner: ownerId },
+        { 'sharedWith.user': ownerId },
+        { property: { $in: propertyIds } }
+      ]
+    });
+    expect(readableEventFilter(ownerId).$or[2]).toEqual({ property: { $in: [] } });
+  });
+
+  it('getReadablePropertyIds ne cherche que les biens actifs lisibles', async () => {
+    const select = jest.fn().mockResolvedValue([{ _id: property._id }]);
+    jest.spyOn(Property, 'find').mockReturnValue({ select });
+
+    await expect(getReadablePropertyIds(viewerId)).resolves.toEqual([property._id]);
+    expect(Property.find).toHaveBeenCalledWith({
+      $or: [{ owner: viewerId }, { 'sharedWith.user': viewerId }],
+      isActive: true
+    });
+    expect(select).toHaveBeenCalledWith('_id');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/acquisitionCosts', () => ({
+  breakdownsFor: jest.fn(async (properties) => new Map(properties.map(property => [
+    property._id.toString(),
+    { total: property.price.amount * 1.08 }
+  ])))
+}));
+
+const { CRITERIA_KEYS, parseWeights, compareProperties, toCsv } = require('../services/propertyComparison');
+
+const property = (title, amount, details, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  address: { city: 'Lyon' },
+  price: { amount },
+  details,
+  ...extra
+});
+
+// Seuls le prix et la surface comptent
+const onlyPriceAndSurface = (price, surface) => parseWeights(
+  CRITERIA_KEYS.map(key => `${key}:${{ price, surface }[key] || 0}`).join(',')
+);
+
+describe('parseWeights', () => {
+  it('donne un poids de 1 à chaque critère par défaut', () => {
+    expect(parseWeights()).toEqual(Object.fromEntries(CRITERIA_KEYS.map(key => [key, 1])));
+  });
+
+  it('lit les poids valides et ignore les autres', () => {
+    const weights = parseWeights('price:3, surface:0,inconnu:2,rooms:-1,floor:abc');
+
+    expect(weights).toMatchObject({ price: 3, surface: 0, rooms: 1, floor: 1 });
+    expect(weights).not.toHaveProperty('inconnu');
+  });
+});
+
+describe('compareProperties', () => {
+  const a = property('A', 300000, { surface: 60, rooms: 3, energyClass: 'C', elevator: true });
+  const b = property('B', 200000, { surface: 40, rooms: 2, energyClass: 'E' });
+  const c = property('C', 250000, { surface: 55, rooms: 3 }, {
+    commutes: [{ label: 'Travail', minutes: 25, mode: 'transit' }, { label: 'École', minutes: 10, mode: 'walk' }]
+  });
+
+  it('ramène chaque critère entre 0 (le moins bon) et 1 (le meilleur)', async () => {
+    const { properties } = await compareProperties([a, b, c]);
+    const normalized = Object.fromEntries(properties.map(row => [row.title, row.normalized]));
+
+    // Prix : plus bas est meilleur
+    expect([normalized.A.price, normalized.B.price, normalized.C.price]).toEqual([0, 1, 0.5]);
+    // Surface : plus haut est meilleur
+    expect([normalized.A.surface, normalized.B.surface, normalized.C.surface]).toEqual([1, 0, 0.75]);
+    // Étage non renseigné
+    expect([normalized.A.floor, normalized.C.floor]).toEqual([null, null]);
+    // Pièces : A et C à égalité sur le meilleur nombre
+    expect(normalized.A.rooms).toBe(1);
+    expect(normalized.C.rooms).toBe(1);
+  });
+
+  it('ignore un critère non renseigné dans le score du bien', async () => {
+    const { properties } = await compareProperties([a, b, c]);
+    const rowC = properties.find(row => row.title === 'C');
+
+    expect(rowC.values.energyClass).toBeNull();
+    expect(rowC.normalized.energyClass).toBeNull();
+    expect(rowC.values.commute).toBe(17.5);
+  });
+
+  it('calcule la moyenne pondérée sur 100 et classe les biens', async () => {
+    const equal = await compareProperties([a, b, c], onlyPriceAndSurface(1, 1));
+    expect(equal.properties.map(row => [row.title, row.score, row.rank])).toEqual([
+      ['C', 62.5, 1],
+      ['A', 50, 2],
+      ['B', 50, 3]
+    ]);
+
+    const priceFirst = await compareProperties([a, b, c], onlyPriceAndSurface(3, 1));
+    expect(priceFirst.properties.map(row => [row.title, row.score])).toEqual([
+      ['B', 75],
+      ['C', 56.3],
+      ['A', 25]
+    ]);
+  });
+
+  it('n\'attribue pas de score sans critère pondéré', async () => {
+    const { properties } = await compareProperties([a, b], onlyPriceAndSurface(0, 0));
+
+    expect(properties.map(row => row.score)).toEqual([null, null]);
+  });
+});
+
+describe('toCsv', () => {
+  it('exporte une ligne par bien avec un séparateur « ; » et les trajets en colonnes', async () => {
+    const quoted = property('T3 "lumineux"; balcon', 250000, { surface: 55, rooms: 3 }, {
+      commutes: [{ label: 'Travail', minutes: 25, mode: 'transit' }]
+    });
+    const csv = toCsv(await compareProperties([quoted], onlyPriceAndSurface(1, 1)));
+    const [header, line] = csv.split('\r\n');
+
+    expect(header.startsWith('Rang;Propriété;Ville;Prix (€);Prix au m² (€/m²);Surface (m²)')).toBe(true);
+    expect(header.endsWith(';Trajet Travail (min);Score')).toBe(true);
+    expect(line.startsWith('1;"T3 ""lumineux""; balcon";Lyon;250000;4545;55;')).toBe(true);
+    expect(line.endsWith(';25;100')).toBe(true);
+  });
+
+  it('neutralise les textes interprétables comme des formules', async () => {
+    const formula = property('=HYPERLINK("http://exemple.fr")', 250000, { surface: 55 }, { address: { city: '@Lyon' } });
+    const csv = toCsv(await compareProperties([formula], onlyPriceAndSurface(1, 1)));
+    const line = csv.split('\r\n')[1];
+
+    expect(line.startsWith('1;"\'=HYPERLINK(""http://exemple.fr"")";\'@Lyon;250000;')).toBe(true);
+  });
+
+  it.each(['+33 6 12 34 56 78', '-20 %'])('préfixe « %s » d\'une apostrophe', async (title) => {
+    const csv = toCsv(await compareProperties([property(title, 250000, { surface: 55 })], onlyPriceAndSurface(1, 1)));
+
+    expect(csv.split('\r\n')[1].startsWith(`1;'${title};Lyon;`)).toBe(true);
+  });
+
+  it('met entre guillemets les textes contenant un retour chariot', async () => {
+    const csv = toCsv(await compareProperties([property('T3\rbalcon', 250000, { surface: 55 })], onlyPriceAndSurface(1, 1)));
+
+    expect(csv).toContain('1;"T3\rbalcon";Lyon;');
+  });
+});
\ No newline at end of file
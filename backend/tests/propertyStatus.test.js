@@ -0,0 +1,122 @@
+jest.mock('../services/legalDeadlines', () => ({
+  applyLegalDeadlines: jest.fn().mockResolvedValue()
+}));
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Step = require('../models/Step');
+const { applyLegalDeadlines } = require('../services/legalDeadlines');
+const { derive, syncPropertyStatus } = require('../services/propertyStatus');
+
+let order = 0;
+const step = (category, status, dates = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `${category} ${order}`,
+  category,
+  status,
+  order: order++,
+  dates
+});
+
+describe('derive', () => {
+  it.each([
+    ['searching', []],
+    ['searching', [step('recherche', 'in_progress'), step('visite', 'todo')]],
+    ['visiting', [step('visite', 'in_progress')]],
+    ['offer_made', [step('visite', 'completed'), step('offre', 'completed')]],
+    ['compromis_signed', [step('offre', 'completed'), step('compromis', 'completed')]],
+    ['loan_pending', [step('compromis', 'completed'), step('financement', 'in_progress')]],
+    // « Demande de prêt » terminée mais « Accord de prêt » encore ouvert
+    ['loan_pending', [step('compromis', 'completed'), step('financement', 'completed'), step('financement', 'todo')]],
+    ['final_signature', [step('compromis', 'completed'), step('financement', 'completed'), step('financement', 'cancelled')]],
+    ['compromis_signed', [step('compromis', 'completed'), step('financement', 'cancelled')]],
+    ['final_signature', [step('financement', 'in_progress'), step('signature', 'completed')]],
+    ['keys_received', [step('signature', 'completed'), step('remise_cles', 'completed')]]
+  ])('donne le statut %s', (status, steps) => {
+    expect(derive(steps).status).toBe(status);
+  });
+
+  it('indique les étapes qui justifient le statut retenu', () => {
+    const compromis = step('compromis', 'completed');
+    const loan = step('financement', 'todo');
+    const { rule } = derive([compromis, step('financement', 'completed'), loan]);
+
+    expect(rule.status).toBe('loan_pending');
+    expect(rule.steps.map(item => item.id)).toEqual([compromis._id, loan._id]);
+  });
+
+  it('prend l\'étape en cours comme étape courante, sinon la première à faire', () => {
+    const todo = step('visite', 'todo');
+    const inProgress = step('offre', 'in_progress');
+
+    expect(derive([step('recherche', 'completed'), todo, inProgress]).currentStep).toBe(inProgress);
+    expect(derive([step('recherche', 'completed'), todo]).currentStep).toBe(todo);
+  });
+
+  it('date l\'offre à la fin de la première étape « offre »', () => {
+    const first = new Date('2026-03-01');
+    const { importantDates } = derive([
+      step('offre', 'completed', { actualEnd: new Date('2026-03-10') }),
+      step('offre', 'completed', { actualEnd: first })
+    ]);
+
+    expect(importantDates.offerDate).toEqual(first);
+  });
+});
+
+describe('syncPropertyStatus', () => {
+  let steps;
+
+  beforeEach(() => {
+    steps = [];
+    jest.spyOn(Step, 'find').mockReturnValue({ select: () => Promise.resolve(steps) });
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    applyLegalDeadlines.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('met à jour le statut déduit des étapes', async () => {
+    const property = new Property({ status: 'offer_made' });
+    steps.push(step('compromis', 'completed'), step('financement', 'completed'), step('financement', 'todo'));
+
+    await syncPropertyStatus(property);
+
+    expect(property.status).toBe('loan_pending');
+    expect(property.currentStep).toEqual(steps[2]._id);
+    expect(property.save).toHaveBeenCalled();
+  });
+
+  it('ne remplace pas un statut forcé à la main mais met à jour les dates clés', async () => {
+    const signedAt = new Date('2026-05-12');
+    const property = new Property({ status: 'visiting', statusSource: 'manual' });
+    steps.push(step('compromis', 'completed', { actualEnd: signedAt }));
+
+    const { derivation } = await syncPropertyStatus(property);
+
+    expect(derivation.status).toBe('compromis_signed');
+    expect(property.status).toBe('visiting');
+    expect(property.importantDates.compromisDate).toEqual(signedAt);
+    expect(applyLegalDeadlines).toHaveBeenCalledWith(property);
+  });
+
+  it('laisse une propriété abandonnée en l\'état', async () => {
+    const property = new Property({ status: 'cancelled' });
+    steps.push(step('offre', 'completed'));
+
+    await syncPropertyStatus(property);
+
+    expect(property.status).toBe('cancelled');
+  });
+
+  it('n\'enregistre rien quand rien ne change', async () => {
+    const property = Property.hydrate({ _id: new mongoose.Types.ObjectId(), status: 'searching' });
+
+    await syncPropertyStatus(property);
+
+    expect(property.save).not.toHaveBeenCalled();
+    expect(applyLegalDeadlines).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+jest.mock('../services/stepDependencies', () => ({
+  startTriggeredSteps: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../services/propertyStatus', () => ({
+  syncPropertyStatus: jest.fn().mockResolvedValue()
+}));
+
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const Step = require('../models/Step');
+const { syncPropertyStatus } = require('../services/propertyStatus');
+const { acceptOffer } = require('../services/purchaseOffers');
+
+describe('acceptOffer', () => {
+  const offeredAt = new Date('2026-03-02T10:00:00Z');
+  let property;
+  let steps;
+
+  const offerStep = (title) => ({
+    title,
+    category: 'offre',
+    status: 'todo',
+    dates: {},
+    save: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    property = new Property({ price: { amount: 260000 } });
+    steps = [offerStep('Faire une offre'), offerStep('Négociation')];
+
+    jest.spyOn(Offer.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Offer, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Step, 'find').mockReturnValue({ sort: () => Promise.resolve(steps) });
+    jest.spyOn(Step, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('retient la dernière contre-proposition comme prix final négocié', async () => {
+    const offer = new Offer({
+      property: property._id,
+      createdBy: new mongoose.Types.ObjectId(),
+      amount: 240000,
+      offeredAt,
+      counterOffers: [{ amount: 250000 }]
+    });
+
+    await acceptOffer(offer, property);
+
+    expect(offer.status).toBe('accepted');
+    expect(offer.acceptedAmount).toBe(250000);
+    expect(property.price.finalPrice).toBe(250000);
+    expect(property.price.negotiated).toBe(true);
+    expect(property.importantDates.offerDate).toEqual(offeredAt);
+    expect(Offer.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ property: property._id, status: 'pending' }),
+      { $set: expect.objectContaining({ status: 'withdrawn' }) }
+    );
+    expect(syncPropertyStatus).toHaveBeenCalledWith(property);
+  });
+
+  it('ne marque pas le prix comme négocié quand l\'offre est au prix affiché', async () => {
+    const offer = new Offer({ property: property._id, createdBy: new mongoose.Types.ObjectId(), amount: 260000, offeredAt });
+
+    await acceptOffer(offer, property);
+
+    expect(property.price.finalPrice).toBe(260000);
+    expect(property.price.negotiated).toBe(false);
+  });
+
+  it('termine les étapes « offre », la première à la date de l\'offre', async () => {
+    const offer = new Offer({ property: property._id, createdBy: new mongoose.Types.ObjectId(), amount: 240000, offeredAt });
+
+    const result = await acceptOffer(offer, property, { amount: 245000 });
+
+    expect(property.price.finalPrice).toBe(245000);
+    expect(result.steps.completed).toHaveLength(2);
+    steps.forEach(step => {
+      expect(step.status).toBe('completed');
+      expect(step.save).toHaveBeenCalled();
+    });
+    expect(steps[0].dates.actualEnd).toEqual(offeredAt);
+    expect(steps[1].dates.actualEnd.getTime()).toBeGreaterThan(offeredAt.getTime());
+  });
+});
\ No newline at end of file
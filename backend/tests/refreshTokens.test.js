@@ -0,0 +1,144 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authRoutes = require('../routes/auth');
+
+// Rotation des refresh tokens et fin des sessions, sur une collection RefreshToken en mémoire
+describe('sessions et refresh tokens', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  let user;
+  let tokens;
+
+  // Filtres utilisés par le modèle : égalité, null (champ absent), $gt et $ne
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value === null) return doc[field] === null || doc[field] === undefined;
+    if (value && value.$gt !== undefined) return doc[field] > value.$gt;
+    if (value && value.$ne !== undefined) return String(doc[field]) !== String(value.$ne);
+    return String(doc[field]) === String(value);
+  });
+
+  const familyOf = (family) => tokens.filter(token => token.family === family);
+
+  // Session ouverte comme à la connexion : refresh token et token d'accès lié à la famille
+  const openSession = async () => {
+    const { token, refreshToken } = await RefreshToken.issue(user._id);
+    return {
+      family: refreshToken.family,
+      refreshToken: token,
+      accessToken: jwt.sign({ userId: user._id, sid: refreshToken.family }, process.env.JWT_SECRET)
+    };
+  };
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    tokens = [];
+    user = new User({ email: 'marie@example.com', password: 'Secret123', firstName: 'Marie', lastName: 'Martin' });
+
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+      const doc = new RefreshToken(data).toObject();
+      tokens.push(doc);
+      return doc;
+    });
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation(async (filter) => tokens.find(doc => matches(doc, filter)) || null);
+    jest.spyOn(RefreshToken, 'exists').mockImplementation(async (filter) => tokens.some(doc => matches(doc, filter)));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const doc = tokens.find(token => matches(token, filter));
+      if (!doc) return null;
+      const before = { ...doc };
+      Object.assign(doc, update);
+      return before;
+    });
+    jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+      const docs = tokens.filter(doc => matches(doc, filter));
+      docs.forEach(doc => Object.assign(doc, update));
+      return { modifiedCount: docs.length };
+    });
+
+    const findUser = () => Object.assign(Promise.resolve(user), { select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'findById').mockImplementation(findUser);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('remplace le refresh token par un nouveau de la même famille', async () => {
+      const session = await openSession();
+
+      const response = await refresh(session.refreshToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+      expect(jwt.verify(response.body.data.token, process.env.JWT_SECRET).sid).toBe(session.family);
+
+      const [used, current] = familyOf(session.family);
+      expect(used.usedAt).toBeInstanceOf(Date);
+      expect(current.tokenHash).toBe(RefreshToken.hashToken(response.body.data.refreshToken));
+      expect(current.usedAt).toBeUndefined();
+    });
+
+    it('révoque toute la session quand un token déjà utilisé est rejoué', async () => {
+      const session = await openSession();
+      const rotated = (await refresh(session.refreshToken)).body.data.refreshToken;
+
+      const replay = await refresh(session.refreshToken);
+
+      expect(replay.status).toBe(401);
+      expect(familyOf(session.family).every(token => token.revokedReason === 'reuse_detected')).toBe(true);
+      expect((await refresh(rotated)).status).toBe(401);
+      expect(await RefreshToken.isSessionActive(session.family, user._id)).toBe(false);
+    });
+
+    it('refuse un token inconnu ou expiré', async () => {
+      const session = await openSession();
+      familyOf(session.family)[0].expiresAt = new Date(Date.now() - 1000);
+
+      expect((await refresh(session.refreshToken)).status).toBe(401);
+      expect((await refresh('abcdef0123456789')).status).toBe(401);
+    });
+  });
+
+  describe('fin des sessions', () => {
+    it('POST /logout-all termine toutes les sessions de l\'utilisateur', async () => {
+      const [phone, laptop] = [await openSession(), await openSession()];
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${phone.accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(tokens.every(token => token.revokedReason === 'logout_all')).toBe(true);
+      expect((await refresh(laptop.refreshToken)).status).toBe(401);
+
+      const afterLogout = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${phone.accessToken}`);
+      expect(afterLogout.status).toBe(401);
+    });
+
+    it('PUT /change-password termine les autres sessions mais garde la session courante', async () => {
+      const [phone, laptop] = [await openSession(), await openSession()];
+      jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+
+      const response = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .send({ currentPassword: 'Secret123', newPassword: 'Nouveau456' });
+
+      expect(response.status).toBe(200);
+      expect(familyOf(laptop.family)[0].revokedReason).toBe('password_changed');
+      expect((await refresh(laptop.refreshToken)).status).toBe(401);
+      expect((await refresh(phone.refreshToken)).status).toBe(200);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { getRendition } = require('../services/renditions');
+
+describe('getRendition', () => {
+  let directory;
+  let sourcePath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'renditions-'));
+    sourcePath = path.join(directory, 'photo.jpg');
+    await sharp({ create: { width: 800, height: 400, channels: 3, background: '#336699' } })
+      .jpeg()
+      .toFile(sourcePath);
+    // Chemin relatif, comme dans .env.example
+    process.env.RENDITION_PATH = path.relative(process.cwd(), path.join(directory, 'cache'));
+  });
+
+  afterEach(async () => {
+    delete process.env.RENDITION_PATH;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('renvoie un chemin absolu utilisable par res.sendFile', async () => {
+    const rendition = await getRendition({ sourcePath, mimeType: 'image/jpeg', namespace: 'properties' }, 'small');
+
+    expect(path.isAbsolute(rendition.path)).toBe(true);
+    expect(rendition.path).toBe(path.join(directory, 'cache', 'properties', 'small', 'photo.webp'));
+    expect(rendition.mimeType).toBe('image/webp');
+
+    const metadata = await sharp(rendition.path).metadata();
+    expect(metadata.format).toBe('webp');
+    expect(metadata.width).toBe(160);
+    expect(metadata.height).toBe(80);
+  });
+
+  it('réutilise le rendu mis en cache', async () => {
+    const first = await getRendition({ sourcePath, mimeType: 'image/jpeg', namespace: 'properties' }, 'medium');
+    const { mtimeMs } = await fs.stat(first.path);
+
+    const second = await getRendition({ sourcePath, mimeType: 'image/jpeg', namespace: 'properties' }, 'medium');
+    expect((await fs.stat(second.path)).mtimeMs).toBe(mtimeMs);
+  });
+
+  it('refuse les tailles et types inconnus', async () => {
+    await expect(getRendition({ sourcePath, mimeType: 'image/jpeg', namespace: 'properties' }, 'huge'))
+      .rejects.toThrow('Taille de rendu inconnue');
+    await expect(getRendition({ sourcePath, mimeType: 'application/zip', namespace: 'documents' }, 'small'))
+      .rejects.toThrow('Aucun rendu possible');
+  });
+});
\ No newline at end of file
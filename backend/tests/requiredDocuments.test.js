@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const { buildChecklist, findMissingDocuments } = require('../services/requiredDocuments');
+
+const now = new Date('2026-06-01T12:00:00Z');
+
+const property = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  details: { yearBuilt: 1960 },
+  acquisition: { isNewBuild: false },
+  ...overrides
+});
+
+const doc = (name, category, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  category,
+  status: 'processed',
+  createdAt: new Date('2026-05-01T00:00:00Z'),
+  ...overrides
+});
+
+const statusOf = (checklist, key) => checklist.items.find(item => item.key === key).status;
+
+describe('buildChecklist', () => {
+  it('reconnaît les documents par catégorie et mots-clés ou par clé explicite', () => {
+    const checklist = buildChecklist(property(), [
+      doc('DPE appartement', 'diagnostic'),
+      doc('Rapport', 'diagnostic', { requirement: 'carrez' }),
+      doc('Offre de prêt BNP', 'pret')
+    ], [], now);
+
+    expect(statusOf(checklist, 'dpe')).toBe('present');
+    expect(statusOf(checklist, 'carrez')).toBe('present');
+    expect(statusOf(checklist, 'offre_pret')).toBe('present');
+    expect(statusOf(checklist, 'justificatif_apport')).toBe('pending');
+  });
+
+  it('signale les documents expirés (date saisie ou durée de validité du diagnostic)', () => {
+    const checklist = buildChecklist(property(), [
+      doc('État des risques', 'diagnostic', { createdAt: new Date('2025-10-01T00:00:00Z') }),
+      doc('DPE', 'diagnostic', { expirationDate: new Date('2026-01-01T00:00:00Z') })
+    ], [], now);
+
+    expect(statusOf(checklist, 'erp')).toBe('expired');
+    expect(statusOf(checklist, 'dpe')).toBe('expired');
+  });
+
+  it('distingue manquant (étape commencée) et à venir', () => {
+    const checklist = buildChecklist(property(), [], [
+      { name: 'Diagnostics immobiliers', category: 'diagnostics', status: 'in_progress' },
+      { name: 'Demande de prêt', category: 'financement', status: 'in_progress' },
+      { name: 'Accord de prêt', category: 'financement', status: 'todo' }
+    ], now);
+
+    expect(statusOf(checklist, 'amiante')).toBe('missing');
+    // La demande de prêt commencée ne rend pas l'offre de prêt manquante
+    expect(statusOf(checklist, 'offre_pret')).toBe('pending');
+    expect(checklist.summary.total).toBe(checklist.items.length);
+  });
+
+  it('liste les étapes ouvertes bloquées par des documents obligatoires', () => {
+    const checklist = buildChecklist(property(), [doc('Compromis signé', 'compromis')], [
+      { name: 'Demande de prêt', category: 'financement', status: 'in_progress' },
+      { name: 'Accord de prêt', category: 'financement', status: 'todo' },
+      { name: 'Recherche active', category: 'recherche', status: 'completed' }
+    ], now);
+
+    expect(checklist.blockedSteps).toEqual([
+      {
+        _id: undefined,
+        name: 'Accord de prêt',
+        category: 'financement',
+        missing: ['justificatif_apport', 'offre_pret', 'assurance_emprunteur']
+      }
+    ]);
+    expect(checklist.complete).toBe(false);
+  });
+
+  it('n\'exige pas les diagnostics de l\'existant pour un bien neuf', () => {
+    const keys = buildChecklist(property({ details: {}, acquisition: { isNewBuild: true } }), [], [], now)
+      .items.map(item => item.key);
+
+    expect(keys).not.toEqual(expect.arrayContaining(['amiante']));
+    expect(keys).not.toContain('plomb');
+    expect(keys).not.toContain('electricite');
+    expect(keys).not.toContain('gaz');
+    expect(keys).toContain('dpe');
+  });
+
+  it('applique amiante et plomb selon l\'année de construction', () => {
+    const keys = (yearBuilt) => buildChecklist(property({ details: { yearBuilt } }), [], [], now).items.map(item => item.key);
+
+    expect(keys(1930)).toEqual(expect.arrayContaining(['amiante', 'plomb']));
+    expect(keys(1980)).toContain('amiante');
+    expect(keys(1980)).not.toContain('plomb');
+    expect(keys(2005)).not.toContain('amiante');
+  });
+});
+
+describe('findMissingDocuments', () => {
+  let documents;
+
+  beforeEach(() => {
+    documents = [];
+    jest.spyOn(Document, 'find').mockImplementation(() => ({
+      select: () => ({ lean: () => Promise.resolve(documents) })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ne bloque pas la demande de prêt avec l\'offre de prêt qui en résulte', async () => {
+    documents = [doc('Compromis signé', 'compromis')];
+
+    await expect(findMissingDocuments({ name: 'Demande de prêt', category: 'financement' }, property())).resolves.toEqual([]);
+  });
+
+  it('bloque l\'accord de prêt sans offre, assurance ni justificatif d\'apport', async () => {
+    documents = [doc('Compromis signé', 'compromis'), doc('Justificatif apport', 'pret')];
+
+    const missing = await findMissingDocuments({ name: 'Accord de prêt', category: 'financement' }, property());
+    expect(missing.map(item => item.key)).toEqual(['offre_pret', 'assurance_emprunteur']);
+    expect(missing.every(item => item.status === 'missing')).toBe(true);
+  });
+
+  it('permet de terminer le contrat de réservation d\'une VEFA sans diagnostics de l\'existant', async () => {
+    const vefa = property({ details: {}, acquisition: { isNewBuild: true } });
+
+    const missing = await findMissingDocuments({ name: 'Contrat de réservation', category: 'compromis' }, vefa);
+    expect(missing.map(item => item.key)).toEqual(['dpe', 'erp', 'carrez', 'compromis']);
+  });
+
+  it('signale les documents expirés', async () => {
+    documents = [
+      doc('DPE', 'diagnostic', { expirationDate: new Date('2000-01-01T00:00:00Z') }),
+      doc('ERP', 'diagnostic', { createdAt: new Date() }),
+      doc('Mesurage Carrez', 'diagnostic'),
+      doc('Diagnostic amiante', 'diagnostic')
+    ];
+
+    const missing = await findMissingDocuments({ name: 'Diagnostics immobiliers', category: 'diagnostics' }, property());
+    expect(missing).toEqual([
+      { key: 'dpe', label: 'Diagnostic de performance énergétique (DPE)', category: 'diagnostic', status: 'expired' }
+    ]);
+  });
+
+  it('ignore les étapes sans document obligatoire', async () => {
+    await expect(findMissingDocuments({ name: 'Faire une offre', category: 'offre' }, property())).resolves.toEqual([]);
+    expect(Document.find).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Step = require('../models/Step');
+const { findCycle, buildEdges, validateDependencies } = require('../services/stepDependencies');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('buildEdges', () => {
+  it('crée une arête de chaque dépendance vers l\'étape qui en dépend', () => {
+    const [a, b, c] = [id(), id(), id()];
+    const edges = buildEdges([
+      { _id: a, dependencies: [] },
+      { _id: b, dependencies: [{ step: a, type: 'blocks' }] },
+      { _id: c, dependencies: [{ step: { _id: a }, type: 'triggers' }, { step: b, type: 'blocks' }] }
+    ]);
+
+    expect(edges).toEqual(new Map([
+      [a.toString(), [b.toString(), c.toString()]],
+      [b.toString(), [c.toString()]],
+      [c.toString(), []]
+    ]));
+  });
+
+  it('ignore les dépendances vers des étapes inconnues', () => {
+    const a = id();
+    const edges = buildEdges([{ _id: a, dependencies: [{ step: id(), type: 'blocks' }] }]);
+
+    expect(edges).toEqual(new Map([[a.toString(), []]]));
+  });
+});
+
+describe('findCycle', () => {
+  it('renvoie null pour un graphe sans cycle', () => {
+    const edges = new Map([['a', ['b', 'c']], ['b', ['c']], ['c', []]]);
+
+    expect(findCycle(edges)).toBeNull();
+  });
+
+  it('renvoie le chemin du cycle', () => {
+    const edges = new Map([['a', ['b']], ['b', ['c']], ['c', ['d', 'b']], ['d', []]]);
+
+    expect(findCycle(edges)).toEqual(['b', 'c', 'b']);
+  });
+
+  it('détecte une boucle sur une seule étape', () => {
+    expect(findCycle(new Map([['a', ['a']]]))).toEqual(['a', 'a']);
+  });
+});
+
+describe('validateDependencies', () => {
+  const propertyId = id();
+  const [a, b, c] = [id(), id(), id()];
+
+  beforeEach(() => {
+    // a → b → c
+    jest.spyOn(Step, 'find').mockReturnValue({
+      select: () => Promise.resolve([
+        { _id: a, dependencies: [] },
+        { _id: b, dependencies: [{ step: a, type: 'blocks' }] },
+        { _id: c, dependencies: [{ step: b, type: 'triggers' }] }
+      ])
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepte des dépendances sans cycle', async () => {
+    await expect(validateDependencies(propertyId, c, [{ step: a, type: 'blocks' }])).resolves.toBeNull();
+  });
+
+  it('refuse une dépendance qui fermerait un cycle', async () => {
+    await expect(validateDependencies(propertyId, a, [{ step: c, type: 'blocks' }]))
+      .resolves.toBe('Ces dépendances créeraient un cycle entre les étapes');
+  });
+
+  it('refuse une étape qui dépend d\'elle-même ou un doublon', async () => {
+    await expect(validateDependencies(propertyId, a, [{ step: a }])).resolves.toBe('Une étape ne peut pas dépendre d\'elle-même');
+    await expect(validateDependencies(propertyId, c, [{ step: a }, { step: a }]))
+      .resolves.toBe('Une étape ne peut figurer qu\'une fois dans les dépendances');
+  });
+
+  it('refuse une étape d\'une autre propriété', async () => {
+    await expect(validateDependencies(propertyId, c, [{ step: id() }]))
+      .resolves.toBe('Les dépendances doivent être des étapes de la même propriété');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const VisitReport = require('../models/VisitReport');
+const visitRoutes = require('../routes/visits');
+
+// Image PNG de 1 x 1 pixel
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('routes des comptes rendus de visite', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/visits', visitRoutes);
+
+  const ownerId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  let uploadPath;
+  let token;
+
+  // Compte rendu dont le bien est partagé avec l'utilisateur connecté
+  const mockReport = (share, photos = []) => {
+    const report = new VisitReport({ property: new mongoose.Types.ObjectId(), author: ownerId, photos });
+    // Bien peuplé (owner et sharedWith) comme avec findReport
+    Object.defineProperty(report, 'property', {
+      value: {
+        _id: report.property,
+        title: 'Appartement',
+        owner: ownerId,
+        sharedWith: share ? [{ user: userId, ...share }] : []
+      }
+    });
+    jest.spyOn(VisitReport, 'findOne').mockReturnValue({ populate: () => Promise.resolve(report) });
+    jest.spyOn(report, 'save').mockResolvedValue(report);
+    return report;
+  };
+
+  const uploadedFiles = () => {
+    const directory = path.join(uploadPath, 'visits');
+    return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+  };
+
+  beforeEach(() => {
+    uploadPath = fs.mkdtempSync(path.join(os.tmpdir(), 'visits-'));
+    process.env.UPLOAD_PATH = uploadPath;
+    process.env.RENDITION_PATH = path.join(uploadPath, 'renditions');
+    process.env.JWT_SECRET = 'test-secret';
+    token = jwt.sign({ userId, sid: 'session' }, process.env.JWT_SECRET);
+    jest.spyOn(RefreshToken, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, isActive: true, role: 'user' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(uploadPath, { recursive: true, force: true });
+    delete process.env.UPLOAD_PATH;
+    delete process.env.RENDITION_PATH;
+  });
+
+  describe('PUT /:id/rating', () => {
+    it('refuse la notation à un co-acquéreur en lecture seule', async () => {
+      mockReport({ role: 'viewer', relationship: 'co_acquereur' });
+
+      const response = await request(app)
+        .put(`/api/visits/${new mongoose.Types.ObjectId()}/rating`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ scores: { light: 4 } });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /:id/photos', () => {
+    const upload = () => request(app)
+      .post(`/api/visits/${new mongoose.Types.ObjectId()}/photos`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('photos', PNG, 'salon.png');
+
+    it('supprime les photos uploadées si l\'accès est refusé', async () => {
+      mockReport({ role: 'viewer' });
+
+      const response = await upload();
+
+      expect(response.status).toBe(403);
+      expect(uploadedFiles()).toEqual([]);
+    });
+
+    it('supprime les photos uploadées si le compte rendu n\'existe pas', async () => {
+      jest.spyOn(VisitReport, 'findOne').mockReturnValue({ populate: () => Promise.resolve(null) });
+
+      const response = await upload();
+
+      expect(response.status).toBe(404);
+      expect(uploadedFiles()).toEqual([]);
+    });
+
+    it('conserve les photos d\'un éditeur', async () => {
+      const report = mockReport({ role: 'editor' });
+
+      const response = await upload();
+
+      expect(response.status).toBe(201);
+      expect(uploadedFiles()).toHaveLength(1);
+      expect(report.photos[0].url).toBe(`/uploads/visits/${uploadedFiles()[0]}`);
+    });
+  });
+
+  describe('GET /:id/photos/:photoId', () => {
+    const photoId = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(uploadPath, 'visits'));
+      fs.writeFileSync(path.join(uploadPath, 'visits', 'visit-1.png'), PNG);
+    });
+
+    const getPhoto = (size) => request(app)
+      .get(`/api/visits/${new mongoose.Types.ObjectId()}/photos/${photoId}`)
+      .query(size ? { size } : {})
+      .set('Authorization', `Bearer ${token}`);
+
+    it('sert la photo aux lecteurs du bien', async () => {
+      mockReport({ role: 'viewer' }, [{ _id: photoId, url: '/uploads/visits/visit-1.png' }]);
+
+      const response = await getPhoto();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+    });
+
+    it('sert une miniature WebP', async () => {
+      mockReport({ role: 'viewer' }, [{ _id: photoId, url: '/uploads/visits/visit-1.png' }]);
+
+      const response = await getPhoto('small');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/webp');
+    });
+
+    it('refuse l\'accès sans partage du bien', async () => {
+      mockReport(null, [{ _id: photoId, url: '/uploads/visits/visit-1.png' }]);
+
+      expect((await getPhoto()).status).toBe(403);
+    });
+
+    it('renvoie 404 pour une photo inconnue', async () => {
+      mockReport({ role: 'viewer' });
+
+      expect((await getPhoto()).status).toBe(404);
+    });
+  });
+});
\ No newline at end of file
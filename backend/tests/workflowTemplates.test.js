@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const { findTemplate } = require('../services/workflowTemplates');
+
+describe('findTemplate', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('recherche un modèle intégré par sa clé, même si elle ressemble à un ObjectId', async () => {
+    const template = { _id: new mongoose.Types.ObjectId(), builtInKey: 'achat_ancien' };
+    const findOne = jest.spyOn(WorkflowTemplate, 'findOne').mockResolvedValue(template);
+
+    await expect(findTemplate(userId)).resolves.toBe(template);
+    expect(mongoose.Types.ObjectId.isValid('achat_ancien')).toBe(true);
+    expect(findOne).toHaveBeenCalledWith({ builtInKey: 'achat_ancien', isBuiltIn: true, isActive: true });
+  });
+
+  it('recherche un modèle personnel par son identifiant', async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const findOne = jest.spyOn(WorkflowTemplate, 'findOne').mockResolvedValue(null);
+
+    await expect(findTemplate(userId, id)).resolves.toBeNull();
+    expect(findOne).toHaveBeenCalledWith({
+      _id: id,
+      isActive: true,
+      $or: [{ isBuiltIn: true }, { owner: userId }]
+    });
+  });
+});
\ No newline at end of file